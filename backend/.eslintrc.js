@@ -0,0 +1,24 @@
+"use strict";
+
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2022: true,
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: "script",
+  },
+  extends: ["eslint:recommended"],
+  rules: {
+    // Handlers and provider hooks keep their full signature, rest siblings leave fields out of a copy
+    "no-unused-vars": ["error", { args: "none", ignoreRestSiblings: true }],
+  },
+  overrides: [
+    {
+      files: ["**/*.test.js", "**/__mocks__/**/*.js"],
+      env: { jest: true },
+    },
+  ],
+};
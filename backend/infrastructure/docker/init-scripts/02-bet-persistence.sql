@@ -0,0 +1,27 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Bet Persistence
+-- ===========================================
+
+-- Users, events, markets and selections are still owned by their
+-- services' in-memory stores, so bets cannot reference them yet.
+ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_user_id_fkey;
+ALTER TABLE bet_selections DROP CONSTRAINT IF EXISTS bet_selections_event_id_fkey;
+ALTER TABLE bet_selections DROP CONSTRAINT IF EXISTS bet_selections_market_id_fkey;
+ALTER TABLE bet_selections DROP CONSTRAINT IF EXISTS bet_selections_selection_id_fkey;
+
+-- Feed providers use non-UUID identifiers for events, markets and selections
+ALTER TABLE bet_selections ALTER COLUMN event_id TYPE VARCHAR(100);
+ALTER TABLE bet_selections ALTER COLUMN market_id TYPE VARCHAR(100);
+ALTER TABLE bet_selections ALTER COLUMN selection_id TYPE VARCHAR(100);
+
+-- X-Forwarded-For may carry a list of addresses
+ALTER TABLE bets ALTER COLUMN ip_address TYPE VARCHAR(100);
+
+ALTER TABLE bet_selections ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+-- History and open-bets lookups
+CREATE INDEX IF NOT EXISTS idx_bets_user_placed_at ON bets(user_id, placed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bets_user_status ON bets(user_id, status);
+
+COMMIT;
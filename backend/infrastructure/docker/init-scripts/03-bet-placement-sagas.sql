@@ -0,0 +1,24 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Bet Placement Sagas
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS bet_placement_sagas (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bet_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    status VARCHAR(30) NOT NULL CHECK (status IN ('started', 'funds_locked', 'stake_debited', 'bet_saved', 'completed', 'compensating', 'compensated', 'compensation_failed')),
+    steps JSONB DEFAULT '[]',
+    payload JSONB DEFAULT '{}',
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_bet_placement_sagas_bet_id ON bet_placement_sagas(bet_id);
+CREATE INDEX idx_bet_placement_sagas_unfinished ON bet_placement_sagas(status, updated_at)
+    WHERE status NOT IN ('completed', 'compensated');
+
+CREATE TRIGGER update_bet_placement_sagas_updated_at BEFORE UPDATE ON bet_placement_sagas FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Auto Cash-Out Rules
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS bet_cashout_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bet_id UUID NOT NULL REFERENCES bets(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    trigger VARCHAR(10) NOT NULL CHECK (trigger IN ('above', 'below')),
+    threshold DECIMAL(15, 2) NOT NULL CHECK (threshold > 0),
+    fraction DECIMAL(5, 4) CHECK (fraction > 0 AND fraction <= 1),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'triggered', 'cancelled', 'expired', 'failed')),
+    cashout_amount DECIMAL(15, 2),
+    triggered_at TIMESTAMP WITH TIME ZONE,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_bet_cashout_rules_bet_id ON bet_cashout_rules(bet_id) WHERE status = 'active';
+CREATE INDEX idx_bet_cashout_rules_user_id ON bet_cashout_rules(user_id, created_at DESC);
+
+CREATE TRIGGER update_bet_cashout_rules_updated_at BEFORE UPDATE ON bet_cashout_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
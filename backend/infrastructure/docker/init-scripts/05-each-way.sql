@@ -0,0 +1,16 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Each-Way Betting
+-- ===========================================
+
+-- Each-way terms per market: { "places": 3, "fraction": "1/4" }
+ALTER TABLE markets ADD COLUMN IF NOT EXISTS place_terms JSONB;
+
+-- Finishing position recorded at settlement of outright and racing markets
+ALTER TABLE selections ADD COLUMN IF NOT EXISTS position INTEGER CHECK (position > 0);
+
+ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_bet_type_check;
+ALTER TABLE bets ADD CONSTRAINT bets_bet_type_check
+    CHECK (bet_type IN ('single', 'accumulator', 'system', 'each_way'));
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Asian Quarter Lines
+-- ===========================================
+
+-- Quarter lines settle as a half-win or half-loss when one of their two halves is pushed
+ALTER TABLE selections DROP CONSTRAINT IF EXISTS selections_status_check;
+ALTER TABLE selections ADD CONSTRAINT selections_status_check
+    CHECK (status IN ('active', 'suspended', 'winner', 'loser', 'void', 'push', 'half_won', 'half_lost'));
+
+ALTER TABLE bet_selections DROP CONSTRAINT IF EXISTS bet_selections_status_check;
+ALTER TABLE bet_selections ADD CONSTRAINT bet_selections_status_check
+    CHECK (status IN ('pending', 'won', 'lost', 'void', 'push', 'half_won', 'half_lost'));
+
+COMMIT;
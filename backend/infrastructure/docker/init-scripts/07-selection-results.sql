@@ -0,0 +1,23 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Unified Selection Results
+-- ===========================================
+
+-- Selections and bet legs share one result model:
+-- won, lost, void, push, half_won, half_lost and dead_heat (paid on dead_heat_factor)
+ALTER TABLE selections DROP CONSTRAINT IF EXISTS selections_status_check;
+
+UPDATE selections SET status = 'won' WHERE status = 'winner';
+UPDATE selections SET status = 'lost' WHERE status = 'loser';
+
+ALTER TABLE selections ADD CONSTRAINT selections_status_check
+    CHECK (status IN ('active', 'suspended', 'won', 'lost', 'void', 'push', 'half_won', 'half_lost', 'dead_heat'));
+
+ALTER TABLE selections ADD COLUMN IF NOT EXISTS dead_heat_factor DECIMAL(5, 4)
+    CHECK (dead_heat_factor > 0 AND dead_heat_factor <= 1);
+
+ALTER TABLE bet_selections DROP CONSTRAINT IF EXISTS bet_selections_status_check;
+ALTER TABLE bet_selections ADD CONSTRAINT bet_selections_status_check
+    CHECK (status IN ('pending', 'won', 'lost', 'void', 'push', 'half_won', 'half_lost', 'dead_heat'));
+
+COMMIT;
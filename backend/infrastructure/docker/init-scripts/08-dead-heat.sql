@@ -0,0 +1,10 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Dead-Heat Settlement
+-- ===========================================
+
+-- Number of runners sharing a finishing position, each-way place parts are
+-- divided by it when the tie straddles the last paying place
+ALTER TABLE selections ADD COLUMN IF NOT EXISTS tied_count INTEGER CHECK (tied_count >= 2);
+
+COMMIT;
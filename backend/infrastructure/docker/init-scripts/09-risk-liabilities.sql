@@ -0,0 +1,24 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Liability Limits
+-- ===========================================
+
+-- Running liability (potential payout less stake) of open bets per selection,
+-- market and event. max_liability overrides the configured cap for the scope.
+CREATE TABLE IF NOT EXISTS risk_liabilities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope_type VARCHAR(20) NOT NULL CHECK (scope_type IN ('selection', 'market', 'event')),
+    scope_id VARCHAR(100) NOT NULL,
+    liability DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    bet_count INTEGER NOT NULL DEFAULT 0,
+    max_liability DECIMAL(15, 2) CHECK (max_liability >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (scope_type, scope_id)
+);
+
+CREATE INDEX idx_risk_liabilities_liability ON risk_liabilities(scope_type, liability DESC);
+
+CREATE TRIGGER update_risk_liabilities_updated_at BEFORE UPDATE ON risk_liabilities FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Per-User Stake Factors and Restrictions
+-- ===========================================
+
+-- Trader-set limits: the stake factor scales the maximum stake, sport and
+-- market-type factors narrow it further, restrictions block kinds of bets.
+-- Users are not in this database yet, so user_id has no foreign key
+CREATE TABLE IF NOT EXISTS bet_user_limits (
+    user_id UUID PRIMARY KEY,
+    stake_factor DECIMAL(6, 4) NOT NULL DEFAULT 1 CHECK (stake_factor >= 0),
+    sport_factors JSONB NOT NULL DEFAULT '{}',
+    market_type_factors JSONB NOT NULL DEFAULT '{}',
+    restrictions JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_bet_user_limits_updated_at BEFORE UPDATE ON bet_user_limits FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Every change to a user's limits, with who made it and why
+CREATE TABLE IF NOT EXISTS bet_user_limit_audit (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    changed_by VARCHAR(100) NOT NULL,
+    reason TEXT,
+    previous JSONB NOT NULL DEFAULT '{}',
+    changes JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_bet_user_limit_audit_user_id ON bet_user_limit_audit(user_id, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Trader Referrals
+-- ===========================================
+
+-- Bets over the stake or liability limits wait as referred, with the stake
+-- locked, until a trader accepts them or they are rejected or expire
+ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_status_check;
+ALTER TABLE bets ADD CONSTRAINT bets_status_check
+    CHECK (status IN ('open', 'won', 'lost', 'void', 'cashed_out', 'partially_cashed_out', 'referred', 'rejected'));
+
+-- Trader queue of referrals awaiting a decision
+CREATE INDEX IF NOT EXISTS idx_bets_referred ON bets(placed_at) WHERE status = 'referred';
+
+COMMIT;
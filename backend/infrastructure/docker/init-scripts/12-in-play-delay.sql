@@ -0,0 +1,22 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- In-Play Acceptance Delay
+-- ===========================================
+
+-- Bets on live events wait as pending, with the stake locked, until the
+-- delay of their sport is over and odds and market status are checked again
+ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_status_check;
+ALTER TABLE bets ADD CONSTRAINT bets_status_check
+    CHECK (status IN ('pending', 'open', 'won', 'lost', 'void', 'cashed_out', 'partially_cashed_out', 'referred', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS idx_bets_pending ON bets(placed_at) WHERE status = 'pending';
+
+-- Delay in milliseconds, NULL uses the bet service default
+ALTER TABLE sports ADD COLUMN IF NOT EXISTS in_play_delay INTEGER CHECK (in_play_delay >= 0);
+
+UPDATE sports SET in_play_delay = 5000 WHERE slug = 'football';
+UPDATE sports SET in_play_delay = 6000 WHERE slug = 'basketball';
+UPDATE sports SET in_play_delay = 8000 WHERE slug = 'tennis';
+UPDATE sports SET in_play_delay = 5000 WHERE slug = 'ice-hockey';
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Free Bet Tokens
+-- ===========================================
+
+-- Tokens spent instead of cash, a winning free bet pays the winnings only.
+-- Empty sport and market-type lists leave the token valid on any of them.
+-- user_id is not a foreign key, users are still held by the user service
+CREATE TABLE IF NOT EXISTS bet_free_bets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+    min_odds DECIMAL(10, 4) CHECK (min_odds >= 1),
+    sport_ids JSONB NOT NULL DEFAULT '[]',
+    market_types JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'used', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    bet_id UUID,
+    used_at TIMESTAMP WITH TIME ZONE,
+    granted_by VARCHAR(100) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_bet_free_bets_user_id ON bet_free_bets(user_id, created_at DESC);
+CREATE INDEX idx_bet_free_bets_expiry ON bet_free_bets(expires_at) WHERE status = 'active';
+CREATE UNIQUE INDEX idx_bet_free_bets_bet_id ON bet_free_bets(bet_id) WHERE bet_id IS NOT NULL;
+
+CREATE TRIGGER update_bet_free_bets_updated_at BEFORE UPDATE ON bet_free_bets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Same-Game Parlays
+-- ===========================================
+
+-- Same-game parlays combine selections of one event at a correlation-adjusted price
+ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_bet_type_check;
+ALTER TABLE bets ADD CONSTRAINT bets_bet_type_check
+    CHECK (bet_type IN ('single', 'accumulator', 'system', 'each_way', 'same_game'));
+
+COMMIT;
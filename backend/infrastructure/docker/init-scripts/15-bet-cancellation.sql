@@ -0,0 +1,12 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Bet Cancellation
+-- ===========================================
+
+-- Users cancel pre-match bets within a short window after placement; who
+-- cancelled a bet, or who voided it on a palpable error, is kept in its metadata
+ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_status_check;
+ALTER TABLE bets ADD CONSTRAINT bets_status_check
+    CHECK (status IN ('pending', 'open', 'won', 'lost', 'void', 'cancelled', 'cashed_out', 'partially_cashed_out', 'referred', 'rejected'));
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Bet Resettlement
+-- ===========================================
+
+-- Reversing a payout after a result correction may overdraw the wallet, so a
+-- balance may now go below zero; bets keep their reversed settlements in metadata
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_balance_check;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+    CHECK (type IN ('deposit', 'withdrawal', 'bet_stake', 'bet_win', 'bet_refund', 'bet_resettlement', 'bonus', 'transfer_in', 'transfer_out'));
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Shared Bet Slips
+-- ===========================================
+
+-- Selections shared under a short code until it expires; bets placed from a
+-- shared slip keep its code and who shared it in their metadata. The sharer
+-- is not a foreign key, as with bets, users live outside this database
+CREATE TABLE IF NOT EXISTS bet_shared_slips (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(16) NOT NULL UNIQUE,
+    user_id UUID NOT NULL,
+    selections JSONB NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_bet_shared_slips_user_id ON bet_shared_slips(user_id, created_at DESC);
+CREATE INDEX idx_bet_shared_slips_expiry ON bet_shared_slips(expires_at);
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Odds Boosts
+-- ===========================================
+
+-- Boosted prices and what has been taken out of their budgets. budget_used is
+-- only ever raised by a conditional update, so it cannot pass the budget
+CREATE TABLE IF NOT EXISTS odds_boosts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    selection_id VARCHAR(100) NOT NULL,
+    name VARCHAR(200),
+    boosted_odds DECIMAL(10, 4) NOT NULL CHECK (boosted_odds > 1),
+    max_stake_per_user DECIMAL(15, 2) NOT NULL CHECK (max_stake_per_user > 0),
+    budget DECIMAL(15, 2) NOT NULL CHECK (budget > 0),
+    budget_used DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (budget_used >= 0 AND budget_used <= budget),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'ended')),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_odds_boosts_active ON odds_boosts(selection_id) WHERE status = 'active';
+
+-- Stake each user has on a boost, held against max_stake_per_user
+CREATE TABLE IF NOT EXISTS odds_boost_stakes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    boost_id UUID NOT NULL REFERENCES odds_boosts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    staked DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (staked >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (boost_id, user_id)
+);
+
+CREATE TRIGGER update_odds_boosts_updated_at BEFORE UPDATE ON odds_boosts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_odds_boost_stakes_updated_at BEFORE UPDATE ON odds_boost_stakes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
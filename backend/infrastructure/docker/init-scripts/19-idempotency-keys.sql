@@ -0,0 +1,23 @@
+-- ===========================================
+-- Self-Healing Betting Platform
+-- Idempotency Keys
+-- ===========================================
+
+-- First response to each Idempotency-Key, used by every node when no Redis
+-- cacher is configured. The primary key is what lets only one request take a
+-- key; expired keys are swept by the nodes
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    key VARCHAR(400) PRIMARY KEY,
+    fingerprint VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'completed')),
+    response JSONB,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_idempotency_keys_expiry ON idempotency_keys(expires_at);
+
+CREATE TRIGGER update_idempotency_keys_updated_at BEFORE UPDATE ON idempotency_keys FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -2,6 +2,8 @@
 
 require("dotenv").config();
 
+const { Errors } = require("moleculer");
+
 /**
  * Moleculer ServiceBroker configuration
  * Includes self-healing capabilities: circuit breakers, retries, bulkheads
@@ -145,6 +147,12 @@ module.exports = {
   internalServices: true,
   internalMiddlewares: true,
 
+  // Called when the broker is created
+  created(broker) {
+    // Services raise client errors as `new this.broker.MoleculerClientError(...)`
+    broker.MoleculerClientError = Errors.MoleculerClientError;
+  },
+
   // Called after broker started
   started(broker) {
     broker.logger.info("===========================================");
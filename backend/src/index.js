@@ -19,6 +19,7 @@ async function main() {
       middleware.RequestContextMiddleware,
       middleware.ErrorHandlerMiddleware,
       middleware.ValidationMiddleware,
+      middleware.IdempotencyMiddleware,
     ],
   });
 
@@ -0,0 +1,38 @@
+"use strict";
+
+/**
+ * Shared constants for the betting platform
+ */
+
+// How bet placement treats a price that moved since the user saw it
+const ODDS_CHANGE_POLICIES = ["accept_any", "accept_higher", "reject"];
+
+// Selection results shared by event, settlement and bet services
+const SELECTION_RESULT = {
+  WON: "won",
+  LOST: "lost",
+  VOID: "void",
+  PUSH: "push",
+  HALF_WON: "half_won", // Asian quarter line, one half won and the other pushed
+  HALF_LOST: "half_lost", // Asian quarter line, one half lost and the other pushed
+  DEAD_HEAT: "dead_heat", // Tied for a paying position, paid on the dead-heat factor of the stake
+};
+const SELECTION_RESULTS = Object.values(SELECTION_RESULT);
+
+// Results that return the stake, legs count at odds 1.0
+const VOID_RESULTS = [SELECTION_RESULT.VOID, SELECTION_RESULT.PUSH];
+
+// Results that pay on part of the stake only
+const PARTIAL_RESULTS = [SELECTION_RESULT.HALF_WON, SELECTION_RESULT.HALF_LOST, SELECTION_RESULT.DEAD_HEAT];
+
+// Bet statuses that still await settlement
+const OPEN_BET_STATUSES = ["open", "partially_cashed_out"];
+
+module.exports = {
+  ODDS_CHANGE_POLICIES,
+  OPEN_BET_STATUSES,
+  SELECTION_RESULT,
+  SELECTION_RESULTS,
+  VOID_RESULTS,
+  PARTIAL_RESULTS,
+};
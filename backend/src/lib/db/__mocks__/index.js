@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Database helpers for unit tests
+ * Services start without PostgreSQL; their models are jest mocks that tests
+ * give the behaviour they need
+ */
+const createModel = (name, rawAttributes = {}) => ({
+  name,
+  rawAttributes,
+  create: jest.fn(async (data) => data),
+  bulkCreate: jest.fn(async (rows) => rows),
+  findOne: jest.fn(async () => null),
+  findByPk: jest.fn(async () => null),
+  findAll: jest.fn(async () => []),
+  findAndCountAll: jest.fn(async () => ({ rows: [], count: 0 })),
+  update: jest.fn(async () => [0]),
+  upsert: jest.fn(async (data) => [data, true]),
+  increment: jest.fn(async () => [[[], 0]]),
+  decrement: jest.fn(async () => [[[], 0]]),
+  destroy: jest.fn(async () => 0),
+  hasMany: jest.fn(),
+  belongsTo: jest.fn(),
+});
+
+const createSequelize = () => ({
+  define: jest.fn((name, attributes) => createModel(name, attributes)),
+  authenticate: jest.fn(async () => {}),
+  transaction: jest.fn(async (callback) => callback({ LOCK: { UPDATE: "UPDATE", SHARE: "SHARE" } })),
+  close: jest.fn(async () => {}),
+});
+
+const createSqlAdapter = () => ({
+  init(broker, service) {
+    this.service = service;
+  },
+
+  async connect() {
+    this.db = createSequelize();
+    this.model = createModel(this.service.schema.model.name);
+    this.service.model = this.model;
+  },
+
+  async disconnect() {},
+});
+
+module.exports = {
+  createSequelize,
+  createSqlAdapter,
+};
@@ -0,0 +1,53 @@
+"use strict";
+
+const Sequelize = require("sequelize");
+const SqlAdapter = require("moleculer-db-adapter-sequelize");
+const databaseConfig = require("../../config/database.config");
+
+/**
+ * Build Sequelize constructor arguments from the database configuration
+ */
+const getConnectionArgs = () => {
+  const { connection, pool, options, replication } = databaseConfig;
+
+  const sequelizeOptions = {
+    ...options,
+    dialect: connection.dialect,
+    host: connection.host,
+    port: connection.port,
+    pool,
+  };
+
+  if (replication.enabled && replication.read.length > 0) {
+    sequelizeOptions.replication = {
+      read: replication.read,
+      write: replication.write,
+    };
+  }
+
+  if (databaseConfig.url) {
+    return [databaseConfig.url, sequelizeOptions];
+  }
+
+  return [connection.database, connection.username, connection.password, sequelizeOptions];
+};
+
+/**
+ * Create a Sequelize instance from the database configuration
+ */
+const createSequelize = () => {
+  return new Sequelize(...getConnectionArgs());
+};
+
+/**
+ * Create a moleculer-db adapter backed by PostgreSQL
+ * The adapter builds its own Sequelize instance on every (re)connect
+ */
+const createSqlAdapter = () => {
+  return new SqlAdapter(...getConnectionArgs());
+};
+
+module.exports = {
+  createSequelize,
+  createSqlAdapter,
+};
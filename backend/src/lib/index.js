@@ -3,9 +3,13 @@
 const utils = require("./utils");
 const validators = require("./validators");
 const middleware = require("./middleware");
+const db = require("./db");
+const constants = require("./constants");
 
 module.exports = {
   utils,
   validators,
   middleware,
+  db,
+  constants,
 };
@@ -0,0 +1,23 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Idempotency key model (maps to the `idempotency_keys` table)
+ * The first response to a request key, shared by every node when there is no Redis cacher
+ */
+module.exports = {
+  name: "idempotency_keys",
+
+  define: {
+    key: { type: DataTypes.STRING(400), primaryKey: true },
+    fingerprint: { type: DataTypes.STRING(64), allowNull: false },
+    status: { type: DataTypes.STRING(20), allowNull: false },
+    response: { type: DataTypes.JSONB, allowNull: true },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+  },
+
+  options: {
+    timestamps: true,
+  },
+};
@@ -0,0 +1,249 @@
+"use strict";
+
+jest.mock("../db");
+
+const { ServiceBroker, Cachers } = require("moleculer");
+const { Op, UniqueConstraintError } = require("sequelize");
+const { IdempotencyMiddleware } = require("./index");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+
+/**
+ * Redis cacher stand-in, brokers given the same store share it and SET NX only writes a free key
+ */
+class TestRedisCacher extends Cachers.Redis {
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  init(broker) {
+    Cachers.Base.prototype.init.call(this, broker);
+    this.serializer = { serialize: JSON.stringify, deserialize: JSON.parse };
+    this.client = {
+      set: async (key, data, ...options) => {
+        if (options.includes("NX") && this.store.has(key)) return null;
+        this.store.set(key, data);
+        return "OK";
+      },
+    };
+  }
+
+  async get(key) {
+    const data = this.store.get(this.prefix + key);
+    return data === undefined ? null : this.serializer.deserialize(data);
+  }
+
+  async set(key, value) {
+    this.store.set(this.prefix + key, this.serializer.serialize(value));
+  }
+
+  async del(key) {
+    this.store.delete(this.prefix + key);
+  }
+
+  async close() {}
+}
+
+/**
+ * Back a broker's idempotency key model with rows shared between brokers, inserts refuse a taken key
+ */
+const useKeyTable = (broker, rows) => {
+  const matches = (row, where) => Object.entries(where).every(([field, value]) => {
+    if (value && value[Op.gt]) return row[field] > value[Op.gt];
+    if (value && value[Op.lte]) return row[field] <= value[Op.lte];
+    return row[field] === value;
+  });
+  const model = broker.IdempotencyKey;
+
+  model.findOne.mockImplementation(async ({ where }) => {
+    const row = rows.get(where.key);
+    return row && matches(row, where) ? { ...row } : null;
+  });
+  model.create.mockImplementation(async (data) => {
+    if (rows.has(data.key)) throw new UniqueConstraintError({});
+    rows.set(data.key, { ...data });
+    return data;
+  });
+  model.upsert.mockImplementation(async (data) => rows.set(data.key, { ...data }));
+  model.destroy.mockImplementation(async ({ where }) => {
+    const row = rows.get(where.key);
+    if (!row || !matches(row, where)) return 0;
+    rows.delete(where.key);
+    return 1;
+  });
+};
+
+/**
+ * Promise settled from outside, holds an action until the test lets it finish
+ */
+const createDeferred = () => {
+  let resolve;
+  const promise = new Promise((res) => (resolve = res));
+  return { promise, resolve };
+};
+
+const createBroker = (place, nodeID, options = {}) => {
+  const broker = new ServiceBroker({ nodeID, logger: false, middlewares: [IdempotencyMiddleware], ...options });
+  broker.createService({
+    name: "bet",
+    actions: {
+      place: {
+        idempotency: true,
+        handler: (ctx) => place(ctx.params),
+      },
+    },
+  });
+  return broker;
+};
+
+const callWithKey = (broker, params, idempotencyKey, userId = USER_ID) =>
+  broker.call("bet.place", params, { meta: { userId, idempotencyKey } });
+
+describe("Idempotency middleware", () => {
+  const place = jest.fn();
+  const broker = createBroker(place, "node-1");
+  const rows = new Map();
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => {
+    rows.clear();
+    useKeyTable(broker, rows);
+    place.mockReset();
+    place.mockImplementation(async ({ stake }) => ({ betId: `bet-${place.mock.calls.length}`, stake }));
+  });
+
+  it("runs the action once and replays its response for a retried key", async () => {
+    const first = await callWithKey(broker, { stake: 10 }, "retry");
+    const retried = await callWithKey(broker, { stake: 10 }, "retry");
+
+    expect(retried).toEqual(first);
+    expect(place).toHaveBeenCalledTimes(1);
+  });
+
+  it("turns away a concurrent request while the key is being processed", async () => {
+    const held = createDeferred();
+    place.mockImplementation(() => held.promise);
+
+    const first = callWithKey(broker, { stake: 10 }, "concurrent");
+    const second = callWithKey(broker, { stake: 10 }, "concurrent");
+
+    await expect(second).rejects.toMatchObject({ type: "CONFLICT_ERROR", retryable: true });
+
+    held.resolve({ betId: "bet-1" });
+    await expect(first).resolves.toEqual({ betId: "bet-1" });
+    expect(place).toHaveBeenCalledTimes(1);
+  });
+
+  it("refuses a key used again with different parameters", async () => {
+    await callWithKey(broker, { stake: 10 }, "reused");
+
+    await expect(callWithKey(broker, { stake: 20 }, "reused")).rejects.toMatchObject({
+      type: "CONFLICT_ERROR",
+      retryable: false,
+    });
+    expect(place).toHaveBeenCalledTimes(1);
+  });
+
+  it("frees the key when the action fails", async () => {
+    place.mockRejectedValueOnce(new Error("Wallet unavailable"));
+
+    await expect(callWithKey(broker, { stake: 10 }, "failed")).rejects.toThrow("Wallet unavailable");
+    await expect(callWithKey(broker, { stake: 10 }, "failed")).resolves.toMatchObject({ stake: 10 });
+    expect(place).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps keys apart per user", async () => {
+    await callWithKey(broker, { stake: 10 }, "shared", USER_ID);
+    await callWithKey(broker, { stake: 10 }, "shared", "22222222-2222-4222-8222-222222222222");
+
+    expect(place).toHaveBeenCalledTimes(2);
+  });
+
+  it("takes over an expired key", async () => {
+    await callWithKey(broker, { stake: 10 }, "expired");
+    rows.get(`bet.place:${USER_ID}:expired`).expiresAt = new Date(Date.now() - 1000);
+
+    await callWithKey(broker, { stake: 20 }, "expired");
+
+    expect(place).toHaveBeenCalledTimes(2);
+  });
+
+  it("lets one node take a key requested on several at once", async () => {
+    const placeOnOther = jest.fn().mockResolvedValue({ betId: "bet-2" });
+    const other = createBroker(placeOnOther, "node-2");
+    await other.start();
+    useKeyTable(other, rows);
+
+    const results = await Promise.allSettled([
+      callWithKey(broker, { stake: 10 }, "nodes"),
+      callWithKey(other, { stake: 10 }, "nodes"),
+    ]);
+    await other.stop();
+
+    expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+    expect(results.find((r) => r.status === "rejected").reason).toMatchObject({ type: "CONFLICT_ERROR" });
+    expect(place.mock.calls.length + placeOnOther.mock.calls.length).toBe(1);
+  });
+
+  describe("with a Redis cacher", () => {
+    const store = new Map();
+    const placeOnFirst = jest.fn();
+    const placeOnOther = jest.fn();
+    const first = createBroker(placeOnFirst, "node-3", { cacher: new TestRedisCacher(store) });
+    const other = createBroker(placeOnOther, "node-4", { cacher: new TestRedisCacher(store) });
+
+    beforeAll(() => Promise.all([first.start(), other.start()]));
+    afterAll(() => Promise.all([first.stop(), other.stop()]));
+
+    beforeEach(() => {
+      placeOnFirst.mockReset();
+      placeOnFirst.mockResolvedValue({ betId: "bet-1" });
+      placeOnOther.mockReset();
+      placeOnOther.mockResolvedValue({ betId: "bet-2" });
+    });
+
+    it("keeps its keys in Redis", async () => {
+      await callWithKey(first, { stake: 10 }, "redis");
+
+      expect(first.IdempotencyKey).toBeUndefined();
+      expect(store.size).toBe(1);
+    });
+
+    it("lets one node take a key requested on several at once", async () => {
+      const results = await Promise.allSettled([
+        callWithKey(first, { stake: 10 }, "nodes"),
+        callWithKey(other, { stake: 10 }, "nodes"),
+      ]);
+
+      expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+      expect(results.find((r) => r.status === "rejected").reason).toMatchObject({ type: "CONFLICT_ERROR" });
+      expect(placeOnFirst.mock.calls.length + placeOnOther.mock.calls.length).toBe(1);
+    });
+
+    it("replays the stored response on another node", async () => {
+      const response = await callWithKey(first, { stake: 10 }, "replayed");
+      const retried = await callWithKey(other, { stake: 10 }, "replayed");
+
+      expect(retried).toEqual(response);
+      expect(placeOnOther).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("with a memory cacher", () => {
+    const local = createBroker(place, "node-5", { cacher: "Memory" });
+
+    beforeAll(() => local.start());
+    afterAll(() => local.stop());
+
+    it("keeps its keys in the database, a memory cache is not shared between nodes", async () => {
+      useKeyTable(local, rows);
+
+      await callWithKey(local, { stake: 10 }, "memory");
+
+      expect(rows.has(`bet.place:${USER_ID}:memory`)).toBe(true);
+    });
+  });
+});
@@ -1,6 +1,28 @@
 "use strict";
 
+const crypto = require("crypto");
+const { Cachers } = require("moleculer");
+const { Op, UniqueConstraintError } = require("sequelize");
 const { v4: uuidv4 } = require("uuid");
+const { createSequelize } = require("../db");
+const IdempotencyKeyModel = require("./idempotency-key.model");
+const { ValidationError, ConflictError } = require("../utils/errors");
+
+/**
+ * JSON.stringify with sorted object keys, so equal payloads hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
 
 /**
  * Request context middleware
@@ -173,12 +195,197 @@ const RateLimitMiddleware = {
   },
 };
 
+/**
+ * Idempotency records in Redis, through the broker's Redis cacher
+ */
+const redisIdempotencyStore = {
+  async get(broker, key) {
+    return broker.cacher.get(`idempotency:${key}`);
+  },
+
+  async set(broker, key, record, ttl) {
+    return broker.cacher.set(`idempotency:${key}`, record, ttl);
+  },
+
+  /**
+   * Store a record only when the key is free, returning the record already stored otherwise
+   * SET NX lets only one of the requests made on several nodes at once reserve it
+   */
+  async reserve(broker, key, record, ttl) {
+    const { client, prefix, serializer } = broker.cacher;
+    const data = serializer.serialize(record);
+    if (await client.set(`${prefix}idempotency:${key}`, data, "EX", ttl, "NX")) {
+      return null;
+    }
+
+    // The holder may have failed and released the key since, then it is free to take again
+    const existing = await redisIdempotencyStore.get(broker, key);
+    return existing || redisIdempotencyStore.reserve(broker, key, record, ttl);
+  },
+
+  async del(broker, key) {
+    return broker.cacher.del(`idempotency:${key}`);
+  },
+};
+
+/**
+ * Idempotency records in PostgreSQL, for brokers without a Redis cacher
+ */
+const dbIdempotencyStore = {
+  async get(broker, key) {
+    const row = await broker.IdempotencyKey.findOne({ where: { key, expiresAt: { [Op.gt]: new Date() } } });
+    return row ? { fingerprint: row.fingerprint, status: row.status, response: row.response } : null;
+  },
+
+  async set(broker, key, record, ttl) {
+    await broker.IdempotencyKey.upsert({ key, ...record, expiresAt: new Date(Date.now() + ttl * 1000) });
+  },
+
+  /**
+   * Store a record only when the key is free, returning the record already stored otherwise
+   * The key is the primary key, so only one of the requests made on several nodes at once inserts it
+   */
+  async reserve(broker, key, record, ttl) {
+    await broker.IdempotencyKey.destroy({ where: { key, expiresAt: { [Op.lte]: new Date() } } });
+
+    try {
+      await broker.IdempotencyKey.create({ key, ...record, expiresAt: new Date(Date.now() + ttl * 1000) });
+      return null;
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError)) throw error;
+    }
+
+    // The holder may have failed and released the key since, then it is free to take again
+    const existing = await dbIdempotencyStore.get(broker, key);
+    return existing || dbIdempotencyStore.reserve(broker, key, record, ttl);
+  },
+
+  async del(broker, key) {
+    await broker.IdempotencyKey.destroy({ where: { key } });
+  },
+};
+
+/**
+ * Idempotency record storage shared by every node
+ * Other cachers are local to their node and cannot reserve a key atomically, so only Redis is used
+ */
+const getIdempotencyStore = (broker) =>
+  (broker.cacher instanceof Cachers.Redis ? redisIdempotencyStore : dbIdempotencyStore);
+
+/**
+ * Idempotency middleware (per-action)
+ * Stores the first response for an Idempotency-Key and replays it on retries
+ */
+const IdempotencyMiddleware = {
+  name: "Idempotency",
+
+  created(broker) {
+    this.idempotencyTTL = parseInt(process.env.IDEMPOTENCY_TTL, 10) || 86400; // seconds
+
+    if (getIdempotencyStore(this) === dbIdempotencyStore) {
+      this.idempotencyDb = createSequelize();
+      this.IdempotencyKey = this.idempotencyDb.define(
+        IdempotencyKeyModel.name,
+        IdempotencyKeyModel.define,
+        IdempotencyKeyModel.options
+      );
+    }
+  },
+
+  started(broker) {
+    if (!this.IdempotencyKey) return;
+
+    // Sweep expired keys from the database (Redis expires its own)
+    this.idempotencySweepTimer = setInterval(() => {
+      this.IdempotencyKey.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } }).catch((err) => {
+        this.logger.warn("Failed to sweep expired idempotency keys:", err.message);
+      });
+    }, 60000);
+    this.idempotencySweepTimer.unref();
+  },
+
+  async stopped(broker) {
+    clearInterval(this.idempotencySweepTimer);
+    if (this.idempotencyDb) {
+      await this.idempotencyDb.close();
+    }
+  },
+
+  localAction(next, action) {
+    const broker = this;
+
+    // Check if action accepts idempotency keys
+    if (!action.idempotency) {
+      return next;
+    }
+
+    return async function idempotencyMiddleware(ctx) {
+      const idempotencyKey = ctx.meta.idempotencyKey;
+      if (!idempotencyKey) {
+        return next(ctx);
+      }
+
+      // The key belongs to this call only, not to the calls it makes
+      delete ctx.meta.idempotencyKey;
+
+      if (typeof idempotencyKey !== "string" || idempotencyKey.length > 255) {
+        throw new ValidationError("Idempotency-Key must be a string of at most 255 characters");
+      }
+
+      const key = `${action.name}:${ctx.meta.userId || "anonymous"}:${idempotencyKey}`;
+      const fingerprint = crypto.createHash("sha256").update(stableStringify(ctx.params)).digest("hex");
+
+      const store = getIdempotencyStore(broker);
+      const existing = await store.reserve(
+        broker,
+        key,
+        { fingerprint, status: "processing" },
+        broker.idempotencyTTL
+      );
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          throw new ConflictError("Idempotency-Key was already used with a different request", {
+            idempotencyKey,
+          });
+        }
+
+        if (existing.status === "processing") {
+          const error = new ConflictError("A request with this Idempotency-Key is still being processed", {
+            idempotencyKey,
+          });
+          error.retryable = true;
+          throw error;
+        }
+
+        ctx.meta.$responseHeaders = { ...ctx.meta.$responseHeaders, "Idempotent-Replayed": "true" };
+        return existing.response;
+      }
+
+      try {
+        const response = await next(ctx);
+        await store.set(
+          broker,
+          key,
+          { fingerprint, status: "completed", response },
+          broker.idempotencyTTL
+        );
+        return response;
+      } catch (error) {
+        // Failed requests are not stored so the client can retry them
+        await store.del(broker, key);
+        throw error;
+      }
+    };
+  },
+};
+
 module.exports = {
   RequestContextMiddleware,
   ErrorHandlerMiddleware,
   ValidationMiddleware,
   CacheBusterMiddleware,
   RateLimitMiddleware,
+  IdempotencyMiddleware,
 
   // Convenience export of all middlewares as array
   all: [
@@ -187,5 +394,6 @@ module.exports = {
     ValidationMiddleware,
     CacheBusterMiddleware,
     RateLimitMiddleware,
+    IdempotencyMiddleware,
   ],
 };
@@ -0,0 +1,102 @@
+"use strict";
+
+const { Readable } = require("stream");
+
+// Spreadsheet applications run cells starting with these characters as formulas
+const FORMULA_PREFIXES = ["=", "+", "-", "@"];
+
+// A4 in points, set in Courier so statement columns line up
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+/**
+ * Format one CSV cell, quoting it when needed
+ * Text that a spreadsheet would evaluate as a formula is prefixed with a quote
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "string") return String(value);
+
+  const text = FORMULA_PREFIXES.includes(value[0]) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream rows as CSV under a header line
+ * Rows may come from an async iterable, so large exports are read and sent page by page
+ */
+const createCsvStream = (columns, rows) =>
+  Readable.from(
+    (async function* () {
+      yield columns.map((column) => toCsvCell(column.header)).join(",") + "\r\n";
+      for await (const row of rows) {
+        yield columns.map((column) => toCsvCell(column.value(row))).join(",") + "\r\n";
+      }
+    })()
+  );
+
+/**
+ * Escape text for a PDF string, characters outside printable ASCII become "?"
+ */
+const toPdfText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/([\\()])/g, "\\$1");
+
+/**
+ * Build a plain text PDF document, one line per entry, paged as needed
+ */
+const createTextPdf = (lines) => {
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Objects 1 to 3 are the catalog, the page tree and the font, each page then adds a page and its content
+  const objects = [];
+  const pageRefs = pages.map((_, i) => `${4 + i * 2} 0 R`);
+  objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+  objects.push(`<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>");
+
+  pages.forEach((pageLines, i) => {
+    const content = [
+      "BT",
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map((line) => `(${toPdfText(line)}) '`),
+      "ET",
+    ].join("\n");
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`
+    );
+    objects.push(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};
+
+module.exports = {
+  createCsvStream,
+  createTextPdf,
+};
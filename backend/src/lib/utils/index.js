@@ -2,6 +2,8 @@
 
 const { createLogger, createChildLogger, withRequestContext } = require("./logger");
 const errors = require("./errors");
+const { getResultFactor, getStakeShare } = require("./results");
+const { createCsvStream, createTextPdf } = require("./export");
 
 module.exports = {
   // Logger
@@ -11,4 +13,12 @@ module.exports = {
 
   // Errors
   ...errors,
+
+  // Selection results
+  getResultFactor,
+  getStakeShare,
+
+  // Exports
+  createCsvStream,
+  createTextPdf,
 };
@@ -0,0 +1,48 @@
+"use strict";
+
+const { SELECTION_RESULT } = require("../constants");
+
+/**
+ * Multiplier a resulted selection applies to the stake riding on it
+ * Void and pushed selections count at odds 1.0, a half-win pays half the stake
+ * at the odds and refunds the other half, a half-loss refunds half the stake and
+ * a dead heat pays the dead-heat factor of the stake at the odds
+ */
+const getResultFactor = (result, odds, deadHeatFactor = 1) => {
+  switch (result) {
+    case SELECTION_RESULT.WON:
+      return odds;
+    case SELECTION_RESULT.LOST:
+      return 0;
+    case SELECTION_RESULT.HALF_WON:
+      return (odds + 1) / 2;
+    case SELECTION_RESULT.HALF_LOST:
+      return 0.5;
+    case SELECTION_RESULT.DEAD_HEAT:
+      return odds * deadHeatFactor;
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Share of the stake that is paid back on a resulted selection rather than won
+ * Stake-not-returned free bets keep this share back from the payout
+ */
+const getStakeShare = (result, deadHeatFactor = 1) => {
+  switch (result) {
+    case SELECTION_RESULT.LOST:
+      return 0;
+    case SELECTION_RESULT.HALF_LOST:
+      return 0.5;
+    case SELECTION_RESULT.DEAD_HEAT:
+      return deadHeatFactor;
+    default:
+      return 1;
+  }
+};
+
+module.exports = {
+  getResultFactor,
+  getStakeShare,
+};
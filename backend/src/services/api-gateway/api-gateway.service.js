@@ -24,8 +24,8 @@ module.exports = class ApiGatewayService extends Service {
         cors: {
           origin: process.env.CORS_ORIGIN || "*",
           methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-          allowedHeaders: ["Content-Type", "Authorization", "X-Request-ID"],
-          exposedHeaders: ["X-Request-ID", "X-RateLimit-Remaining"],
+          allowedHeaders: ["Content-Type", "Authorization", "X-Request-ID", "Idempotency-Key"],
+          exposedHeaders: ["X-Request-ID", "X-RateLimit-Remaining", "Idempotent-Replayed"],
           credentials: true,
           maxAge: 3600,
         },
@@ -75,6 +75,7 @@ module.exports = class ApiGatewayService extends Service {
             aliases: {
               "GET /me": "user.me",
               "PATCH /profile": "user.updateProfile",
+              "PATCH /preferences": "user.updatePreferences",
               "POST /change-password": "user.changePassword",
               "POST /logout": "user.logout",
             },
@@ -92,6 +93,8 @@ module.exports = class ApiGatewayService extends Service {
               "POST /deposit": "wallet.deposit",
               "POST /withdraw": "wallet.withdraw",
               "GET /transactions": "wallet.transactions",
+              "GET /transactions/export": "wallet.exportTransactions",
+              "GET /statement": "wallet.statement",
             },
             bodyParsers: {
               json: { limit: "1MB" },
@@ -122,6 +125,7 @@ module.exports = class ApiGatewayService extends Service {
               "GET /market/:marketId": "odds.market",
               "GET /selection/:selectionId": "odds.get",
               "GET /selection/:selectionId/history": "odds.history",
+              "GET /boosts": "odds.boosts",
               "GET /provider/status": "odds.providerStatus",
             },
           },
@@ -133,11 +137,28 @@ module.exports = class ApiGatewayService extends Service {
             aliases: {
               "POST /place": "bet.place",
               "POST /place/accumulator": "bet.placeAccumulator",
+              "POST /place/system": "bet.placeSystem",
+              "POST /place/each-way": "bet.placeEachWay",
+              "POST /place/same-game": "bet.placeSameGame",
+              "POST /place/slip": "bet.placeSlip",
+              "POST /same-game/price": "bet.priceSameGame",
+              "POST /slips": "bet.shareSlip",
+              "GET /slips/:code": "bet.loadSlip",
               "GET /history": "bet.history",
+              "GET /history/summary": "bet.historySummary",
+              "GET /history/export": "bet.exportHistory",
               "GET /open": "bet.openBets",
+              "GET /max-stake": "bet.maxStake",
+              "GET /free-bets": "bet.freeBets",
+              "GET /cashout-rules": "bet.cashoutRules",
+              "DELETE /cashout-rules/:ruleId": "bet.cancelCashoutRule",
               "GET /:id": "bet.get",
               "GET /:id/cashout-value": "bet.getCashoutValue",
               "POST /:id/cashout": "bet.cashout",
+              "POST /:id/cashout-rules": "bet.addCashoutRule",
+              "POST /:id/cancel": "bet.cancel",
+              "POST /:id/counter-offer/accept": "bet.acceptCounterOffer",
+              "POST /:id/counter-offer/decline": "bet.declineCounterOffer",
             },
             bodyParsers: {
               json: { limit: "1MB" },
@@ -311,6 +332,11 @@ module.exports = class ApiGatewayService extends Service {
           ctx.meta.ip = req.headers["x-forwarded-for"] ||
             req.connection.remoteAddress;
           ctx.meta.userAgent = req.headers["user-agent"];
+
+          // Forward client idempotency key (honoured by actions with `idempotency: true`)
+          if (req.headers["idempotency-key"]) {
+            ctx.meta.idempotencyKey = req.headers["idempotency-key"];
+          }
         },
 
         /**
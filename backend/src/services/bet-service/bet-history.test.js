@@ -0,0 +1,83 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+const { ServiceBroker } = require("moleculer");
+const { Op } = require("sequelize");
+const BetService = require("./bet.service");
+const config = require("../../config/moleculer.config");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+const meta = { userId: USER_ID };
+
+// Sums by status and stake kind, as PostgreSQL returns them
+const group = (status, freeBet, betCount, { staked, stake = staked, settledAmount = 0, cashoutAmount = 0, totalOdds }) => ({
+  status,
+  freeBet,
+  betCount: String(betCount),
+  staked: String(staked),
+  stake: String(stake),
+  settledAmount: String(settledAmount),
+  cashoutAmount: String(cashoutAmount),
+  totalOdds: String(totalOdds),
+});
+
+describe("Bet history summary", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  broker.createService({ name: "wallet", actions: {} });
+  broker.createService({ name: "odds", actions: {} });
+  const service = broker.createService(BetService);
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => service.model.findAll.mockReset());
+
+  it("sums the bets up in the database by status", async () => {
+    service.model.findAll.mockResolvedValue([]);
+
+    await broker.call("bet.historySummary", {}, { meta });
+
+    const [[query]] = service.model.findAll.mock.calls;
+    expect(query.group).toEqual(["status", expect.anything()]);
+    expect(query.raw).toBe(true);
+    expect(query.where[Op.and]).toEqual([{ userId: USER_ID }, { status: { [Op.ne]: "rejected" } }]);
+  });
+
+  it("counts cashed-out bets at what was staked on them", async () => {
+    service.model.findAll.mockResolvedValue([
+      group("won", false, 2, { staked: 30, settledAmount: 60, totalOdds: 4 }),
+      group("lost", false, 1, { staked: 10, totalOdds: 3 }),
+      // Staked 20, half cashed out for 12, 10 still riding
+      group("partially_cashed_out", false, 1, { staked: 20, stake: 10, cashoutAmount: 12, totalOdds: 2.5 }),
+      group("lost", true, 1, { staked: 5, totalOdds: 2 }),
+    ]);
+
+    const summary = await broker.call("bet.historySummary", {}, { meta });
+
+    expect(summary).toEqual({
+      betCount: 5,
+      openCount: 1,
+      wonCount: 2,
+      lostCount: 2,
+      totalStaked: 60,
+      freeBetStaked: 5,
+      openStake: 10,
+      totalReturned: 72,
+      netProfit: 22,
+      winRate: 0.5,
+      averageOdds: 2.3,
+    });
+  });
+
+  it("filters on the stake a bet was placed with", async () => {
+    service.model.findAll.mockResolvedValue([]);
+
+    await broker.call("bet.historySummary", { minStake: 15 }, { meta });
+
+    const [[{ where }]] = service.model.findAll.mock.calls;
+    const [filters] = where[Op.and];
+    expect(filters.stake).toBeUndefined();
+    expect(JSON.stringify(filters[Op.and][0].attribute.val)).toContain("originalStake");
+  });
+});
@@ -0,0 +1,149 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+const { ServiceBroker } = require("moleculer");
+const { v4: uuidv4 } = require("uuid");
+const BetService = require("./bet.service");
+const config = require("../../config/moleculer.config");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+const meta = { userId: USER_ID };
+
+const slipBet = (selectionId, stake = 10) => ({
+  selections: [{ eventId: `event-${selectionId}`, marketId: "market-1", selectionId, odds: 2 }],
+  stake,
+});
+
+describe("Bet slips", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  const wallet = {
+    lockBatch: jest.fn(),
+    lock: jest.fn(),
+    debit: jest.fn(),
+    credit: jest.fn(),
+    unlock: jest.fn(),
+    byReference: jest.fn(),
+  };
+
+  broker.createService({
+    name: "wallet",
+    actions: Object.fromEntries(Object.entries(wallet).map(([name, fn]) => [name, (ctx) => fn(ctx.params)])),
+  });
+  broker.createService({ name: "odds", actions: {} });
+  const service = broker.createService(BetService);
+
+  // Placement sagas by bet, applying their updates in place like Sequelize instances
+  const sagas = new Map();
+  const liveEvents = new Set();
+
+  const placeSlip = (bets, params = {}) =>
+    broker.call("bet.placeSlip", { bets, allOrNothing: true, ...params }, { meta });
+  const placedEvents = () => broker.emit.mock.calls.filter(([name]) => name === "bet.placed");
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => {
+    sagas.clear();
+    liveEvents.clear();
+    for (const fn of Object.values(wallet)) fn.mockReset();
+    wallet.lockBatch.mockImplementation(async ({ locks }) => ({
+      locks: locks.map((lock) => ({ referenceId: lock.referenceId, lockId: `lock-${lock.referenceId}` })),
+    }));
+    wallet.byReference.mockImplementation(async ({ referenceId }) => ({
+      locks: [],
+      transactions: wallet.debit.mock.calls
+        .filter(([params]) => params.referenceId === referenceId)
+        .map(([params]) => ({ type: "bet_stake", amount: -params.amount })),
+    }));
+
+    service.PlacementSaga.create.mockImplementation(async (data) => {
+      const saga = { id: uuidv4(), ...data };
+      saga.update = jest.fn(async (updates) => Object.assign(saga, updates));
+      sagas.set(data.betId, saga);
+      return saga;
+    });
+
+    jest.spyOn(service, "validateSlipOdds").mockImplementation(async (ctx, bets) => new Map(
+      bets.flatMap((item) => item.selections).map((s) => [`${s.selectionId}:${s.odds}`, { currentOdds: s.odds }])
+    ));
+    jest.spyOn(service, "checkUserLimits").mockResolvedValue();
+    jest.spyOn(service, "getInPlayDelay").mockImplementation(async (ctx, bet) =>
+      (bet.selections.some((s) => liveEvents.has(s.eventId)) ? 5000 : 0)
+    );
+    jest.spyOn(service, "getPlacementSaga").mockImplementation(async (betId) => sagas.get(betId));
+    jest.spyOn(service, "reserveLiability").mockResolvedValue(null);
+    jest.spyOn(service, "releaseLiability").mockResolvedValue();
+    jest.spyOn(service, "saveBet").mockImplementation(async (bet) => bet);
+    jest.spyOn(service, "removeBet").mockResolvedValue();
+    jest.spyOn(service, "restoreFreeBet").mockResolvedValue();
+    jest.spyOn(service, "releaseOddsBoost").mockResolvedValue();
+    jest.spyOn(broker, "emit");
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("publishes the bets of an all-or-nothing slip once every one is placed", async () => {
+    const result = await placeSlip([slipBet("sel-1"), slipBet("sel-2")]);
+
+    expect(result).toMatchObject({ placed: 2, failed: 0 });
+    expect(placedEvents()).toHaveLength(2);
+
+    const [, lastSave] = service.saveBet.mock.invocationCallOrder;
+    const firstPublish = broker.emit.mock.invocationCallOrder[broker.emit.mock.calls.indexOf(placedEvents()[0])];
+    expect(lastSave).toBeLessThan(firstPublish);
+  });
+
+  it("rolls back the placed bets without publishing them when a later one fails", async () => {
+    wallet.debit.mockImplementation(async ({ referenceId }) => {
+      if (wallet.debit.mock.calls.length > 1) throw new Error(`Wallet unavailable for ${referenceId}`);
+      return {};
+    });
+
+    await expect(placeSlip([slipBet("sel-1"), slipBet("sel-2")])).rejects.toMatchObject({ type: "SLIP_REJECTED" });
+
+    const [first] = sagas.values();
+    expect(first.status).toBe("compensated");
+    expect(service.removeBet).toHaveBeenCalledWith(first.betId);
+    expect(wallet.credit).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 10, referenceId: first.betId, referenceType: "bet_refund" })
+    );
+    expect(placedEvents()).toHaveLength(0);
+  });
+
+  it("refuses an all-or-nothing slip with a bet on a live event before taking any stake", async () => {
+    liveEvents.add("event-sel-2");
+
+    const error = await placeSlip([slipBet("sel-1"), slipBet("sel-2")]).catch((err) => err);
+
+    expect(error.type).toBe("SLIP_REJECTED");
+    expect(error.data.results).toEqual([
+      expect.objectContaining({ index: 1, error: expect.objectContaining({ type: "BET_HELD" }) }),
+    ]);
+    expect(wallet.lockBatch).not.toHaveBeenCalled();
+  });
+
+  it("refuses an all-or-nothing slip with a bet a trader would have to accept", async () => {
+    const stake = service.settings.referralStakeThreshold + 1;
+
+    const error = await placeSlip([slipBet("sel-1"), slipBet("sel-2", stake)]).catch((err) => err);
+
+    expect(error.data.results).toEqual([
+      expect.objectContaining({ index: 1, error: expect.objectContaining({ type: "BET_HELD" }) }),
+    ]);
+    expect(wallet.lockBatch).not.toHaveBeenCalled();
+  });
+
+  it("holds a live bet of a slip that is not all-or-nothing", async () => {
+    liveEvents.add("event-sel-2");
+    jest.spyOn(service, "delayPlacement").mockImplementation(async (ctx, bet) =>
+      Object.assign(bet, { status: "pending" })
+    );
+
+    const result = await placeSlip([slipBet("sel-1"), slipBet("sel-2")], { allOrNothing: false });
+
+    expect(result.results.map((r) => r.status)).toEqual(["open", "pending"]);
+    expect(placedEvents()).toHaveLength(1);
+  });
+});
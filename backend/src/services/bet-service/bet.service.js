@@ -1,7 +1,52 @@
 "use strict";
 
 const { Service } = require("moleculer");
+const DbService = require("moleculer-db");
+const { Op } = require("sequelize");
 const { v4: uuidv4 } = require("uuid");
+const { createSqlAdapter } = require("../../lib/db");
+const {
+  ODDS_CHANGE_POLICIES,
+  OPEN_BET_STATUSES,
+  SELECTION_RESULT,
+  SELECTION_RESULTS,
+  VOID_RESULTS,
+  PARTIAL_RESULTS,
+} = require("../../lib/constants");
+const { getResultFactor } = require("../../lib/utils");
+const {
+  BetModel,
+  BetSelectionModel,
+  PlacementSagaModel,
+  CashoutRuleModel,
+  LiabilityModel,
+  UserLimitModel,
+  UserLimitAuditModel,
+  FreeBetModel,
+  SharedSlipModel,
+} = require("./models");
+const PlacementSagaMixin = require("./mixins/placement-saga.mixin");
+const SystemBetMixin = require("./mixins/system-bet.mixin");
+const CashoutMixin = require("./mixins/cashout.mixin");
+const AutoCashoutMixin = require("./mixins/auto-cashout.mixin");
+const EachWayMixin = require("./mixins/each-way.mixin");
+const RiskMixin = require("./mixins/risk.mixin");
+const UserLimitsMixin = require("./mixins/user-limits.mixin");
+const ReferralMixin = require("./mixins/referral.mixin");
+const InPlayMixin = require("./mixins/in-play.mixin");
+const FreeBetMixin = require("./mixins/free-bet.mixin");
+const OddsBoostMixin = require("./mixins/odds-boost.mixin");
+const SameGameMixin = require("./mixins/same-game.mixin");
+const BetSlipMixin = require("./mixins/bet-slip.mixin");
+const CancellationMixin = require("./mixins/cancellation.mixin");
+const ResettlementMixin = require("./mixins/resettlement.mixin");
+const BetHistoryMixin = require("./mixins/bet-history.mixin");
+const SharedSlipMixin = require("./mixins/shared-slip.mixin");
+
+/**
+ * Convert a DECIMAL column value (returned as string by pg) to a number
+ */
+const toNumber = (value) => (value === null || value === undefined ? value : parseFloat(value));
 
 /**
  * Bet Service
@@ -14,7 +59,35 @@ module.exports = class BetService extends Service {
     this.parseServiceSchema({
       name: "bet",
 
+      // DbService goes last: its started() handler runs first and connects the database
+      mixins: [
+        SharedSlipMixin,
+        BetHistoryMixin,
+        ResettlementMixin,
+        CancellationMixin,
+        BetSlipMixin,
+        SameGameMixin,
+        OddsBoostMixin,
+        FreeBetMixin,
+        InPlayMixin,
+        ReferralMixin,
+        EachWayMixin,
+        AutoCashoutMixin,
+        CashoutMixin,
+        SystemBetMixin,
+        PlacementSagaMixin,
+        RiskMixin,
+        UserLimitsMixin,
+        DbService,
+      ],
+
+      adapter: createSqlAdapter(),
+
+      model: BetModel,
+
       settings: {
+        idField: "id",
+
         minStake: parseFloat(process.env.BET_MIN_STAKE) || 0.01,
         maxStake: parseFloat(process.env.BET_MAX_STAKE) || 100000,
         maxSelections: parseInt(process.env.BET_MAX_SELECTIONS, 10) || 20,
@@ -30,17 +103,32 @@ module.exports = class BetService extends Service {
       dependencies: ["wallet", "odds"],
 
       actions: {
+        // Generic moleculer-db CRUD actions are not exposed
+        find: false,
+        count: false,
+        list: false,
+        create: false,
+        insert: false,
+        update: false,
+        remove: false,
+
         /**
          * Place a single bet
          */
         place: {
           rest: "POST /place",
+          idempotency: true,
           params: {
             eventId: { type: "string" },
             marketId: { type: "string" },
             selectionId: { type: "string" },
             odds: { type: "number", positive: true },
-            stake: { type: "number", positive: true },
+            stake: { type: "number", positive: true, optional: true }, // Required unless a free bet is used
+            freeBetId: { type: "uuid", optional: true },
+            boostId: { type: "string", optional: true },
+            oddsChange: { type: "enum", values: ODDS_CHANGE_POLICIES, optional: true },
+            acceptReducedStake: { type: "boolean", optional: true },
+            slipCode: { type: "string", max: 16, optional: true },
           },
           async handler(ctx) {
             const userId = ctx.meta.userId;
@@ -48,30 +136,35 @@ module.exports = class BetService extends Service {
               throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
             }
 
-            const { eventId, marketId, selectionId, odds, stake } = ctx.params;
+            const { eventId, marketId, selectionId, odds, boostId } = ctx.params;
+            const { stake, freeBet } = await this.resolveBetStake(ctx);
 
-            // Validate stake
+            // Validate stake against the global and the user's own limits
             this.validateStake(stake);
-
-            // Validate odds haven't changed
-            const oddsValidation = await ctx.call("odds.validate", {
-              selectionId,
-              expectedOdds: odds,
-              tolerance: this.settings.oddsTolerance,
-            });
-
-            if (!oddsValidation.valid) {
-              throw new this.broker.MoleculerClientError(
-                oddsValidation.reason,
-                409,
-                "ODDS_CHANGED",
-                { expectedOdds: odds, currentOdds: oddsValidation.currentOdds }
+            await this.checkUserLimits(ctx, "single", [{ eventId, marketId }], stake);
+
+            // Boosted bets must take the boosted odds, others are validated against the user's odds-change policy
+            let currentOdds;
+            let boost = null;
+            if (boostId) {
+              boost = await this.getOddsBoost(ctx, boostId, selectionId, odds);
+              currentOdds = boost.boostedOdds;
+            } else {
+              const oddsChange = await this.resolveOddsChangePolicy(ctx);
+              const [validatedSelection] = await this.validateSelectionOdds(
+                ctx,
+                [{ selectionId, odds }],
+                oddsChange
               );
+              currentOdds = validatedSelection.currentOdds;
             }
 
-            const currentOdds = oddsValidation.currentOdds;
             const potentialWin = stake * currentOdds;
 
+            if (freeBet) {
+              await this.checkFreeBetTerms(ctx, freeBet, [{ eventId, marketId }], currentOdds);
+            }
+
             // Validate potential win
             if (potentialWin > this.settings.maxPotentialWin) {
               throw new this.broker.MoleculerClientError(
@@ -81,23 +174,6 @@ module.exports = class BetService extends Service {
               );
             }
 
-            // Lock funds in wallet
-            let lockResult;
-            try {
-              lockResult = await ctx.call("wallet.lock", {
-                userId,
-                amount: stake,
-                referenceId: uuidv4(), // Temporary, will be replaced with bet ID
-                referenceType: "bet",
-              });
-            } catch (error) {
-              throw new this.broker.MoleculerClientError(
-                error.message || "Insufficient funds",
-                400,
-                "INSUFFICIENT_FUNDS"
-              );
-            }
-
             // Create bet
             const bet = {
               id: uuidv4(),
@@ -113,7 +189,9 @@ module.exports = class BetService extends Service {
               settledAt: null,
               ipAddress: ctx.meta.ip,
               userAgent: ctx.meta.userAgent,
-              lockId: lockResult.lockId,
+              lockId: null,
+              ...(freeBet ? { freeBetId: freeBet.id } : {}),
+              ...(boost ? { boost } : {}),
               selections: [
                 {
                   id: uuidv4(),
@@ -121,45 +199,36 @@ module.exports = class BetService extends Service {
                   marketId,
                   selectionId,
                   oddsAtPlacement: currentOdds,
+                  requestedOdds: odds,
+                  ...(boost ? { feedOdds: boost.feedOdds } : {}),
                   status: "pending",
                 },
               ],
             };
 
-            // Debit funds from wallet
-            try {
-              await ctx.call("wallet.debit", {
-                userId,
-                amount: stake,
-                lockId: lockResult.lockId,
-                referenceId: bet.id,
-                referenceType: "bet_stake",
-              });
-            } catch (error) {
-              // Release lock if debit fails
-              await ctx.call("wallet.unlock", { lockId: lockResult.lockId });
-              throw error;
-            }
-
-            // Save bet
-            await this.saveBet(bet);
-
-            this.logger.info(`Bet placed: ${bet.id} by user ${userId}, stake: ${stake}, odds: ${currentOdds}`);
-
-            // Emit event
-            this.broker.emit("bet.placed", {
+            // Lock, debit and save through the placement saga
+            await this.executePlacement(ctx, bet, {
               betId: bet.id,
               userId,
               stake,
               potentialWin,
               selectionId,
+              ...(boost ? { boostId } : {}),
             });
 
+            this.logger.info(`Bet placed: ${bet.id} by user ${userId}, stake: ${bet.stake}, odds: ${currentOdds}`);
+
             return {
               betId: bet.id,
               status: bet.status,
               stake: bet.stake,
+              requestedStake: stake,
+              stakeReduced: bet.stake !== stake,
+              ...(freeBet ? { freeBetId: freeBet.id } : {}),
               odds: bet.totalOdds,
+              ...(bet.boost ? { boostId, feedOdds: bet.boost.feedOdds } : {}),
+              requestedOdds: odds,
+              oddsChanged: currentOdds !== odds,
               potentialWin: bet.potentialWin,
               placedAt: bet.placedAt,
             };
@@ -171,6 +240,7 @@ module.exports = class BetService extends Service {
          */
         placeAccumulator: {
           rest: "POST /place/accumulator",
+          idempotency: true,
           params: {
             selections: {
               type: "array",
@@ -185,7 +255,11 @@ module.exports = class BetService extends Service {
                 },
               },
             },
-            stake: { type: "number", positive: true },
+            stake: { type: "number", positive: true, optional: true }, // Required unless a free bet is used
+            freeBetId: { type: "uuid", optional: true },
+            oddsChange: { type: "enum", values: ODDS_CHANGE_POLICIES, optional: true },
+            acceptReducedStake: { type: "boolean", optional: true },
+            slipCode: { type: "string", max: 16, optional: true },
           },
           async handler(ctx) {
             const userId = ctx.meta.userId;
@@ -193,60 +267,28 @@ module.exports = class BetService extends Service {
               throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
             }
 
-            const { selections, stake } = ctx.params;
+            const { selections } = ctx.params;
+            const { stake, freeBet } = await this.resolveBetStake(ctx);
 
-            // Validate number of selections
-            if (selections.length > this.settings.maxSelections) {
-              throw new this.broker.MoleculerClientError(
-                `Maximum ${this.settings.maxSelections} selections allowed`,
-                400,
-                "MAX_SELECTIONS_EXCEEDED"
-              );
-            }
+            // Validate number of selections and events
+            this.validateSelections(selections);
 
-            // Check for duplicate events
-            const eventIds = selections.map((s) => s.eventId);
-            if (new Set(eventIds).size !== eventIds.length) {
-              throw new this.broker.MoleculerClientError(
-                "Cannot have multiple selections from the same event",
-                400,
-                "DUPLICATE_EVENT"
-              );
-            }
-
-            // Validate stake
+            // Validate stake against the global and the user's own limits
             this.validateStake(stake);
+            await this.checkUserLimits(ctx, "accumulator", selections, stake);
+
+            // Validate all odds against the user's odds-change policy and calculate combined odds
+            const oddsChange = await this.resolveOddsChangePolicy(ctx);
+            const validatedSelections = await this.validateSelectionOdds(ctx, selections, oddsChange);
+            const combinedOdds = Math.round(
+              validatedSelections.reduce((acc, s) => acc * s.currentOdds, 1) * 100
+            ) / 100;
+            const potentialWin = Math.round(stake * combinedOdds * 100) / 100;
 
-            // Validate all odds and calculate combined odds
-            const validatedSelections = [];
-            let combinedOdds = 1;
-
-            for (const selection of selections) {
-              const oddsValidation = await ctx.call("odds.validate", {
-                selectionId: selection.selectionId,
-                expectedOdds: selection.odds,
-                tolerance: this.settings.oddsTolerance,
-              });
-
-              if (!oddsValidation.valid) {
-                throw new this.broker.MoleculerClientError(
-                  `Odds changed for selection ${selection.selectionId}: ${oddsValidation.reason}`,
-                  409,
-                  "ODDS_CHANGED",
-                  { selectionId: selection.selectionId, ...oddsValidation }
-                );
-              }
-
-              combinedOdds *= oddsValidation.currentOdds;
-              validatedSelections.push({
-                ...selection,
-                currentOdds: oddsValidation.currentOdds,
-              });
+            if (freeBet) {
+              await this.checkFreeBetTerms(ctx, freeBet, selections, combinedOdds);
             }
 
-            combinedOdds = Math.round(combinedOdds * 100) / 100;
-            const potentialWin = Math.round(stake * combinedOdds * 100) / 100;
-
             // Validate potential win
             if (potentialWin > this.settings.maxPotentialWin) {
               throw new this.broker.MoleculerClientError(
@@ -256,23 +298,6 @@ module.exports = class BetService extends Service {
               );
             }
 
-            // Lock funds
-            let lockResult;
-            try {
-              lockResult = await ctx.call("wallet.lock", {
-                userId,
-                amount: stake,
-                referenceId: uuidv4(),
-                referenceType: "bet",
-              });
-            } catch (error) {
-              throw new this.broker.MoleculerClientError(
-                error.message || "Insufficient funds",
-                400,
-                "INSUFFICIENT_FUNDS"
-              );
-            }
-
             // Create bet
             const bet = {
               id: uuidv4(),
@@ -288,41 +313,21 @@ module.exports = class BetService extends Service {
               settledAt: null,
               ipAddress: ctx.meta.ip,
               userAgent: ctx.meta.userAgent,
-              lockId: lockResult.lockId,
+              lockId: null,
+              ...(freeBet ? { freeBetId: freeBet.id } : {}),
               selections: validatedSelections.map((s) => ({
                 id: uuidv4(),
                 eventId: s.eventId,
                 marketId: s.marketId,
                 selectionId: s.selectionId,
                 oddsAtPlacement: s.currentOdds,
+                requestedOdds: s.odds,
                 status: "pending",
               })),
             };
 
-            // Debit funds
-            try {
-              await ctx.call("wallet.debit", {
-                userId,
-                amount: stake,
-                lockId: lockResult.lockId,
-                referenceId: bet.id,
-                referenceType: "bet_stake",
-              });
-            } catch (error) {
-              await ctx.call("wallet.unlock", { lockId: lockResult.lockId });
-              throw error;
-            }
-
-            // Save bet
-            await this.saveBet(bet);
-
-            this.logger.info(
-              `Accumulator bet placed: ${bet.id} by user ${userId}, ` +
-              `stake: ${stake}, selections: ${selections.length}, odds: ${combinedOdds}`
-            );
-
-            // Emit event
-            this.broker.emit("bet.placed", {
+            // Lock, debit and save through the placement saga
+            await this.executePlacement(ctx, bet, {
               betId: bet.id,
               userId,
               stake,
@@ -331,14 +336,23 @@ module.exports = class BetService extends Service {
               selectionCount: selections.length,
             });
 
+            this.logger.info(
+              `Accumulator bet placed: ${bet.id} by user ${userId}, ` +
+              `stake: ${bet.stake}, selections: ${selections.length}, odds: ${combinedOdds}`
+            );
+
             return {
               betId: bet.id,
               status: bet.status,
               betType: bet.betType,
               stake: bet.stake,
+              requestedStake: stake,
+              stakeReduced: bet.stake !== stake,
+              ...(freeBet ? { freeBetId: freeBet.id } : {}),
               totalOdds: bet.totalOdds,
               potentialWin: bet.potentialWin,
               selections: bet.selections.length,
+              oddsChanges: this.getOddsChanges(validatedSelections),
               placedAt: bet.placedAt,
             };
           },
@@ -352,6 +366,7 @@ module.exports = class BetService extends Service {
           params: {
             id: { type: "uuid" },
           },
+          cache: false,
           async handler(ctx) {
             const userId = ctx.meta.userId;
             const bet = await this.getBetById(ctx.params.id);
@@ -369,27 +384,6 @@ module.exports = class BetService extends Service {
           },
         },
 
-        /**
-         * Get user's bet history
-         */
-        history: {
-          rest: "GET /history",
-          params: {
-            page: { type: "number", integer: true, min: 1, default: 1, optional: true },
-            limit: { type: "number", integer: true, min: 1, max: 100, default: 20, optional: true },
-            status: { type: "string", optional: true },
-          },
-          async handler(ctx) {
-            const userId = ctx.meta.userId;
-            if (!userId) {
-              throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
-            }
-
-            const { page, limit, status } = ctx.params;
-            return this.getUserBets(userId, { page, limit, status });
-          },
-        },
-
         /**
          * Get user's open bets
          */
@@ -405,115 +399,6 @@ module.exports = class BetService extends Service {
           },
         },
 
-        /**
-         * Cash out a bet
-         */
-        cashout: {
-          rest: "POST /:id/cashout",
-          params: {
-            id: { type: "uuid" },
-          },
-          async handler(ctx) {
-            const userId = ctx.meta.userId;
-            if (!userId) {
-              throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
-            }
-
-            const bet = await this.getBetById(ctx.params.id);
-
-            if (!bet) {
-              throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
-            }
-
-            if (bet.userId !== userId) {
-              throw new this.broker.MoleculerClientError("Access denied", 403, "ACCESS_DENIED");
-            }
-
-            if (bet.status !== "open") {
-              throw new this.broker.MoleculerClientError(
-                "Bet is not eligible for cashout",
-                400,
-                "CASHOUT_NOT_AVAILABLE"
-              );
-            }
-
-            // Calculate cashout value (simplified - in reality this would be more complex)
-            const cashoutValue = this.calculateCashoutValue(bet);
-
-            if (!cashoutValue || cashoutValue <= 0) {
-              throw new this.broker.MoleculerClientError(
-                "Cashout not available for this bet",
-                400,
-                "CASHOUT_NOT_AVAILABLE"
-              );
-            }
-
-            // Credit cashout amount to wallet
-            await ctx.call("wallet.credit", {
-              userId,
-              amount: cashoutValue,
-              referenceId: bet.id,
-              referenceType: "bet_win", // Treated as a partial win
-            });
-
-            // Update bet status
-            bet.status = "cashed_out";
-            bet.cashoutAmount = cashoutValue;
-            bet.settledAt = new Date();
-            await this.saveBet(bet);
-
-            this.logger.info(`Bet ${bet.id} cashed out for ${cashoutValue}`);
-
-            // Emit event
-            this.broker.emit("bet.cashedOut", {
-              betId: bet.id,
-              userId,
-              cashoutAmount: cashoutValue,
-            });
-
-            return {
-              betId: bet.id,
-              status: bet.status,
-              cashoutAmount: cashoutValue,
-            };
-          },
-        },
-
-        /**
-         * Get cashout value for a bet
-         */
-        getCashoutValue: {
-          rest: "GET /:id/cashout-value",
-          params: {
-            id: { type: "uuid" },
-          },
-          async handler(ctx) {
-            const userId = ctx.meta.userId;
-            const bet = await this.getBetById(ctx.params.id);
-
-            if (!bet) {
-              throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
-            }
-
-            if (userId && bet.userId !== userId) {
-              throw new this.broker.MoleculerClientError("Access denied", 403, "ACCESS_DENIED");
-            }
-
-            if (bet.status !== "open") {
-              return { available: false, reason: "Bet is not open" };
-            }
-
-            const cashoutValue = this.calculateCashoutValue(bet);
-
-            return {
-              available: cashoutValue > 0,
-              value: cashoutValue,
-              originalStake: bet.stake,
-              potentialWin: bet.potentialWin,
-            };
-          },
-        },
-
         /**
          * Settle a bet (called by settlement-service)
          */
@@ -532,14 +417,39 @@ module.exports = class BetService extends Service {
               throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
             }
 
-            if (bet.status !== "open") {
+            if (!OPEN_BET_STATUSES.includes(bet.status)) {
               throw new this.broker.MoleculerClientError("Bet already settled", 400, "BET_ALREADY_SETTLED");
             }
 
-            bet.status = result === "won" ? "won" : result === "lost" ? "lost" : "void";
+            if (result === "partial" && settledAmount === undefined) {
+              throw new this.broker.MoleculerClientError(
+                "Partial settlement requires a settled amount",
+                400,
+                "INVALID_SETTLEMENT"
+              );
+            }
+
+            // A partial return is won, void or lost depending on how it compares to the stake
+            bet.status = result === "partial"
+              ? this.getReturnResult(settledAmount, bet.stake)
+              : result === "won" ? "won" : result === "lost" ? "lost" : "void";
             bet.settledAt = new Date();
 
-            if (result === "won") {
+            if (bet.freeBetId) {
+              // Free bets pay the winnings only
+              await this.settleFreeBet(ctx, bet, result, settledAmount);
+            } else if (result === "partial") {
+              bet.settledAmount = settledAmount;
+
+              if (settledAmount > 0) {
+                await ctx.call("wallet.credit", {
+                  userId: bet.userId,
+                  amount: settledAmount,
+                  referenceId: bet.id,
+                  referenceType: settledAmount > bet.stake ? "bet_win" : "bet_refund",
+                });
+              }
+            } else if (result === "won") {
               bet.settledAmount = settledAmount || bet.potentialWin;
 
               // Credit winnings
@@ -563,15 +473,16 @@ module.exports = class BetService extends Service {
               bet.settledAmount = 0;
             }
 
+            await this.syncBetLiability(bet);
             await this.saveBet(bet);
 
-            this.logger.info(`Bet ${betId} settled: ${result}, amount: ${bet.settledAmount}`);
+            this.logger.info(`Bet ${betId} settled: ${bet.status}, amount: ${bet.settledAmount}`);
 
             // Emit event
             this.broker.emit("bet.settled", {
               betId: bet.id,
               userId: bet.userId,
-              result,
+              result: bet.status,
               settledAmount: bet.settledAmount,
             });
 
@@ -585,12 +496,12 @@ module.exports = class BetService extends Service {
         getBySelection: {
           params: {
             selectionId: { type: "string" },
-            status: { type: "string", default: "open" },
+            status: { type: "string", optional: true },
           },
           visibility: "protected",
           async handler(ctx) {
             const { selectionId, status } = ctx.params;
-            return this.getBetsBySelection(selectionId, status);
+            return this.getBetsBySelection(selectionId, status || OPEN_BET_STATUSES);
           },
         },
 
@@ -608,9 +519,19 @@ module.exports = class BetService extends Service {
         /**
          * Handle selection settled event
          */
-        "selection.settled"(ctx) {
-          const { selectionId, result } = ctx.params;
-          this.handleSelectionSettled(selectionId, result);
+        async "selection.settled"(ctx) {
+          const { selectionId, result, position, deadHeatFactor, tiedCount } = ctx.params;
+
+          if (!SELECTION_RESULTS.includes(result)) {
+            this.logger.warn(`Ignoring unknown result "${result}" for selection ${selectionId}`);
+            return;
+          }
+
+          try {
+            await this.handleSelectionSettled(selectionId, result, { position, deadHeatFactor, tiedCount });
+          } catch (error) {
+            this.logger.error(`Failed to settle bets on selection ${selectionId}:`, error.message);
+          }
         },
       },
 
@@ -636,151 +557,377 @@ module.exports = class BetService extends Service {
         },
 
         /**
-         * Calculate cashout value
+         * Validate selection count and reject multiple selections from one event
+         */
+        validateSelections(selections) {
+          if (selections.length > this.settings.maxSelections) {
+            throw new this.broker.MoleculerClientError(
+              `Maximum ${this.settings.maxSelections} selections allowed`,
+              400,
+              "MAX_SELECTIONS_EXCEEDED"
+            );
+          }
+
+          const eventIds = selections.map((s) => s.eventId);
+          if (new Set(eventIds).size !== eventIds.length) {
+            throw new this.broker.MoleculerClientError(
+              "Cannot have multiple selections from the same event",
+              400,
+              "DUPLICATE_EVENT"
+            );
+          }
+        },
+
+        /**
+         * Resolve the odds-change policy from the request or the user's saved preference
+         * Returns null when neither is set, which keeps the default tolerance check
          */
-        calculateCashoutValue(bet) {
-          // Simplified cashout calculation
-          // In reality, this would consider:
-          // - Current odds vs placement odds
-          // - Number of selections settled
-          // - Market liquidity
-          // - Margin/vig
+        async resolveOddsChangePolicy(ctx) {
+          if (ctx.params.oddsChange) {
+            return ctx.params.oddsChange;
+          }
 
-          if (bet.status !== "open") return 0;
+          try {
+            const user = await ctx.call("user.get", { id: ctx.meta.userId });
+            return (user.preferences && user.preferences.oddsChange) || null;
+          } catch (error) {
+            this.logger.warn(`Failed to load odds-change preference for user ${ctx.meta.userId}:`, error.message);
+            return null;
+          }
+        },
+
+        /**
+         * Check whether a price move is acceptable under an odds-change policy
+         */
+        acceptsOddsChange(policy, requestedOdds, currentOdds) {
+          // Suspended or unknown selections carry no current price
+          if (currentOdds === undefined) return false;
 
-          const settledWinners = bet.selections.filter((s) => s.status === "won").length;
-          const pending = bet.selections.filter((s) => s.status === "pending").length;
-          const lost = bet.selections.filter((s) => s.status === "lost").length;
+          if (policy === "accept_any") return true;
+          if (policy === "accept_higher") return currentOdds > requestedOdds;
+          return false;
+        },
 
-          // If any selection lost, no cashout
-          if (lost > 0) return 0;
+        /**
+         * Validate the odds of every selection against current prices
+         * With a policy set, any move is handled by the policy instead of the tolerance
+         */
+        async validateSelectionOdds(ctx, selections, policy = null) {
+          const validatedSelections = [];
 
-          // If no pending selections, bet should be settled
-          if (pending === 0) return 0;
+          for (const selection of selections) {
+            const oddsValidation = await ctx.call("odds.validate", {
+              selectionId: selection.selectionId,
+              expectedOdds: selection.odds,
+              tolerance: policy ? 0 : this.settings.oddsTolerance,
+            });
 
-          // Calculate partial cashout value
-          // Winners increase value, pending reduce it (due to uncertainty)
-          const winnerOdds = bet.selections
-            .filter((s) => s.status === "won")
-            .reduce((acc, s) => acc * s.oddsAtPlacement, 1);
+            if (!oddsValidation.valid &&
+              !this.acceptsOddsChange(policy, selection.odds, oddsValidation.currentOdds)) {
+              throw new this.broker.MoleculerClientError(
+                `Odds changed for selection ${selection.selectionId}: ${oddsValidation.reason}`,
+                409,
+                "ODDS_CHANGED",
+                { selectionId: selection.selectionId, ...oddsValidation }
+              );
+            }
 
-          const progressValue = bet.stake * winnerOdds;
+            validatedSelections.push({
+              ...selection,
+              currentOdds: oddsValidation.currentOdds,
+            });
+          }
 
-          // Apply margin (house takes ~10%)
-          const cashoutValue = progressValue * 0.9;
+          return validatedSelections;
+        },
 
-          return Math.round(cashoutValue * 100) / 100;
+        /**
+         * List the selections placed at a different price than requested
+         */
+        getOddsChanges(validatedSelections) {
+          return validatedSelections
+            .filter((s) => s.currentOdds !== s.odds)
+            .map((s) => ({ selectionId: s.selectionId, requestedOdds: s.odds, appliedOdds: s.currentOdds }));
         },
 
         /**
          * Handle selection settled
          */
-        async handleSelectionSettled(selectionId, result) {
-          const bets = await this.getBetsBySelection(selectionId, "open");
+        async handleSelectionSettled(selectionId, result, { position, deadHeatFactor, tiedCount } = {}) {
+          const legResult = { status: result, settledAt: new Date() };
+          if (position) legResult.position = position;
+          if (tiedCount) legResult.tiedCount = tiedCount;
+          if (result === SELECTION_RESULT.DEAD_HEAT) legResult.deadHeatFactor = deadHeatFactor;
+
+          const bets = await this.getBetsBySelection(selectionId, OPEN_BET_STATUSES);
 
           for (const bet of bets) {
-            // Update selection status in bet
-            const selection = bet.selections.find((s) => s.selectionId === selectionId);
-            if (selection) {
-              selection.status = result;
-              selection.settledAt = new Date();
+            const leg = bet.selections.find((s) => s.selectionId === selectionId);
+            if (!leg) continue;
+
+            try {
+              const settlement = await this.settleBetLeg(bet, leg, legResult);
+              if (settlement) {
+                await this.broker.call("bet.settle", { betId: bet.id, ...settlement });
+              }
+            } catch (error) {
+              this.logger.error(`Failed to settle selection ${selectionId} on bet ${bet.id}:`, error.message);
             }
+          }
+        },
 
-            // Check if bet should be settled
-            const pending = bet.selections.filter((s) => s.status === "pending").length;
-            const lost = bet.selections.filter((s) => s.status === "lost" || s.status === "loser").length;
-            const voided = bet.selections.filter((s) => s.status === "void").length;
+        /**
+         * Record the result of one leg and decide whether its bet is settled
+         * The bet row is locked while the leg is written and the bet read back, so results for
+         * legs of the same bet arriving together are applied one at a time and the last one sees
+         * them all. Returns the `bet.settle` params once the bet is decided.
+         */
+        async settleBetLeg(bet, leg, legResult) {
+          return this.adapter.db.transaction(async (transaction) => {
+            await this.model.findByPk(bet.id, { attributes: ["id"], lock: transaction.LOCK.UPDATE, transaction });
+
+            // A repeated result finds the leg already settled and leaves the bet to the first one
+            const [updated] = await this.BetSelection.update(
+              this.toRecord(this.BetSelection, { ...leg, ...legResult, betId: bet.id }),
+              { where: { id: leg.id, status: "pending" }, transaction }
+            );
+            if (updated === 0) return null;
 
-            if (lost > 0) {
-              // Any loser = bet lost
-              await this.broker.call("bet.settle", {
-                betId: bet.id,
-                result: "lost",
-              });
-            } else if (pending === 0) {
-              // All selections settled and no losers = bet won
-              // Recalculate odds excluding voided selections
-              const activeSelections = bet.selections.filter((s) => s.status !== "void");
-              const finalOdds = activeSelections.reduce((acc, s) => acc * s.oddsAtPlacement, 1);
-              const settledAmount = bet.stake * finalOdds;
-
-              await this.broker.call("bet.settle", {
-                betId: bet.id,
-                result: voided > 0 && activeSelections.length === 0 ? "void" : "won",
-                settledAmount,
-              });
+            const current = await this.getBetById(bet.id, { transaction });
+            if (!current || !OPEN_BET_STATUSES.includes(current.status)) return null;
+
+            const settlement = this.getBetSettlement(current);
+
+            // System lines and each-way parts are kept as they are resulted
+            if (current.lines || current.parts) {
+              await this.saveBet(current, { transaction });
             }
 
-            await this.saveBet(bet);
+            return settlement;
+          });
+        },
+
+        /**
+         * Settlement of a bet from its leg results, or null while it is still running
+         */
+        getBetSettlement(bet) {
+          // System bets settle line by line, each-way bets part by part, same-game parlays at a new price
+          if (bet.betType === "system") return this.getSystemSettlement(bet);
+          if (bet.betType === "each_way") return this.getEachWaySettlement(bet);
+          if (bet.betType === "same_game") return this.getSameGameSettlement(bet);
+
+          // Any loser = bet lost
+          if (bet.selections.some((s) => s.status === SELECTION_RESULT.LOST)) {
+            return { result: "lost" };
           }
+          if (bet.selections.some((s) => s.status === "pending")) return null;
+
+          // All selections settled and no losers, each leg contributes its return factor
+          const finalOdds = bet.selections.reduce((acc, s) => acc * this.getLegFactor(s), 1);
+          const settledAmount = Math.round(bet.stake * finalOdds * 100) / 100;
+          const allVoid = bet.selections.every((s) => VOID_RESULTS.includes(s.status));
+          const partial = bet.selections.some((s) => PARTIAL_RESULTS.includes(s.status));
+
+          return { result: allVoid ? "void" : partial ? "partial" : "won", settledAmount };
+        },
+
+        /**
+         * Return factor of a resulted leg
+         */
+        getLegFactor(leg) {
+          return getResultFactor(leg.status, leg.oddsAtPlacement, leg.deadHeatFactor);
         },
 
-        // Data access methods (in-memory, replace with DB)
-        async getBetById(id) {
-          return this.bets.get(id);
+        /**
+         * Classify a settlement return against the stake it was made on
+         */
+        getReturnResult(amount, stake) {
+          if (amount > stake) return "won";
+          if (amount === stake) return "void";
+          return "lost";
         },
 
-        async saveBet(bet) {
-          this.bets.set(bet.id, bet);
+        /**
+         * Sequelize include for a bet's selections
+         */
+        selectionsInclude() {
+          return [{ model: this.BetSelection, as: "selections" }];
+        },
 
-          // Index by user
-          const userBets = this.userBetsIndex.get(bet.userId) || [];
-          if (!userBets.includes(bet.id)) {
-            userBets.push(bet.id);
-            this.userBetsIndex.set(bet.userId, userBets);
-          }
+        /**
+         * Convert a bet row to the plain bet object used by the service
+         */
+        toBet(row) {
+          if (!row) return null;
+
+          const { metadata, selections, ...columns } = row.get({ plain: true });
+
+          return {
+            ...metadata,
+            ...columns,
+            stake: toNumber(columns.stake),
+            potentialWin: toNumber(columns.potentialWin),
+            totalOdds: toNumber(columns.totalOdds),
+            settledAmount: toNumber(columns.settledAmount),
+            cashoutAmount: toNumber(columns.cashoutAmount),
+            selections: (selections || [])
+              .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+              .map(({ metadata: selectionMetadata, betId, createdAt, ...selection }) => ({
+                ...selectionMetadata,
+                ...selection,
+                oddsAtPlacement: toNumber(selection.oddsAtPlacement),
+              })),
+          };
+        },
 
-          // Index by selection
-          for (const selection of bet.selections) {
-            const selectionBets = this.selectionBetsIndex.get(selection.selectionId) || [];
-            if (!selectionBets.includes(bet.id)) {
-              selectionBets.push(bet.id);
-              this.selectionBetsIndex.set(selection.selectionId, selectionBets);
+        /**
+         * Split an object into model columns and metadata
+         */
+        toRecord(model, data) {
+          const record = { metadata: {} };
+          for (const [key, value] of Object.entries(data)) {
+            if (key in model.rawAttributes) {
+              record[key] = value;
+            } else {
+              record.metadata[key] = value;
             }
           }
+          return record;
         },
 
-        async getUserBets(userId, { page = 1, limit = 20, status }) {
-          const betIds = this.userBetsIndex.get(userId) || [];
-          let bets = betIds.map((id) => this.bets.get(id)).filter(Boolean);
-
-          if (status) {
-            bets = bets.filter((b) => b.status === status);
-          }
+        // Data access methods (PostgreSQL via moleculer-db-adapter-sequelize)
+        async getBetById(id, { transaction } = {}) {
+          const row = await this.model.findByPk(id, { include: this.selectionsInclude(), transaction });
+          return this.toBet(row);
+        },
 
-          // Sort by placed date descending
-          bets.sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt));
+        async saveBet(bet, { transaction } = {}) {
+          const { selections, ...data } = bet;
 
-          const total = bets.length;
-          const start = (page - 1) * limit;
-          const items = bets.slice(start, start + limit);
+          const save = async (t) => {
+            await this.model.upsert(this.toRecord(this.model, data), { transaction: t });
 
-          return {
-            items,
-            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+            for (const selection of selections) {
+              await this.BetSelection.upsert(
+                this.toRecord(this.BetSelection, { ...selection, betId: bet.id }),
+                { transaction: t }
+              );
+            }
           };
+
+          await (transaction ? save(transaction) : this.adapter.db.transaction(save));
+        },
+
+        async removeBet(id) {
+          await this.adapter.db.transaction(async (transaction) => {
+            await this.BetSelection.destroy({ where: { betId: id }, transaction });
+            await this.model.destroy({ where: { id }, transaction });
+          });
         },
 
         async getUserOpenBets(userId) {
-          const betIds = this.userBetsIndex.get(userId) || [];
-          return betIds
-            .map((id) => this.bets.get(id))
-            .filter((b) => b && b.status === "open")
-            .sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt));
+          const rows = await this.model.findAll({
+            where: { userId, status: OPEN_BET_STATUSES },
+            include: this.selectionsInclude(),
+            order: [["placedAt", "DESC"]],
+          });
+          return rows.map((row) => this.toBet(row));
         },
 
-        async getBetsBySelection(selectionId, status = "open") {
-          const betIds = this.selectionBetsIndex.get(selectionId) || [];
-          return betIds
-            .map((id) => this.bets.get(id))
-            .filter((b) => b && b.status === status);
+        async getBetsBySelection(selectionId, status = OPEN_BET_STATUSES) {
+          const legs = await this.BetSelection.findAll({
+            attributes: ["betId"],
+            where: { selectionId },
+          });
+          if (legs.length === 0) return [];
+
+          const rows = await this.model.findAll({
+            where: { id: { [Op.in]: legs.map((leg) => leg.betId) }, status },
+            include: this.selectionsInclude(),
+          });
+          return rows.map((row) => this.toBet(row));
         },
+
+        async getBetsByMarket(marketId, status = OPEN_BET_STATUSES) {
+          const legs = await this.BetSelection.findAll({
+            attributes: ["betId"],
+            where: { marketId },
+          });
+          if (legs.length === 0) return [];
+
+          const rows = await this.model.findAll({
+            where: { id: { [Op.in]: legs.map((leg) => leg.betId) }, status },
+            include: this.selectionsInclude(),
+          });
+          return rows.map((row) => this.toBet(row));
+        },
+      },
+
+      /**
+       * Register the remaining models once the database is connected
+       */
+      afterConnected() {
+        this.BetSelection = this.adapter.db.define(
+          BetSelectionModel.name,
+          BetSelectionModel.define,
+          BetSelectionModel.options
+        );
+
+        this.model.hasMany(this.BetSelection, { as: "selections", foreignKey: "betId" });
+        this.BetSelection.belongsTo(this.model, { foreignKey: "betId" });
+
+        this.PlacementSaga = this.adapter.db.define(
+          PlacementSagaModel.name,
+          PlacementSagaModel.define,
+          PlacementSagaModel.options
+        );
+
+        this.CashoutRule = this.adapter.db.define(
+          CashoutRuleModel.name,
+          CashoutRuleModel.define,
+          CashoutRuleModel.options
+        );
+
+        this.Liability = this.adapter.db.define(
+          LiabilityModel.name,
+          LiabilityModel.define,
+          LiabilityModel.options
+        );
+
+        this.UserLimit = this.adapter.db.define(
+          UserLimitModel.name,
+          UserLimitModel.define,
+          UserLimitModel.options
+        );
+
+        this.UserLimitAudit = this.adapter.db.define(
+          UserLimitAuditModel.name,
+          UserLimitAuditModel.define,
+          UserLimitAuditModel.options
+        );
+
+        this.FreeBet = this.adapter.db.define(
+          FreeBetModel.name,
+          FreeBetModel.define,
+          FreeBetModel.options
+        );
+
+        this.SharedSlip = this.adapter.db.define(
+          SharedSlipModel.name,
+          SharedSlipModel.define,
+          SharedSlipModel.options
+        );
       },
 
       created() {
-        this.bets = new Map();
-        this.userBetsIndex = new Map();
-        this.selectionBetsIndex = new Map();
+        this.BetSelection = null;
+        this.PlacementSaga = null;
+        this.CashoutRule = null;
+        this.Liability = null;
+        this.UserLimit = null;
+        this.UserLimitAudit = null;
+        this.FreeBet = null;
+        this.SharedSlip = null;
       },
 
       async started() {
@@ -0,0 +1,96 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+const { ServiceBroker } = require("moleculer");
+const { v4: uuidv4 } = require("uuid");
+const BetService = require("./bet.service");
+const config = require("../../config/moleculer.config");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+
+const createBet = (extra = {}) => ({
+  id: uuidv4(),
+  userId: USER_ID,
+  betType: "single",
+  status: "open",
+  stake: 10,
+  totalOdds: 2,
+  potentialWin: 20,
+  settledAmount: null,
+  settledAt: null,
+  selections: [{ id: uuidv4(), selectionId: "sel-1", eventId: "event-1", oddsAtPlacement: 2, status: "pending" }],
+  ...extra,
+});
+
+describe("Bet voiding", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  const credit = jest.fn();
+
+  broker.createService({ name: "wallet", actions: { credit: (ctx) => credit(ctx.params) } });
+  broker.createService({ name: "odds", actions: {} });
+  const service = broker.createService(BetService);
+
+  // Bet rows, conditional updates only apply while the row still matches
+  const bets = new Map();
+
+  const voidBet = (bet) => broker.call("bet.void", { id: bet.id, reason: "Palpable error" });
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => {
+    bets.clear();
+    credit.mockReset();
+    credit.mockResolvedValue({});
+
+    service.model.update.mockImplementation(async (values, { where }) => {
+      const row = bets.get(where.id);
+      const matches = ([field, value]) => (Array.isArray(value) ? value.includes(row[field]) : row[field] === value);
+      if (!row || !Object.entries(where).every(matches)) return [0];
+      Object.assign(row, values);
+      return [1];
+    });
+
+    jest.spyOn(service, "getBetById").mockImplementation(async (id) =>
+      bets.has(id) ? structuredClone(bets.get(id)) : null
+    );
+    jest.spyOn(service, "saveBet").mockImplementation(async (bet) => bets.set(bet.id, structuredClone(bet)));
+    jest.spyOn(service, "syncBetLiability").mockResolvedValue();
+    jest.spyOn(service, "restoreFreeBet").mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("refunds the stake of a voided bet", async () => {
+    const bet = createBet();
+    bets.set(bet.id, bet);
+
+    await voidBet(bet);
+
+    expect(bets.get(bet.id)).toMatchObject({ status: "void", settledAmount: 10 });
+    expect(credit).toHaveBeenCalledWith(expect.objectContaining({ amount: 10, referenceType: "bet_refund" }));
+  });
+
+  it("puts the bet back when the refund fails so it can be voided again", async () => {
+    const bet = createBet();
+    bets.set(bet.id, bet);
+    credit.mockRejectedValueOnce(new Error("Wallet unavailable"));
+
+    await expect(voidBet(bet)).rejects.toThrow("Wallet unavailable");
+    expect(bets.get(bet.id)).toMatchObject({ status: "open", settledAt: null });
+
+    await voidBet(bet);
+    expect(bets.get(bet.id)).toMatchObject({ status: "void", settledAmount: 10 });
+  });
+
+  it("puts a free bet back when its token cannot be restored", async () => {
+    const bet = createBet({ freeBetId: uuidv4() });
+    bets.set(bet.id, bet);
+    service.restoreFreeBet.mockRejectedValueOnce(new Error("Database unavailable"));
+
+    await expect(voidBet(bet)).rejects.toThrow("Database unavailable");
+
+    expect(bets.get(bet.id)).toMatchObject({ status: "open", settledAt: null });
+  });
+});
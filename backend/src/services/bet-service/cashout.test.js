@@ -0,0 +1,165 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+const { ServiceBroker } = require("moleculer");
+const { v4: uuidv4 } = require("uuid");
+const BetService = require("./bet.service");
+const config = require("../../config/moleculer.config");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+const meta = { userId: USER_ID };
+
+const createBet = () => ({
+  id: uuidv4(),
+  userId: USER_ID,
+  betType: "single",
+  status: "open",
+  stake: 10,
+  totalOdds: 2,
+  potentialWin: 20,
+  settledAmount: null,
+  cashoutAmount: null,
+  settledAt: null,
+  cashouts: [],
+  selections: [{ id: uuidv4(), selectionId: "sel-1", oddsAtPlacement: 2, status: "pending" }],
+});
+
+describe("Bet cash-out", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  const credit = jest.fn();
+
+  broker.createService({ name: "wallet", actions: { credit: (ctx) => credit(ctx.params) } });
+  broker.createService({ name: "odds", actions: { get: () => ({ status: "active", odds: 2 }) } });
+  const service = broker.createService(BetService);
+
+  // Bet rows, conditional updates only apply while the row still matches
+  const bets = new Map();
+
+  const cashout = (bet, params = {}) => broker.call("bet.cashout", { id: bet.id, ...params }, { meta });
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => {
+    bets.clear();
+    credit.mockReset();
+    credit.mockResolvedValue({});
+
+    service.model.update.mockImplementation(async (values, { where }) => {
+      const row = bets.get(where.id);
+      if (!row || Object.entries(where).some(([field, value]) => row[field] !== value)) return [0];
+      Object.assign(row, values);
+      return [1];
+    });
+
+    jest.spyOn(service, "getBetById").mockImplementation(async (id) =>
+      bets.has(id) ? structuredClone(bets.get(id)) : null
+    );
+    jest.spyOn(service, "saveBet").mockImplementation(async (bet) => bets.set(bet.id, structuredClone(bet)));
+    jest.spyOn(service, "syncBetLiability").mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("pays the current value less the margin", async () => {
+    const bet = createBet();
+    bets.set(bet.id, bet);
+
+    const result = await cashout(bet);
+
+    expect(result).toMatchObject({ status: "cashed_out", cashoutAmount: 9, partial: false });
+    expect(bets.get(bet.id)).toMatchObject({ status: "cashed_out", cashoutAmount: 9 });
+    expect(credit).toHaveBeenCalledWith(expect.objectContaining({ amount: 9, referenceId: bet.id }));
+  });
+
+  it("cashes out part of the stake and leaves the rest running", async () => {
+    const bet = createBet();
+    bets.set(bet.id, bet);
+
+    const result = await cashout(bet, { fraction: 0.5 });
+
+    expect(result).toMatchObject({ cashoutAmount: 4.5, partial: true, remainingStake: 5 });
+    expect(bets.get(bet.id)).toMatchObject({ status: "partially_cashed_out", stake: 5, potentialWin: 10 });
+  });
+
+  it("pays one of several concurrent cash-outs of a bet", async () => {
+    const bet = createBet();
+    bets.set(bet.id, bet);
+
+    const results = await Promise.allSettled([cashout(bet), cashout(bet), cashout(bet)]);
+
+    expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+    expect(results.filter((r) => r.status === "rejected").map((r) => r.reason.type)).toEqual([
+      "BET_CHANGED",
+      "BET_CHANGED",
+    ]);
+    expect(credit).toHaveBeenCalledTimes(1);
+  });
+
+  it("pays one of two concurrent partial cash-outs of the same stake", async () => {
+    const bet = createBet();
+    bets.set(bet.id, bet);
+
+    const results = await Promise.allSettled([cashout(bet, { fraction: 0.5 }), cashout(bet, { fraction: 0.5 })]);
+
+    expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+    expect(credit).toHaveBeenCalledTimes(1);
+    expect(bets.get(bet.id)).toMatchObject({ status: "partially_cashed_out", stake: 5, cashoutAmount: 4.5 });
+  });
+
+  it("puts the bet back when the wallet cannot be credited", async () => {
+    const bet = createBet();
+    bets.set(bet.id, bet);
+    credit.mockRejectedValue(new Error("Wallet unavailable"));
+
+    await expect(cashout(bet)).rejects.toThrow("Wallet unavailable");
+
+    expect(bets.get(bet.id)).toMatchObject({ status: "open", stake: 10, cashoutAmount: null, settledAt: null });
+    expect(service.saveBet).not.toHaveBeenCalled();
+  });
+
+  describe("quotes", () => {
+    it("pays the quoted value", async () => {
+      const bet = createBet();
+      bets.set(bet.id, bet);
+      const { quoteId, value } = await broker.call("bet.getCashoutValue", { id: bet.id }, { meta });
+
+      await expect(cashout(bet, { quoteId })).resolves.toMatchObject({ cashoutAmount: value });
+    });
+
+    it("pays a quote once", async () => {
+      const bet = createBet();
+      bets.set(bet.id, bet);
+      const { quoteId } = await broker.call("bet.getCashoutValue", { id: bet.id }, { meta });
+
+      await cashout(bet, { quoteId, fraction: 0.5 });
+
+      await expect(cashout(bet, { quoteId, fraction: 0.5 })).rejects.toMatchObject({
+        type: "CASHOUT_QUOTE_NOT_FOUND",
+      });
+    });
+
+    it("refuses a quote given for another bet", async () => {
+      const quoted = createBet();
+      const bet = createBet();
+      bets.set(quoted.id, quoted);
+      bets.set(bet.id, bet);
+      const { quoteId } = await broker.call("bet.getCashoutValue", { id: quoted.id }, { meta });
+
+      await expect(cashout(bet, { quoteId })).rejects.toMatchObject({ type: "CASHOUT_QUOTE_NOT_FOUND" });
+      expect(credit).not.toHaveBeenCalled();
+    });
+
+    it("refuses a quote taken before a partial cash-out", async () => {
+      const bet = createBet();
+      bets.set(bet.id, bet);
+      const { quoteId } = await broker.call("bet.getCashoutValue", { id: bet.id }, { meta });
+
+      await cashout(bet, { fraction: 0.5 });
+
+      await expect(cashout(bet, { quoteId })).rejects.toMatchObject({ type: "CASHOUT_QUOTE_EXPIRED" });
+      expect(credit).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -5,6 +5,7 @@ require("dotenv").config();
 const { ServiceBroker } = require("moleculer");
 const BetService = require("./bet.service");
 const config = require("../../config/moleculer.config");
+const { middleware } = require("../../lib");
 
 /**
  * Standalone entry point for Bet service
@@ -13,6 +14,7 @@ async function main() {
   const broker = new ServiceBroker({
     ...config,
     nodeID: process.env.NODE_ID || "bet-service-node",
+    middlewares: [...config.middlewares, middleware.IdempotencyMiddleware],
   });
 
   // Create service instance
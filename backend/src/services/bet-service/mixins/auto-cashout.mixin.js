@@ -0,0 +1,294 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { OPEN_BET_STATUSES } = require("../../../lib/constants");
+
+const toNumber = (value) => (value === null || value === undefined ? value : parseFloat(value));
+
+// Cash-out failures worth retrying on the next price update
+const RETRYABLE_CASHOUT_ERRORS = ["CASHOUT_SUSPENDED", "CASHOUT_NOT_AVAILABLE", "BET_CHANGED"];
+
+/**
+ * Auto cash-out mixin
+ * Users attach "cash out when the value reaches X / drops below Y" rules to
+ * open bets. Every `odds.updated` re-prices the bets on that selection and
+ * cashes out through `bet.cashout` when a rule's threshold is crossed.
+ */
+module.exports = {
+  settings: {
+    maxCashoutRulesPerBet: parseInt(process.env.BET_MAX_CASHOUT_RULES, 10) || 5,
+  },
+
+  actions: {
+    /**
+     * Add an auto cash-out rule to a bet
+     */
+    addCashoutRule: {
+      rest: "POST /:id/cashout-rules",
+      params: {
+        id: { type: "uuid" },
+        trigger: { type: "enum", values: ["above", "below"] },
+        threshold: { type: "number", positive: true },
+        fraction: { type: "number", positive: true, max: 1, optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const { id, trigger, threshold, fraction } = ctx.params;
+
+        const bet = await this.getBetById(id);
+        if (!bet) {
+          throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
+        }
+
+        if (bet.userId !== userId) {
+          throw new this.broker.MoleculerClientError("Access denied", 403, "ACCESS_DENIED");
+        }
+
+        if (!OPEN_BET_STATUSES.includes(bet.status)) {
+          throw new this.broker.MoleculerClientError(
+            "Bet is not eligible for cashout",
+            400,
+            "CASHOUT_NOT_AVAILABLE"
+          );
+        }
+
+        const activeRules = await this.CashoutRule.count({ where: { betId: id, status: "active" } });
+        if (activeRules >= this.settings.maxCashoutRulesPerBet) {
+          throw new this.broker.MoleculerClientError(
+            `Maximum ${this.settings.maxCashoutRulesPerBet} active cashout rules per bet`,
+            400,
+            "MAX_CASHOUT_RULES_EXCEEDED"
+          );
+        }
+
+        const rule = await this.CashoutRule.create({
+          betId: id,
+          userId,
+          trigger,
+          threshold,
+          fraction: fraction || null,
+        });
+
+        this.logger.info(`Auto cashout rule ${rule.id} added to bet ${id}: ${trigger} ${threshold}`);
+
+        return this.toCashoutRule(rule);
+      },
+    },
+
+    /**
+     * List the user's auto cash-out rules
+     */
+    cashoutRules: {
+      rest: "GET /cashout-rules",
+      params: {
+        betId: { type: "uuid", optional: true },
+        status: { type: "string", optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const where = { userId };
+        if (ctx.params.betId) where.betId = ctx.params.betId;
+        if (ctx.params.status) where.status = ctx.params.status;
+
+        const rules = await this.CashoutRule.findAll({ where, order: [["createdAt", "DESC"]] });
+        return rules.map((rule) => this.toCashoutRule(rule));
+      },
+    },
+
+    /**
+     * Cancel an auto cash-out rule
+     */
+    cancelCashoutRule: {
+      rest: "DELETE /cashout-rules/:ruleId",
+      params: {
+        ruleId: { type: "uuid" },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const rule = await this.CashoutRule.findByPk(ctx.params.ruleId);
+        if (!rule || rule.userId !== userId) {
+          throw new this.broker.MoleculerClientError("Cashout rule not found", 404, "CASHOUT_RULE_NOT_FOUND");
+        }
+
+        if (rule.status !== "active") {
+          throw new this.broker.MoleculerClientError(
+            `Cashout rule is already ${rule.status}`,
+            400,
+            "CASHOUT_RULE_NOT_ACTIVE"
+          );
+        }
+
+        await rule.update({ status: "cancelled" });
+
+        return this.toCashoutRule(rule);
+      },
+    },
+  },
+
+  events: {
+    /**
+     * Re-price bets on the selection and fire crossed auto cash-out rules
+     */
+    async "odds.updated"(ctx) {
+      try {
+        await this.evaluateCashoutRules(ctx, ctx.params.selectionId);
+      } catch (error) {
+        this.logger.error(`Auto cashout evaluation failed for selection ${ctx.params.selectionId}:`, error.message);
+      }
+    },
+
+    /**
+     * Rules end with the bet
+     */
+    async "bet.settled"(ctx) {
+      await this.expireCashoutRules(ctx.params.betId);
+    },
+
+    async "bet.cashedOut"(ctx) {
+      if (!ctx.params.partial) {
+        await this.expireCashoutRules(ctx.params.betId);
+      }
+    },
+
+    async "bet.cancelled"(ctx) {
+      await this.expireCashoutRules(ctx.params.betId);
+    },
+
+    async "bet.voided"(ctx) {
+      await this.expireCashoutRules(ctx.params.betId);
+    },
+  },
+
+  methods: {
+    /**
+     * Convert a rule row to a plain object
+     */
+    toCashoutRule(row) {
+      const rule = row.get({ plain: true });
+      return {
+        ...rule,
+        threshold: toNumber(rule.threshold),
+        fraction: toNumber(rule.fraction),
+        cashoutAmount: toNumber(rule.cashoutAmount),
+      };
+    },
+
+    /**
+     * Check active rules on open bets that have a pending leg on the selection
+     */
+    async evaluateCashoutRules(ctx, selectionId) {
+      const legs = await this.BetSelection.findAll({
+        attributes: ["betId"],
+        where: { selectionId, status: "pending" },
+      });
+      if (legs.length === 0) return;
+
+      const rules = await this.CashoutRule.findAll({
+        where: { betId: { [Op.in]: legs.map((leg) => leg.betId) }, status: "active" },
+        order: [["createdAt", "ASC"]],
+      });
+
+      const rulesByBet = new Map();
+      for (const rule of rules) {
+        rulesByBet.set(rule.betId, [...(rulesByBet.get(rule.betId) || []), rule]);
+      }
+
+      for (const [betId, betRules] of rulesByBet.entries()) {
+        const bet = await this.getBetById(betId);
+        if (!bet || !OPEN_BET_STATUSES.includes(bet.status)) {
+          await this.expireCashoutRules(betId);
+          continue;
+        }
+
+        const price = await this.priceCashout(ctx, bet);
+        if (!price.available) continue;
+
+        // One cash-out per bet per price update
+        const crossed = betRules.find((rule) => {
+          const threshold = toNumber(rule.threshold);
+          return rule.trigger === "above" ? price.value >= threshold : price.value <= threshold;
+        });
+
+        if (crossed) {
+          await this.triggerCashoutRule(ctx, crossed, price.value);
+        }
+      }
+    },
+
+    /**
+     * Cash out a bet for a crossed rule and notify the user
+     */
+    async triggerCashoutRule(ctx, rule, value) {
+      // Claim the rule so concurrent price updates cannot fire it twice
+      const [claimed] = await this.CashoutRule.update(
+        { status: "triggered", triggeredAt: new Date() },
+        { where: { id: rule.id, status: "active" } }
+      );
+      if (claimed === 0) return;
+
+      let result;
+      try {
+        result = await ctx.call(
+          "bet.cashout",
+          { id: rule.betId, ...(rule.fraction ? { fraction: toNumber(rule.fraction) } : {}) },
+          { meta: { userId: rule.userId } }
+        );
+      } catch (error) {
+        const retryable = RETRYABLE_CASHOUT_ERRORS.includes(error.type);
+        await this.CashoutRule.update(
+          { status: retryable ? "active" : "failed", triggeredAt: null, error: error.message },
+          { where: { id: rule.id } }
+        );
+        this.logger.warn(`Auto cashout rule ${rule.id} on bet ${rule.betId} failed:`, error.message);
+        return;
+      }
+
+      await this.CashoutRule.update(
+        { cashoutAmount: result.cashoutAmount, error: null },
+        { where: { id: rule.id } }
+      );
+
+      this.logger.info(
+        `Auto cashout rule ${rule.id} fired at value ${value}, bet ${rule.betId} paid ${result.cashoutAmount}`
+      );
+
+      try {
+        await ctx.call("notification.send", {
+          userId: rule.userId,
+          type: "bet_auto_cashout",
+          title: "Auto Cash Out Triggered",
+          message: `Your bet was cashed out automatically for $${result.cashoutAmount.toFixed(2)}.`,
+          data: {
+            betId: rule.betId,
+            ruleId: rule.id,
+            trigger: rule.trigger,
+            threshold: toNumber(rule.threshold),
+            cashoutAmount: result.cashoutAmount,
+            partial: result.partial,
+          },
+        });
+      } catch (error) {
+        this.logger.warn(`Failed to notify user ${rule.userId} of auto cashout:`, error.message);
+      }
+    },
+
+    /**
+     * Expire the remaining active rules of a bet
+     */
+    async expireCashoutRules(betId) {
+      await this.CashoutRule.update({ status: "expired" }, { where: { betId, status: "active" } });
+    },
+  },
+};
@@ -0,0 +1,269 @@
+"use strict";
+
+const { Op, col, fn, literal, where: sqlWhere } = require("sequelize");
+const { OPEN_BET_STATUSES } = require("../../../lib/constants");
+const { createCsvStream } = require("../../../lib/utils");
+
+const HISTORY_SORT_FIELDS = ["placedAt", "settledAt", "stake", "totalOdds", "potentialWin", "settledAmount"];
+
+// Bets read per query while streaming an export
+const EXPORT_PAGE_SIZE = 100;
+
+// Bets whose stake is still riding, including those waiting on acceptance
+const UNSETTLED_BET_STATUSES = [...OPEN_BET_STATUSES, "pending", "referred", "accepting"];
+
+const historyFilters = {
+  status: { type: "string", optional: true },
+  from: { type: "date", convert: true, optional: true },
+  to: { type: "date", convert: true, optional: true },
+  sportId: { type: "uuid", optional: true },
+  eventId: { type: "string", optional: true },
+  betType: { type: "string", optional: true },
+  minStake: { type: "number", min: 0, optional: true },
+  maxStake: { type: "number", min: 0, optional: true },
+};
+
+// What a bet was staked with, a partial cash-out leaves only part of it riding in `stake`
+const ORIGINAL_STAKE = literal(`COALESCE(("bets"."metadata"->>'originalStake')::numeric, "bets"."stake")`);
+const IS_FREE_BET = literal(`("bets"."metadata"->>'freeBetId') IS NOT NULL`);
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value));
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Bet history mixin
+ * Lists a user's bets by date range, sport, event, bet type and stake range,
+ * sums up the filtered set into a profit and loss summary and exports it as
+ * CSV. Free bet stakes are not the user's money, so they are counted apart
+ * from cash stakes.
+ */
+module.exports = {
+  actions: {
+    /**
+     * Get user's bet history
+     */
+    history: {
+      rest: "GET /history",
+      params: {
+        page: { type: "number", integer: true, min: 1, default: 1, optional: true },
+        limit: { type: "number", integer: true, min: 1, max: 100, default: 20, optional: true },
+        ...historyFilters,
+        sortBy: { type: "string", enum: HISTORY_SORT_FIELDS, default: "placedAt", optional: true },
+        sortOrder: { type: "string", enum: ["asc", "desc"], default: "desc", optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const { page, limit, sortBy, sortOrder } = ctx.params;
+        const where = await this.getHistoryWhere(ctx, userId);
+        return this.getUserBets(where, { page, limit, sortBy, sortOrder });
+      },
+    },
+
+    /**
+     * Profit and loss summary of the user's bets matching the history filters
+     */
+    historySummary: {
+      rest: "GET /history/summary",
+      params: historyFilters,
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        // Rejected bets never stood and are left out
+        const where = await this.getHistoryWhere(ctx, userId);
+        const groups = await this.model.findAll({
+          where: { [Op.and]: [where, { status: { [Op.ne]: "rejected" } }] },
+          attributes: [
+            "status",
+            [IS_FREE_BET, "freeBet"],
+            [fn("COUNT", col("id")), "betCount"],
+            [fn("SUM", ORIGINAL_STAKE), "staked"],
+            [fn("SUM", col("stake")), "stake"],
+            [fn("SUM", fn("COALESCE", col("settled_amount"), 0)), "settledAmount"],
+            [fn("SUM", fn("COALESCE", col("cashout_amount"), 0)), "cashoutAmount"],
+            [fn("SUM", col("total_odds")), "totalOdds"],
+          ],
+          group: ["status", IS_FREE_BET],
+          raw: true,
+        });
+
+        return this.summarizeBetGroups(groups);
+      },
+    },
+
+    /**
+     * Download the user's bets matching the history filters as CSV
+     */
+    exportHistory: {
+      rest: "GET /history/export",
+      params: historyFilters,
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const where = await this.getHistoryWhere(ctx, userId);
+
+        ctx.meta.$responseType = "text/csv";
+        ctx.meta.$responseHeaders = {
+          ...ctx.meta.$responseHeaders,
+          "Content-Disposition": 'attachment; filename="bet-history.csv"',
+        };
+
+        return createCsvStream(
+          [
+            { header: "Placed At", value: (bet) => bet.placedAt },
+            { header: "Bet ID", value: (bet) => bet.id },
+            { header: "Bet Type", value: (bet) => bet.betType },
+            { header: "Status", value: (bet) => bet.status },
+            { header: "Stake", value: (bet) => bet.originalStake || bet.stake },
+            { header: "Free Bet", value: (bet) => (bet.freeBetId ? "yes" : "no") },
+            { header: "Odds", value: (bet) => bet.totalOdds },
+            { header: "Potential Win", value: (bet) => bet.potentialWin },
+            { header: "Returned", value: (bet) => bet.settledAmount },
+            { header: "Cashed Out", value: (bet) => bet.cashoutAmount },
+            { header: "Settled At", value: (bet) => bet.settledAt },
+            {
+              header: "Selections",
+              value: (bet) => bet.selections.map((s) => `${s.selectionId} @ ${s.oddsAtPlacement} (${s.status})`).join("; "),
+            },
+          ],
+          this.iterateUserBets(where)
+        );
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Query conditions for the history filters of a request
+     */
+    async getHistoryWhere(ctx, userId) {
+      const { status, from, to, sportId, eventId, betType, minStake, maxStake } = ctx.params;
+
+      if (from && to && from > to) {
+        throw new this.broker.MoleculerClientError("The date range ends before it starts", 400, "INVALID_DATE_RANGE");
+      }
+      if (minStake !== undefined && maxStake !== undefined && minStake > maxStake) {
+        throw new this.broker.MoleculerClientError("The stake range is empty", 400, "INVALID_STAKE_RANGE");
+      }
+
+      const where = { userId };
+      if (status) where.status = status;
+      if (betType) where.betType = betType;
+
+      if (from || to) {
+        where.placedAt = {
+          ...(from ? { [Op.gte]: from } : {}),
+          ...(to ? { [Op.lte]: to } : {}),
+        };
+      }
+      if (minStake !== undefined || maxStake !== undefined) {
+        where[Op.and] = [
+          sqlWhere(ORIGINAL_STAKE, {
+            ...(minStake !== undefined ? { [Op.gte]: minStake } : {}),
+            ...(maxStake !== undefined ? { [Op.lte]: maxStake } : {}),
+          }),
+        ];
+      }
+
+      // Bets do not record their sport, it comes from the events of their legs
+      if (eventId || sportId) {
+        let eventIds = eventId ? [eventId] : null;
+        if (sportId) {
+          const sportEventIds = await ctx.call("event.sportEvents", { sportId });
+          eventIds = eventIds ? eventIds.filter((id) => sportEventIds.includes(id)) : sportEventIds;
+        }
+
+        const legs = await this.BetSelection.findAll({ attributes: ["betId"], where: { eventId: eventIds } });
+        where.id = { [Op.in]: legs.map((leg) => leg.betId) };
+      }
+
+      return where;
+    },
+
+    /**
+     * Totals and rates of a user's bets, from their sums by status and by cash or free bet stake
+     */
+    summarizeBetGroups(groups) {
+      const rows = groups.map((group) => ({
+        status: group.status,
+        freeBet: group.freeBet === true || group.freeBet === "true",
+        betCount: parseInt(group.betCount, 10),
+        staked: toNumber(group.staked),
+        stake: toNumber(group.stake),
+        returned: toNumber(group.settledAmount) + toNumber(group.cashoutAmount),
+        totalOdds: toNumber(group.totalOdds),
+      }));
+
+      const sum = (items, field) => round(items.reduce((acc, row) => acc + row[field], 0));
+      const open = rows.filter((row) => UNSETTLED_BET_STATUSES.includes(row.status));
+      const cash = rows.filter((row) => !row.freeBet);
+
+      // Free bet stakes are not the user's money, the stake still riding counts as held
+      const totalStaked = sum(cash, "staked");
+      const openStake = sum(open.filter((row) => !row.freeBet), "stake");
+      const totalReturned = sum(rows, "returned");
+
+      const betCount = sum(rows, "betCount");
+      const won = sum(rows.filter((row) => row.status === "won"), "betCount");
+      const lost = sum(rows.filter((row) => row.status === "lost"), "betCount");
+
+      return {
+        betCount,
+        openCount: sum(open, "betCount"),
+        wonCount: won,
+        lostCount: lost,
+        totalStaked,
+        freeBetStaked: sum(rows.filter((row) => row.freeBet), "staked"),
+        openStake,
+        totalReturned,
+        netProfit: round(totalReturned + openStake - totalStaked),
+        winRate: won + lost > 0 ? round(won / (won + lost), 4) : null,
+        averageOdds: betCount > 0 ? round(rows.reduce((acc, row) => acc + row.totalOdds, 0) / betCount) : null,
+      };
+    },
+
+    /**
+     * Go through the bets matching a query page by page, oldest first
+     */
+    async *iterateUserBets(where) {
+      for (let page = 1; ; page++) {
+        const { items, pagination } = await this.getUserBets(where, {
+          page,
+          limit: EXPORT_PAGE_SIZE,
+          sortOrder: "asc",
+        });
+        yield* items;
+        if (page >= pagination.totalPages) return;
+      }
+    },
+
+    async getUserBets(where, { page = 1, limit = 20, sortBy = "placedAt", sortOrder = "desc" }) {
+      const { rows, count } = await this.model.findAndCountAll({
+        where,
+        include: this.selectionsInclude(),
+        order: [[sortBy, sortOrder.toUpperCase()], ["id", "ASC"]],
+        limit,
+        offset: (page - 1) * limit,
+        distinct: true,
+      });
+
+      return {
+        items: rows.map((row) => this.toBet(row)),
+        pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) },
+      };
+    },
+  },
+};
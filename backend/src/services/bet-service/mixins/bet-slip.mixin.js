@@ -0,0 +1,349 @@
+"use strict";
+
+const { v4: uuidv4 } = require("uuid");
+const { ODDS_CHANGE_POLICIES } = require("../../../lib/constants");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Bet slip mixin
+ * Places several singles and accumulators in one request. Every price on the
+ * slip is validated once, the combined stake is locked in one wallet
+ * operation and each bet then goes through the usual placement saga. An
+ * all-or-nothing slip places no bet unless every one of them goes through:
+ * it takes no bet that would be held for a trader or the in-play delay, and
+ * its bets are only published once the whole slip is placed.
+ */
+module.exports = {
+  settings: {
+    maxSlipBets: parseInt(process.env.BET_MAX_SLIP_BETS, 10) || 20,
+  },
+
+  actions: {
+    /**
+     * Place the singles and accumulators of a bet slip
+     */
+    placeSlip: {
+      rest: "POST /place/slip",
+      idempotency: true,
+      params: {
+        bets: {
+          type: "array",
+          min: 1,
+          items: {
+            type: "object",
+            props: {
+              selections: {
+                type: "array",
+                min: 1,
+                items: {
+                  type: "object",
+                  props: {
+                    eventId: { type: "string" },
+                    marketId: { type: "string" },
+                    selectionId: { type: "string" },
+                    odds: { type: "number", positive: true },
+                  },
+                },
+              },
+              stake: { type: "number", positive: true },
+            },
+          },
+        },
+        allOrNothing: { type: "boolean", default: true },
+        oddsChange: { type: "enum", values: ODDS_CHANGE_POLICIES, optional: true },
+        acceptReducedStake: { type: "boolean", optional: true },
+        slipCode: { type: "string", max: 16, optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const { bets, allOrNothing } = ctx.params;
+        if (bets.length > this.settings.maxSlipBets) {
+          throw new this.broker.MoleculerClientError(
+            `Maximum ${this.settings.maxSlipBets} bets allowed on a slip`,
+            400,
+            "MAX_SLIP_BETS_EXCEEDED"
+          );
+        }
+
+        const slipId = uuidv4();
+        const prices = await this.validateSlipOdds(ctx, bets);
+
+        // Build every bet first, no money moves until the slip is known to be valid
+        const results = [];
+        const entries = [];
+        for (const [index, item] of bets.entries()) {
+          try {
+            const entry = { index, ...(await this.buildSlipBet(ctx, slipId, item, prices)) };
+            if (allOrNothing) {
+              await this.checkSlipBetNotHeld(ctx, entry);
+            }
+            entries.push(entry);
+          } catch (error) {
+            results[index] = this.toSlipFailure(index, error);
+          }
+        }
+
+        if (allOrNothing && entries.length < bets.length) {
+          throw new this.broker.MoleculerClientError("Bet slip rejected", 400, "SLIP_REJECTED", {
+            results: results.filter(Boolean),
+          });
+        }
+
+        if (entries.length > 0) {
+          await this.lockSlipStakes(ctx, entries.map(({ bet }) => bet));
+        }
+
+        // Place bet by bet, an all-or-nothing slip withdraws the placed ones when one fails
+        const placed = [];
+        for (const [position, { index, bet, placedEvent, referralReason, oddsChanges }] of entries.entries()) {
+          ctx.locals.referralReason = referralReason;
+          try {
+            await this.executePlacement(ctx, bet, placedEvent, { hold: !allOrNothing, publish: !allOrNothing });
+            placed.push(bet);
+            results[index] = this.toSlipResult(index, bet, oddsChanges);
+          } catch (error) {
+            await this.releaseSlipStake(bet);
+            results[index] = this.toSlipFailure(index, error);
+
+            if (allOrNothing) {
+              for (const rest of entries.slice(position + 1)) {
+                await this.releaseSlipStake(rest.bet);
+              }
+              for (const other of placed) {
+                await this.withdrawSlipBet(other);
+              }
+              throw new this.broker.MoleculerClientError("Bet slip rejected", 400, "SLIP_REJECTED", {
+                results: [results[index]],
+              });
+            }
+          }
+        }
+
+        if (allOrNothing) {
+          for (const bet of placed) {
+            await this.publishSlipBet(bet);
+          }
+        }
+
+        this.logger.info(
+          `Bet slip ${slipId} placed by user ${userId}: ${placed.length} of ${bets.length} bets, ` +
+          `stake: ${round(placed.reduce((acc, bet) => acc + bet.stake, 0))}`
+        );
+
+        return {
+          slipId,
+          placed: placed.length,
+          failed: bets.length - placed.length,
+          totalStake: round(placed.reduce((acc, bet) => acc + bet.stake, 0)),
+          results,
+        };
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Validate each distinct price on the slip once
+     * Returns the outcome per selection and requested odds, a failure is kept and reported per bet
+     */
+    async validateSlipOdds(ctx, bets) {
+      const oddsChange = await this.resolveOddsChangePolicy(ctx);
+      const prices = new Map();
+
+      for (const selection of bets.flatMap((item) => item.selections)) {
+        const key = `${selection.selectionId}:${selection.odds}`;
+        if (prices.has(key)) continue;
+
+        try {
+          const [validated] = await this.validateSelectionOdds(ctx, [selection], oddsChange);
+          prices.set(key, { currentOdds: validated.currentOdds });
+        } catch (error) {
+          prices.set(key, { error });
+        }
+      }
+
+      return prices;
+    },
+
+    /**
+     * Check and build one bet of a slip, a single or an accumulator by its number of selections
+     */
+    async buildSlipBet(ctx, slipId, item, prices) {
+      const { selections, stake } = item;
+      const betType = selections.length > 1 ? "accumulator" : "single";
+
+      if (betType === "accumulator") {
+        this.validateSelections(selections);
+      }
+
+      // Validate stake against the global and the user's own limits, keeping this bet's referral reason
+      this.validateStake(stake);
+      ctx.locals.referralReason = undefined;
+      await this.checkUserLimits(ctx, betType, selections, stake);
+      const referralReason = ctx.locals.referralReason;
+
+      const validatedSelections = selections.map((selection) => {
+        const price = prices.get(`${selection.selectionId}:${selection.odds}`);
+        if (price.error) throw price.error;
+        return { ...selection, currentOdds: price.currentOdds };
+      });
+
+      const totalOdds = round(validatedSelections.reduce((acc, s) => acc * s.currentOdds, 1));
+      const potentialWin = round(stake * totalOdds);
+
+      // Validate potential win
+      if (potentialWin > this.settings.maxPotentialWin) {
+        throw new this.broker.MoleculerClientError(
+          `Potential win exceeds maximum of ${this.settings.maxPotentialWin}`,
+          400,
+          "MAX_POTENTIAL_WIN_EXCEEDED"
+        );
+      }
+
+      const bet = {
+        id: uuidv4(),
+        userId: ctx.meta.userId,
+        betType,
+        slipId,
+        stake,
+        potentialWin,
+        totalOdds,
+        status: "open",
+        settledAmount: null,
+        cashoutAmount: null,
+        placedAt: new Date(),
+        settledAt: null,
+        ipAddress: ctx.meta.ip,
+        userAgent: ctx.meta.userAgent,
+        lockId: null,
+        selections: validatedSelections.map((s) => ({
+          id: uuidv4(),
+          eventId: s.eventId,
+          marketId: s.marketId,
+          selectionId: s.selectionId,
+          oddsAtPlacement: s.currentOdds,
+          requestedOdds: s.odds,
+          status: "pending",
+        })),
+      };
+
+      const placedEvent = {
+        betId: bet.id,
+        userId: bet.userId,
+        stake,
+        potentialWin,
+        ...(betType === "single"
+          ? { selectionId: selections[0].selectionId }
+          : { betType, selectionCount: selections.length }),
+      };
+
+      return { bet, placedEvent, referralReason, oddsChanges: this.getOddsChanges(validatedSelections) };
+    },
+
+    /**
+     * Lock the combined stake of a slip's bets in one wallet operation, one lock per bet
+     */
+    async lockSlipStakes(ctx, bets) {
+      let lockResult;
+      try {
+        lockResult = await ctx.call("wallet.lockBatch", {
+          userId: ctx.meta.userId,
+          locks: bets.map((bet) => ({ amount: bet.stake, referenceId: bet.id, referenceType: "bet" })),
+        });
+      } catch (error) {
+        throw new this.broker.MoleculerClientError(
+          error.message || "Insufficient funds",
+          400,
+          "INSUFFICIENT_FUNDS"
+        );
+      }
+
+      const lockIds = new Map(lockResult.locks.map((lock) => [lock.referenceId, lock.lockId]));
+      for (const bet of bets) {
+        bet.lockId = lockIds.get(bet.id);
+      }
+    },
+
+    /**
+     * Release the lock of a slip bet that was not placed, when the placement left it active
+     */
+    async releaseSlipStake(bet) {
+      try {
+        await this.broker.call("wallet.unlock", { lockId: bet.lockId });
+      } catch (error) {
+        if (error.type !== "LOCK_INACTIVE") {
+          this.logger.error(`Failed to release the stake of slip bet ${bet.id}:`, error.message);
+        }
+      }
+    },
+
+    /**
+     * Refuse a bet of an all-or-nothing slip that would be held instead of placed straight away
+     */
+    async checkSlipBetNotHeld(ctx, { bet, referralReason }) {
+      ctx.locals.referralReason = referralReason;
+      if (this.getReferralReason(ctx, bet)) {
+        throw new this.broker.MoleculerClientError("Bet would be referred to a trader", 400, "BET_HELD");
+      }
+      if ((await this.getInPlayDelay(ctx, bet)) > 0) {
+        throw new this.broker.MoleculerClientError("Bet would be held for the in-play delay", 400, "BET_HELD");
+      }
+    },
+
+    /**
+     * Publish a bet of an all-or-nothing slip once every bet of the slip is placed
+     * A bet whose saga cannot be read is published by the recovery worker
+     */
+    async publishSlipBet(bet) {
+      try {
+        await this.completePlacementSaga(await this.getPlacementSaga(bet.id));
+      } catch (error) {
+        this.logger.error(`Failed to publish slip bet ${bet.id}:`, error.message);
+      }
+    },
+
+    /**
+     * Take back a bet placed from an all-or-nothing slip whose other bets failed
+     * It was never published, so it is rolled back like a placement that failed
+     */
+    async withdrawSlipBet(bet) {
+      try {
+        await this.compensatePlacement(await this.getPlacementSaga(bet.id), "Bet slip rejected");
+      } catch (error) {
+        this.logger.error(`Failed to withdraw slip bet ${bet.id}:`, error.message);
+      }
+    },
+
+    /**
+     * Result of a placed slip bet
+     */
+    toSlipResult(index, bet, oddsChanges) {
+      return {
+        index,
+        status: bet.status,
+        betId: bet.id,
+        betType: bet.betType,
+        stake: bet.stake,
+        totalOdds: bet.totalOdds,
+        potentialWin: bet.potentialWin,
+        oddsChanges,
+      };
+    },
+
+    /**
+     * Result of a slip bet that could not be placed
+     */
+    toSlipFailure(index, error) {
+      return {
+        index,
+        status: "failed",
+        error: { type: error.type || "PLACEMENT_FAILED", message: error.message },
+      };
+    },
+  },
+};
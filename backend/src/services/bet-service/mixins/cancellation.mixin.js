@@ -0,0 +1,175 @@
+"use strict";
+
+const { OPEN_BET_STATUSES } = require("../../../lib/constants");
+
+/**
+ * Cancellation mixin
+ * Users may cancel a pre-match bet for a short window after placing it, and
+ * operators void open bets struck on palpable errors such as an obvious
+ * mispricing. Both refund the stake, or give a free bet token back, release
+ * the bet's liability and record who ended the bet and why.
+ */
+module.exports = {
+  settings: {
+    cancellationWindow: parseInt(process.env.BET_CANCELLATION_WINDOW, 10) || 30000,
+  },
+
+  actions: {
+    /**
+     * Cancel one of the user's own bets within the cancellation window
+     */
+    cancel: {
+      rest: "POST /:id/cancel",
+      params: {
+        id: { type: "uuid" },
+        reason: { type: "string", max: 1000, optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const bet = await this.getBetById(ctx.params.id);
+        if (!bet || bet.userId !== userId) {
+          throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
+        }
+
+        await this.checkCancellable(ctx, bet);
+
+        await this.endBet(ctx, bet, "cancelled", ["open"]);
+        bet.cancellation = {
+          cancelledBy: userId,
+          cancelledAt: new Date(),
+          reason: ctx.params.reason || null,
+        };
+        await this.saveBet(bet);
+
+        this.logger.info(`Bet ${bet.id} cancelled by user ${userId}`);
+
+        this.broker.emit("bet.cancelled", {
+          betId: bet.id,
+          userId,
+          stake: bet.stake,
+          refunded: bet.settledAmount,
+        });
+
+        return bet;
+      },
+    },
+
+    /**
+     * Void an open bet struck on a palpable error (admin)
+     */
+    void: {
+      params: {
+        id: { type: "uuid" },
+        reason: { type: "string", min: 1, max: 1000 },
+        voidedBy: { type: "string", max: 100, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { id, reason } = ctx.params;
+        const voidedBy = ctx.params.voidedBy || ctx.meta.userId || "system";
+
+        const bet = await this.getBetById(id);
+        if (!bet) {
+          throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
+        }
+
+        await this.endBet(ctx, bet, "void", OPEN_BET_STATUSES);
+        bet.voiding = { voidedBy, voidedAt: new Date(), reason };
+        await this.saveBet(bet);
+
+        this.logger.info(`Bet ${id} voided by ${voidedBy}: ${reason}`);
+
+        this.broker.emit("bet.voided", {
+          betId: bet.id,
+          userId: bet.userId,
+          stake: bet.stake,
+          refunded: bet.settledAmount,
+          reason,
+          voidedBy,
+        });
+
+        return bet;
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Reject a cancellation outside the window or on a bet that is not purely pre-match
+     */
+    async checkCancellable(ctx, bet) {
+      const notCancellable = (message) =>
+        new this.broker.MoleculerClientError(message, 400, "BET_NOT_CANCELLABLE");
+
+      if (bet.status !== "open") {
+        throw notCancellable(`A ${bet.status} bet cannot be cancelled`);
+      }
+
+      if (Date.now() - new Date(bet.placedAt).getTime() > this.settings.cancellationWindow) {
+        throw new this.broker.MoleculerClientError(
+          "The cancellation window has passed",
+          400,
+          "CANCELLATION_WINDOW_EXPIRED"
+        );
+      }
+
+      if (bet.inPlay || bet.selections.some((s) => s.status !== "pending")) {
+        throw notCancellable("Only pre-match bets can be cancelled");
+      }
+
+      for (const eventId of new Set(bet.selections.map((s) => s.eventId))) {
+        const event = await ctx.call("event.get", { id: eventId });
+        if (event.status !== "scheduled" || new Date(event.startTime) <= new Date()) {
+          throw notCancellable("Only pre-match bets can be cancelled");
+        }
+      }
+    },
+
+    /**
+     * Move a bet out of one of the given statuses and give its stake back
+     * The bet is claimed before the refund and put back when the refund fails, so it can be ended again
+     */
+    async endBet(ctx, bet, status, fromStatuses) {
+      const previous = { status: bet.status, settledAt: bet.settledAt || null };
+
+      const [claimed] = await this.model.update(
+        { status, settledAt: new Date() },
+        { where: { id: bet.id, status: fromStatuses } }
+      );
+      if (claimed === 0) {
+        throw new this.broker.MoleculerClientError(
+          `Bet is no longer ${fromStatuses.join(" or ")}`,
+          409,
+          "BET_NOT_OPEN"
+        );
+      }
+
+      try {
+        if (bet.freeBetId) {
+          await this.restoreFreeBet(bet.id);
+        } else {
+          await ctx.call("wallet.credit", {
+            userId: bet.userId,
+            amount: bet.stake,
+            referenceId: bet.id,
+            referenceType: "bet_refund",
+          });
+        }
+      } catch (error) {
+        await this.model.update(previous, { where: { id: bet.id, status } });
+        throw error;
+      }
+
+      bet.status = status;
+      bet.settledAt = new Date();
+      bet.settledAmount = bet.freeBetId ? 0 : bet.stake;
+
+      await this.releaseOddsBoost(bet.userId, bet.boost);
+      await this.syncBetLiability(bet);
+    },
+  },
+};
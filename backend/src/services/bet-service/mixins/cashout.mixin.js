@@ -0,0 +1,420 @@
+"use strict";
+
+const { v4: uuidv4 } = require("uuid");
+const { SELECTION_RESULT, OPEN_BET_STATUSES } = require("../../../lib/constants");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Cash-out mixin
+ * Prices open bets from the current odds of their pending selections and
+ * hands out short-lived quotes that `bet.cashout` pays at the quoted value.
+ */
+module.exports = {
+  settings: {
+    cashoutMargin: parseFloat(process.env.BET_CASHOUT_MARGIN) || 0.1,
+    cashoutQuoteTTL: parseInt(process.env.BET_CASHOUT_QUOTE_TTL, 10) || 10000,
+  },
+
+  actions: {
+    /**
+     * Cash out a bet, fully or in part
+     * `amount` or `fraction` take part of the cash-out value and leave the rest running
+     */
+    cashout: {
+      rest: "POST /:id/cashout",
+      params: {
+        id: { type: "uuid" },
+        quoteId: { type: "uuid", optional: true },
+        amount: { type: "number", positive: true, optional: true },
+        fraction: { type: "number", positive: true, max: 1, optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const bet = await this.getBetById(ctx.params.id);
+
+        if (!bet) {
+          throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
+        }
+
+        if (bet.userId !== userId) {
+          throw new this.broker.MoleculerClientError("Access denied", 403, "ACCESS_DENIED");
+        }
+
+        if (!OPEN_BET_STATUSES.includes(bet.status)) {
+          throw new this.broker.MoleculerClientError(
+            "Bet is not eligible for cashout",
+            400,
+            "CASHOUT_NOT_AVAILABLE"
+          );
+        }
+
+        // Suspended markets block cash-out even with a valid quote
+        const price = await this.priceCashout(ctx, bet);
+        if (price.suspended) {
+          throw new this.broker.MoleculerClientError("Cashout is suspended", 409, "CASHOUT_SUSPENDED");
+        }
+
+        // Use the quoted value, or the current price when no quote is given
+        let fullValue;
+        if (ctx.params.quoteId) {
+          fullValue = (await this.redeemCashoutQuote(ctx.params.quoteId, bet)).value;
+        } else if (price.available) {
+          fullValue = price.value;
+        } else {
+          throw new this.broker.MoleculerClientError(
+            `Cashout not available for this bet: ${price.reason}`,
+            400,
+            "CASHOUT_NOT_AVAILABLE"
+          );
+        }
+
+        const fraction = this.getCashoutFraction(ctx.params, fullValue);
+        const cashoutValue = fraction === 1 ? fullValue : round(fullValue * fraction);
+
+        // Split the bet into the cashed-out part and the part left running
+        const previous = {
+          status: bet.status,
+          stake: bet.stake,
+          cashoutAmount: bet.cashoutAmount || null,
+          settledAt: null,
+        };
+        const record = this.applyCashout(bet, fraction, cashoutValue);
+
+        // Claim the bet before paying, so a concurrent cash-out of the same stake is turned away
+        await this.claimCashout(bet, previous);
+
+        // Credit cashout amount to wallet
+        try {
+          await ctx.call("wallet.credit", {
+            userId,
+            amount: cashoutValue,
+            referenceId: bet.id,
+            referenceType: "bet_win", // Treated as a partial win
+          });
+        } catch (error) {
+          await this.model.update(previous, { where: { id: bet.id } });
+          throw error;
+        }
+
+        await this.syncBetLiability(bet);
+        await this.saveBet(bet);
+
+        this.logger.info(
+          `Bet ${bet.id} cashed out for ${cashoutValue}` +
+          (record.partial ? `, remaining stake: ${bet.stake}` : "")
+        );
+
+        // Emit event
+        this.broker.emit("bet.cashedOut", {
+          betId: bet.id,
+          userId,
+          cashoutAmount: cashoutValue,
+          partial: record.partial,
+          remainingStake: record.partial ? bet.stake : 0,
+        });
+
+        return {
+          betId: bet.id,
+          status: bet.status,
+          cashoutAmount: cashoutValue,
+          partial: record.partial,
+          remainingStake: record.partial ? bet.stake : 0,
+          remainingPotentialWin: record.partial ? bet.potentialWin : 0,
+        };
+      },
+    },
+
+    /**
+     * Get cashout value for a bet
+     * Returns a quote that `bet.cashout` honours until it expires
+     */
+    getCashoutValue: {
+      rest: "GET /:id/cashout-value",
+      params: {
+        id: { type: "uuid" },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        const bet = await this.getBetById(ctx.params.id);
+
+        if (!bet) {
+          throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
+        }
+
+        if (userId && bet.userId !== userId) {
+          throw new this.broker.MoleculerClientError("Access denied", 403, "ACCESS_DENIED");
+        }
+
+        if (!OPEN_BET_STATUSES.includes(bet.status)) {
+          return { available: false, reason: "Bet is not open" };
+        }
+
+        const price = await this.priceCashout(ctx, bet);
+        if (!price.available) {
+          return price;
+        }
+
+        const quote = await this.createCashoutQuote(bet, price.value);
+
+        return {
+          available: true,
+          value: price.value,
+          quoteId: quote.id,
+          expiresAt: new Date(quote.expiresAt),
+          originalStake: bet.stake,
+          potentialWin: bet.potentialWin,
+        };
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Price a cash-out from the current odds of the bet's pending selections
+     * Each line is worth stake x placed odds / current odds of its pending legs
+     */
+    async priceCashout(ctx, bet) {
+      if (bet.betType === "each_way") {
+        return { available: false, reason: "Cashout is not offered on each-way bets" };
+      }
+      if (bet.betType === "same_game") {
+        return { available: false, reason: "Cashout is not offered on same-game parlays" };
+      }
+      if (bet.freeBetId) {
+        return { available: false, reason: "Cashout is not offered on free bets" };
+      }
+      if (bet.boost) {
+        return { available: false, reason: "Cashout is not offered on boosted bets" };
+      }
+
+      const legsById = new Map(bet.selections.map((s) => [s.id, s]));
+      const lines = bet.betType === "system"
+        ? bet.lines
+        : [{ legIds: bet.selections.map((s) => s.id), stake: bet.stake, status: "pending" }];
+
+      // Settled system lines keep their result, lines with a losing leg are worth nothing
+      const openLines = lines
+        .filter((line) => line.status === "pending")
+        .map((line) => ({ stake: line.stake, legs: line.legIds.map((id) => legsById.get(id)) }))
+        .filter(({ legs }) => !legs.some((leg) => leg.status === SELECTION_RESULT.LOST));
+
+      const pendingLegs = [
+        ...new Set(openLines.flatMap(({ legs }) => legs).filter((leg) => leg.status === "pending")),
+      ];
+      if (pendingLegs.length === 0) {
+        return { available: false, reason: "No pending selections" };
+      }
+
+      const currentOdds = new Map();
+      for (const leg of pendingLegs) {
+        let odds;
+        try {
+          odds = await ctx.call("odds.get", { selectionId: leg.selectionId });
+        } catch (error) {
+          this.logger.warn(`No price for selection ${leg.selectionId} in cashout of bet ${bet.id}:`, error.message);
+        }
+
+        if (!odds || odds.status !== "active") {
+          return { available: false, suspended: true, reason: "Market suspended" };
+        }
+        currentOdds.set(leg.id, odds.odds);
+      }
+
+      let fairValue = lines
+        .filter((line) => line.status !== "pending")
+        .reduce((acc, line) => acc + (line.settledAmount || 0), 0);
+
+      for (const { stake, legs } of openLines) {
+        fairValue += legs.reduce((acc, leg) => {
+          if (leg.status === "pending") return (acc * leg.oddsAtPlacement) / currentOdds.get(leg.id);
+          return acc * this.getLegFactor(leg);
+        }, stake);
+      }
+
+      const value = round(fairValue * (1 - this.settings.cashoutMargin));
+      if (value <= 0) {
+        return { available: false, reason: "No cashout value" };
+      }
+
+      return { available: true, value };
+    },
+
+    /**
+     * Resolve the requested share of the cash-out value, 1 for a full cash-out
+     */
+    getCashoutFraction({ amount, fraction }, fullValue) {
+      if (amount !== undefined && fraction !== undefined) {
+        throw new this.broker.MoleculerClientError(
+          "Specify either amount or fraction, not both",
+          400,
+          "INVALID_CASHOUT_AMOUNT"
+        );
+      }
+
+      if (amount !== undefined) {
+        if (amount > fullValue) {
+          throw new this.broker.MoleculerClientError(
+            `Cashout amount exceeds the available value of ${fullValue}`,
+            400,
+            "INVALID_CASHOUT_AMOUNT",
+            { available: fullValue }
+          );
+        }
+        return amount === fullValue ? 1 : amount / fullValue;
+      }
+
+      return fraction === undefined ? 1 : fraction;
+    },
+
+    /**
+     * Move a share of the bet's stake and potential win into its cash-out history
+     * What is left keeps running and is all that later settlement pays out
+     */
+    applyCashout(bet, fraction, cashoutValue) {
+      const partial = fraction < 1;
+      const cashedStake = partial ? round(bet.stake * fraction) : bet.stake;
+      const remaining = 1 - fraction;
+
+      if (partial && bet.stake - cashedStake < this.settings.minStake) {
+        throw new this.broker.MoleculerClientError(
+          "Remaining stake would be below the minimum, cash out the full bet instead",
+          400,
+          "INVALID_CASHOUT_AMOUNT"
+        );
+      }
+
+      const record = {
+        amount: cashoutValue,
+        fraction: round(fraction * 10000) / 10000,
+        stake: cashedStake,
+        potentialWin: partial ? round(bet.potentialWin * fraction) : bet.potentialWin,
+        partial,
+        cashedOutAt: new Date(),
+      };
+
+      bet.cashouts = [...(bet.cashouts || []), record];
+      bet.cashoutAmount = round((bet.cashoutAmount || 0) + cashoutValue);
+
+      if (!partial) {
+        bet.status = "cashed_out";
+        bet.settledAt = new Date();
+        return record;
+      }
+
+      bet.originalStake = bet.originalStake || bet.stake;
+      bet.stake = round(bet.stake - cashedStake);
+      bet.potentialWin = round(bet.potentialWin - record.potentialWin);
+      bet.status = "partially_cashed_out";
+
+      // System lines each carry their own stake
+      if (bet.betType === "system") {
+        bet.unitStake = round(bet.unitStake * remaining);
+        for (const line of bet.lines) {
+          line.stake = round(line.stake * remaining);
+          line.potentialWin = round(line.potentialWin * remaining);
+          if (line.settledAmount) line.settledAmount = round(line.settledAmount * remaining);
+        }
+      }
+
+      return record;
+    },
+
+    /**
+     * Move the bet from the stake it had when priced to what is left after the cash-out
+     * Only one request can make the move, the stake and status it started from are gone for the others
+     */
+    async claimCashout(bet, previous) {
+      const [claimed] = await this.model.update(
+        { status: bet.status, stake: bet.stake, cashoutAmount: bet.cashoutAmount, settledAt: bet.settledAt || null },
+        { where: { id: bet.id, status: previous.status, stake: previous.stake } }
+      );
+      if (claimed === 0) {
+        throw new this.broker.MoleculerClientError(`Bet ${bet.id} changed during cashout`, 409, "BET_CHANGED");
+      }
+    },
+
+    /**
+     * Snapshot of the bet's stake, status and leg results, a quote is only valid while it is unchanged
+     * A partial cash-out changes the stake, so quotes taken before it cannot pay out again
+     */
+    getCashoutFingerprint(bet) {
+      return [
+        bet.status,
+        bet.stake,
+        (bet.cashouts || []).length,
+        ...bet.selections.map((s) => `${s.id}:${s.status}`),
+      ].join(",");
+    },
+
+    /**
+     * Store a cash-out quote
+     * Uses the broker cacher when configured so any node can redeem it
+     */
+    async createCashoutQuote(bet, value) {
+      const now = Date.now();
+      const quote = {
+        id: uuidv4(),
+        betId: bet.id,
+        userId: bet.userId,
+        value,
+        fingerprint: this.getCashoutFingerprint(bet),
+        expiresAt: now + this.settings.cashoutQuoteTTL,
+      };
+
+      if (this.broker.cacher) {
+        await this.broker.cacher.set(
+          `cashout-quote:${quote.id}`,
+          quote,
+          Math.ceil(this.settings.cashoutQuoteTTL / 1000)
+        );
+        return quote;
+      }
+
+      for (const [id, stored] of this.cashoutQuotes.entries()) {
+        if (stored.expiresAt <= now) {
+          this.cashoutQuotes.delete(id);
+        }
+      }
+      this.cashoutQuotes.set(quote.id, quote);
+      return quote;
+    },
+
+    /**
+     * Take a quote for a bet, throwing when it is unknown, expired or outdated
+     */
+    async redeemCashoutQuote(quoteId, bet) {
+      const key = `cashout-quote:${quoteId}`;
+      const quote = this.broker.cacher ? await this.broker.cacher.get(key) : this.cashoutQuotes.get(quoteId);
+
+      if (!quote || quote.betId !== bet.id || quote.userId !== bet.userId) {
+        throw new this.broker.MoleculerClientError("Cashout quote not found", 404, "CASHOUT_QUOTE_NOT_FOUND");
+      }
+
+      if (this.broker.cacher) {
+        await this.broker.cacher.del(key);
+      } else {
+        this.cashoutQuotes.delete(quoteId);
+      }
+
+      if (quote.expiresAt <= Date.now() || quote.fingerprint !== this.getCashoutFingerprint(bet)) {
+        throw new this.broker.MoleculerClientError(
+          "Cashout quote has expired, request a new value",
+          409,
+          "CASHOUT_QUOTE_EXPIRED"
+        );
+      }
+
+      return quote;
+    },
+  },
+
+  created() {
+    // Quotes live for seconds, without a cacher they are kept in memory
+    this.cashoutQuotes = new Map();
+  },
+};
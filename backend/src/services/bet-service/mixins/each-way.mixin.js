@@ -0,0 +1,218 @@
+"use strict";
+
+const { v4: uuidv4 } = require("uuid");
+const { ODDS_CHANGE_POLICIES, SELECTION_RESULT, VOID_RESULTS } = require("../../../lib/constants");
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Convert a place-terms fraction such as "1/4" to a number
+ */
+const parseFraction = (fraction) => {
+  const [numerator, denominator] = fraction.split("/").map(Number);
+  return numerator / denominator;
+};
+
+/**
+ * Each-way bet mixin
+ * An each-way bet is two equal stakes on one selection: a win part at full
+ * odds and a place part at a fraction of the odds, paid when the selection
+ * finishes within the market's places. The place terms in force at placement
+ * are stored on the bet and used at settlement.
+ */
+module.exports = {
+  actions: {
+    /**
+     * Place an each-way bet
+     */
+    placeEachWay: {
+      rest: "POST /place/each-way",
+      idempotency: true,
+      params: {
+        eventId: { type: "string" },
+        marketId: { type: "string" },
+        selectionId: { type: "string" },
+        odds: { type: "number", positive: true },
+        stake: { type: "number", positive: true }, // Per part, the bet costs twice this
+        oddsChange: { type: "enum", values: ODDS_CHANGE_POLICIES, optional: true },
+        slipCode: { type: "string", max: 16, optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const { eventId, marketId, selectionId, odds, stake } = ctx.params;
+        const totalStake = round(stake * 2);
+
+        // Validate unit and total stake, the total against the user's own limits
+        this.validateStake(stake);
+        this.validateStake(totalStake);
+        await this.checkUserLimits(ctx, "each_way", [{ eventId, marketId }], totalStake);
+
+        const placeTerms = await this.getPlaceTerms(ctx, marketId);
+        if (!placeTerms) {
+          throw new this.broker.MoleculerClientError(
+            "Each-way betting is not offered on this market",
+            400,
+            "EACH_WAY_NOT_OFFERED"
+          );
+        }
+
+        // Validate odds against the user's odds-change policy
+        const oddsChange = await this.resolveOddsChangePolicy(ctx);
+        const [validatedSelection] = await this.validateSelectionOdds(
+          ctx,
+          [{ selectionId, odds }],
+          oddsChange
+        );
+
+        const currentOdds = validatedSelection.currentOdds;
+        const placeOdds = round(1 + (currentOdds - 1) * parseFraction(placeTerms.fraction), 4);
+
+        const parts = [
+          { type: "win", stake, odds: currentOdds, potentialWin: round(stake * currentOdds) },
+          { type: "place", stake, odds: placeOdds, potentialWin: round(stake * placeOdds) },
+        ].map((part) => ({ ...part, status: "pending", settledAmount: null }));
+
+        const potentialWin = round(parts[0].potentialWin + parts[1].potentialWin);
+
+        // Validate potential win
+        if (potentialWin > this.settings.maxPotentialWin) {
+          throw new this.broker.MoleculerClientError(
+            `Potential win exceeds maximum of ${this.settings.maxPotentialWin}`,
+            400,
+            "MAX_POTENTIAL_WIN_EXCEEDED"
+          );
+        }
+
+        // Create bet
+        const bet = {
+          id: uuidv4(),
+          userId,
+          betType: "each_way",
+          unitStake: stake,
+          stake: totalStake,
+          potentialWin,
+          totalOdds: round(potentialWin / totalStake, 4),
+          status: "open",
+          settledAmount: null,
+          cashoutAmount: null,
+          placedAt: new Date(),
+          settledAt: null,
+          ipAddress: ctx.meta.ip,
+          userAgent: ctx.meta.userAgent,
+          lockId: null,
+          placeTerms,
+          parts,
+          selections: [
+            {
+              id: uuidv4(),
+              eventId,
+              marketId,
+              selectionId,
+              oddsAtPlacement: currentOdds,
+              requestedOdds: odds,
+              status: "pending",
+            },
+          ],
+        };
+
+        // Lock, debit and save through the placement saga
+        await this.executePlacement(ctx, bet, {
+          betId: bet.id,
+          userId,
+          stake: totalStake,
+          potentialWin,
+          selectionId,
+          betType: "each_way",
+        });
+
+        this.logger.info(
+          `Each-way bet placed: ${bet.id} by user ${userId}, stake: ${stake} x 2, ` +
+          `odds: ${currentOdds}, terms: ${placeTerms.places} places at ${placeTerms.fraction}`
+        );
+
+        return {
+          betId: bet.id,
+          status: bet.status,
+          betType: bet.betType,
+          unitStake: stake,
+          stake: bet.stake,
+          odds: currentOdds,
+          placeOdds,
+          placeTerms,
+          requestedOdds: odds,
+          oddsChanged: currentOdds !== odds,
+          potentialWin: bet.potentialWin,
+          placedAt: bet.placedAt,
+        };
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Look up the each-way place terms of a market
+     */
+    async getPlaceTerms(ctx, marketId) {
+      try {
+        const market = await ctx.call("event.market", { id: marketId });
+        return market.placeTerms || null;
+      } catch (error) {
+        this.logger.warn(`Failed to load place terms for market ${marketId}:`, error.message);
+        return null;
+      }
+    },
+
+    /**
+     * Share of the place part's stake paid at the place odds
+     * Runners tied across the last paying place split the remaining places between them
+     */
+    getPlaceFactor(leg, places) {
+      const position = leg.position || 1;
+      const tiedCount = leg.tiedCount || 1;
+      const payingPlaces = Math.max(0, Math.min(tiedCount, places - position + 1));
+      return payingPlaces / tiedCount;
+    },
+
+    /**
+     * Settle the win and place parts, and the bet, once the selection is resulted
+     */
+    getEachWaySettlement(bet) {
+      const [leg] = bet.selections;
+      if (leg.status === "pending") return null;
+
+      const isVoid = VOID_RESULTS.includes(leg.status);
+      const isWinner = leg.status === SELECTION_RESULT.WON || leg.status === SELECTION_RESULT.DEAD_HEAT;
+      const hasFinished = isWinner || Boolean(leg.position);
+
+      for (const part of bet.parts) {
+        if (isVoid) {
+          part.status = "void";
+          part.settledAmount = part.stake;
+          continue;
+        }
+
+        let factor = 0;
+        if (part.type === "win" && isWinner) {
+          factor = leg.status === SELECTION_RESULT.DEAD_HEAT ? leg.deadHeatFactor : 1;
+        } else if (part.type === "place" && hasFinished) {
+          factor = this.getPlaceFactor(leg, bet.placeTerms.places);
+        }
+
+        part.status = factor === 0 ? "lost" : factor < 1 ? SELECTION_RESULT.DEAD_HEAT : "won";
+        part.settledAmount = round(part.stake * part.odds * factor);
+      }
+
+      const settledAmount = round(bet.parts.reduce((acc, part) => acc + part.settledAmount, 0));
+
+      // A place-only return can be below the stake, settlement compares the two to name the result
+      return { result: isVoid ? "void" : "partial", settledAmount };
+    },
+  },
+};
@@ -0,0 +1,321 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { getStakeShare } = require("../../../lib/utils");
+
+const toNumber = (value) => (value === null || value === undefined ? value : parseFloat(value));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Free bet mixin
+ * Traders grant users free bet tokens worth one stake, with an expiry, a
+ * minimum odds requirement and optionally a set of eligible sports or market
+ * types. A token is spent instead of cash on a single or accumulator bet,
+ * and a winning free bet pays the winnings only, its stake is not returned.
+ */
+module.exports = {
+  settings: {
+    freeBetSweepInterval: parseInt(process.env.BET_FREE_BET_SWEEP_INTERVAL, 10) || 60000,
+  },
+
+  actions: {
+    /**
+     * Grant a user a free bet token (admin)
+     */
+    grantFreeBet: {
+      params: {
+        userId: { type: "uuid" },
+        amount: { type: "number", positive: true },
+        expiresAt: { type: "date", convert: true },
+        minOdds: { type: "number", min: 1, optional: true },
+        sportIds: { type: "array", items: "string", unique: true, optional: true },
+        marketTypes: { type: "array", items: "string", unique: true, optional: true },
+        grantedBy: { type: "string", max: 100, optional: true },
+        reason: { type: "string", max: 1000, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { userId, amount, expiresAt, minOdds, sportIds, marketTypes, reason } = ctx.params;
+        const grantedBy = ctx.params.grantedBy || ctx.meta.userId || "system";
+
+        if (expiresAt <= new Date()) {
+          throw new this.broker.MoleculerClientError("Expiry must be in the future", 400, "INVALID_FREE_BET");
+        }
+
+        const row = await this.FreeBet.create({
+          userId,
+          amount,
+          expiresAt,
+          minOdds: minOdds || null,
+          sportIds: sportIds || [],
+          marketTypes: marketTypes || [],
+          grantedBy,
+          reason: reason || null,
+        });
+
+        this.logger.info(`Free bet ${row.id} of ${amount} granted to user ${userId} by ${grantedBy}`);
+
+        return this.toFreeBet(row);
+      },
+    },
+
+    /**
+     * List the user's free bet tokens
+     */
+    freeBets: {
+      rest: "GET /free-bets",
+      params: {
+        status: { type: "enum", values: ["active", "used", "expired"], optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const where = { userId };
+        if (ctx.params.status) where.status = ctx.params.status;
+
+        const rows = await this.FreeBet.findAll({ where, order: [["createdAt", "DESC"]] });
+        return rows.map((row) => this.toFreeBet(row));
+      },
+    },
+
+    /**
+     * Spend a user's free bet token on a bet
+     */
+    consumeFreeBet: {
+      params: {
+        id: { type: "uuid" },
+        userId: { type: "uuid" },
+        betId: { type: "uuid" },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { id, userId, betId } = ctx.params;
+        await this.redeemFreeBet(id, userId, betId);
+        return this.toFreeBet(await this.FreeBet.findByPk(id));
+      },
+    },
+
+    /**
+     * Expire a free bet token, or every active token past its expiry (admin)
+     */
+    expireFreeBets: {
+      params: {
+        id: { type: "uuid", optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        if (!ctx.params.id) {
+          return this.expireDueFreeBets();
+        }
+
+        const [expired] = await this.FreeBet.update(
+          { status: "expired" },
+          { where: { id: ctx.params.id, status: "active" } }
+        );
+        if (expired === 0) {
+          throw new this.broker.MoleculerClientError("Free bet is not active", 400, "FREE_BET_NOT_AVAILABLE");
+        }
+
+        this.logger.info(`Free bet ${ctx.params.id} expired`);
+
+        return { expired };
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Convert a free bet row to a plain object
+     */
+    toFreeBet(row) {
+      const freeBet = row.get({ plain: true });
+      return {
+        ...freeBet,
+        amount: toNumber(freeBet.amount),
+        minOdds: toNumber(freeBet.minOdds),
+      };
+    },
+
+    /**
+     * Stake of a bet, the token's amount when it is placed with a free bet
+     */
+    async resolveBetStake(ctx) {
+      const { stake, freeBetId } = ctx.params;
+
+      if (!freeBetId) {
+        if (stake === undefined) {
+          throw new this.broker.MoleculerClientError("Stake is required", 400, "STAKE_REQUIRED");
+        }
+        return { stake, freeBet: null };
+      }
+
+      const row = await this.FreeBet.findByPk(freeBetId);
+      if (!row || row.userId !== ctx.meta.userId) {
+        throw new this.broker.MoleculerClientError("Free bet not found", 404, "FREE_BET_NOT_FOUND");
+      }
+
+      const freeBet = this.toFreeBet(row);
+      if (freeBet.status !== "active" || freeBet.expiresAt <= new Date()) {
+        throw new this.broker.MoleculerClientError("Free bet is no longer available", 400, "FREE_BET_NOT_AVAILABLE");
+      }
+
+      if (stake !== undefined && stake !== freeBet.amount) {
+        throw new this.broker.MoleculerClientError(
+          `Free bet stake is ${freeBet.amount}`,
+          400,
+          "FREE_BET_STAKE_MISMATCH",
+          { amount: freeBet.amount }
+        );
+      }
+
+      return { stake: freeBet.amount, freeBet };
+    },
+
+    /**
+     * Reject a free bet whose odds, sports or market types the token does not cover
+     */
+    async checkFreeBetTerms(ctx, freeBet, selections, totalOdds) {
+      if (freeBet.minOdds && totalOdds < freeBet.minOdds) {
+        throw new this.broker.MoleculerClientError(
+          `Free bet requires odds of at least ${freeBet.minOdds}`,
+          400,
+          "FREE_BET_MIN_ODDS",
+          { minOdds: freeBet.minOdds }
+        );
+      }
+
+      const notEligible = () =>
+        new this.broker.MoleculerClientError("Free bet is not valid on this selection", 400, "FREE_BET_NOT_ELIGIBLE");
+
+      if (freeBet.sportIds.length > 0) {
+        for (const eventId of new Set(selections.map((s) => s.eventId))) {
+          const event = await ctx.call("event.get", { id: eventId });
+          if (!freeBet.sportIds.includes(event.sportId)) throw notEligible();
+        }
+      }
+
+      if (freeBet.marketTypes.length > 0) {
+        for (const marketId of new Set(selections.map((s) => s.marketId))) {
+          const market = await ctx.call("event.market", { id: marketId });
+          if (!freeBet.marketTypes.includes(market.type)) throw notEligible();
+        }
+      }
+    },
+
+    /**
+     * Mark a token as spent on a bet, failing when it was spent or expired meanwhile
+     */
+    async redeemFreeBet(id, userId, betId) {
+      const [redeemed] = await this.FreeBet.update(
+        { status: "used", betId, usedAt: new Date() },
+        { where: { id, userId, status: "active", expiresAt: { [Op.gt]: new Date() } } }
+      );
+
+      if (redeemed === 0) {
+        throw new this.broker.MoleculerClientError("Free bet is no longer available", 400, "FREE_BET_NOT_AVAILABLE");
+      }
+    },
+
+    /**
+     * Give a bet's token back, when its placement failed or the bet was voided
+     * Tokens past their expiry are picked up by the next expiry sweep
+     */
+    async restoreFreeBet(betId) {
+      await this.FreeBet.update(
+        { status: "active", betId: null, usedAt: null },
+        { where: { betId, status: "used" } }
+      );
+    },
+
+    /**
+     * Winnings of a free bet: its return less the share of the stake riding on it
+     */
+    getFreeBetWinnings(bet, amount) {
+      const stakeShare = bet.selections.reduce(
+        (acc, leg) => acc * getStakeShare(leg.status, leg.deadHeatFactor),
+        1
+      );
+      return Math.max(0, round(amount - bet.stake * stakeShare));
+    },
+
+    /**
+     * Settle a free bet: pay the winnings only, or give the token back when void
+     */
+    async settleFreeBet(ctx, bet, result, settledAmount) {
+      if (result === "void") {
+        bet.status = "void";
+        bet.settledAmount = 0;
+        await this.restoreFreeBet(bet.id);
+        return;
+      }
+
+      const amount = result === "won" ? settledAmount || bet.potentialWin : settledAmount || 0;
+      const winnings = this.getFreeBetWinnings(bet, amount);
+
+      bet.status = winnings > 0 ? "won" : "lost";
+      bet.settledAmount = winnings;
+
+      if (winnings > 0) {
+        await ctx.call("wallet.credit", {
+          userId: bet.userId,
+          amount: winnings,
+          referenceId: bet.id,
+          referenceType: "bet_win",
+        });
+      }
+    },
+
+    /**
+     * Expire the active tokens past their expiry
+     */
+    async expireDueFreeBets() {
+      const [expired] = await this.FreeBet.update(
+        { status: "expired" },
+        { where: { status: "active", expiresAt: { [Op.lte]: new Date() } } }
+      );
+
+      if (expired > 0) {
+        this.logger.info(`Expired ${expired} free bets`);
+      }
+
+      return { expired };
+    },
+
+    /**
+     * Start free bet expiry worker
+     */
+    startFreeBetSweep() {
+      this.freeBetSweepTimer = setInterval(() => {
+        this.expireDueFreeBets().catch((err) => {
+          this.logger.error("Free bet expiry failed:", err.message);
+        });
+      }, this.settings.freeBetSweepInterval);
+    },
+
+    /**
+     * Stop free bet expiry worker
+     */
+    stopFreeBetSweep() {
+      if (this.freeBetSweepTimer) {
+        clearInterval(this.freeBetSweepTimer);
+        this.freeBetSweepTimer = null;
+      }
+    },
+  },
+
+  created() {
+    this.freeBetSweepTimer = null;
+  },
+
+  started() {
+    this.startFreeBetSweep();
+  },
+
+  stopped() {
+    this.stopFreeBetSweep();
+  },
+};
@@ -0,0 +1,294 @@
+"use strict";
+
+const { Op } = require("sequelize");
+
+/**
+ * In-play delay mixin
+ * Bets on live events are held as pending, with the stake locked and the
+ * liability reserved, for the delay of the event's sport. Market status and
+ * odds are then checked again before the stake is debited, so a price that
+ * moved on something already seen at the venue cannot be taken. A market
+ * suspended during the delay rejects its pending bets straight away.
+ */
+module.exports = {
+  settings: {
+    inPlayDelay: parseInt(process.env.BET_IN_PLAY_DELAY, 10) || 5000, // Sports without a delay of their own
+    inPlaySweepInterval: parseInt(process.env.BET_IN_PLAY_SWEEP_INTERVAL, 10) || 10000,
+  },
+
+  events: {
+    /**
+     * Reject pending bets on a market that stops trading
+     */
+    async "market.statusChanged"(ctx) {
+      const { marketId, status } = ctx.params;
+      if (status === "open") return;
+
+      try {
+        const legs = await this.BetSelection.findAll({ attributes: ["betId"], where: { marketId } });
+        if (legs.length === 0) return;
+
+        const rows = await this.model.findAll({
+          where: { id: { [Op.in]: legs.map((leg) => leg.betId) }, status: "pending" },
+          include: this.selectionsInclude(),
+        });
+
+        for (const bet of rows.map((row) => this.toBet(row))) {
+          await this.rejectDelayedBet(bet, "MARKET_SUSPENDED", `Market ${status} during the in-play delay`);
+        }
+      } catch (error) {
+        this.logger.error(`Failed to reject pending bets on market ${marketId}:`, error.message);
+      }
+    },
+  },
+
+  methods: {
+    /**
+     * Longest in-play delay of the bet's live events, 0 when none is live
+     * Events that cannot be looked up are treated as live
+     */
+    async getInPlayDelay(ctx, bet) {
+      let delay = 0;
+
+      for (const eventId of new Set(bet.selections.map((s) => s.eventId))) {
+        let event;
+        try {
+          event = await ctx.call("event.get", { id: eventId });
+        } catch (error) {
+          this.logger.warn(`Failed to load event ${eventId} for bet ${bet.id}, applying the in-play delay:`, error.message);
+          delay = Math.max(delay, this.settings.inPlayDelay);
+          continue;
+        }
+
+        if (event.status === "live") {
+          delay = Math.max(delay, await this.getSportDelay(ctx, event.sportId));
+        }
+      }
+
+      return delay;
+    },
+
+    /**
+     * In-play delay of a sport, or the configured default
+     */
+    async getSportDelay(ctx, sportId) {
+      try {
+        const sports = await ctx.call("event.sports");
+        const sport = sports.find((s) => s.id === sportId);
+        if (sport && typeof sport.inPlayDelay === "number") {
+          return sport.inPlayDelay;
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to load the in-play delay of sport ${sportId}:`, error.message);
+      }
+      return this.settings.inPlayDelay;
+    },
+
+    /**
+     * Lock the stake, or hold the free bet token, of a live bet and keep it pending until the delay is over
+     * The lock is recorded in the saga first, so its compensation releases it if anything after fails
+     */
+    async delayPlacement(ctx, bet, saga, delay) {
+      try {
+        if (bet.freeBetId) {
+          // A free bet's token is held instead
+          await this.redeemFreeBet(bet.freeBetId, bet.userId, bet.id);
+          await this.recordSagaStep(saga, "funds_locked", { freeBetId: bet.freeBetId });
+        } else {
+          await this.lockBetStake(ctx, bet);
+          await this.recordSagaStep(saga, "funds_locked", { lockId: bet.lockId });
+        }
+
+        bet.status = "pending";
+        bet.inPlay = { delay, acceptAt: new Date(Date.now() + delay) };
+        await this.saveBet(bet);
+      } catch (error) {
+        await this.compensatePlacement(saga, error.message);
+        throw error;
+      }
+
+      this.scheduleDelayedBet(bet.id, delay);
+
+      this.logger.info(`Live bet ${bet.id} held for ${delay}ms before acceptance`);
+
+      return bet;
+    },
+
+    /**
+     * Confirm a pending bet once its delay is over
+     */
+    scheduleDelayedBet(betId, delay) {
+      const timer = setTimeout(() => {
+        this.inPlayTimers.delete(betId);
+        this.confirmDelayedBet(betId).catch((err) => {
+          this.logger.error(`Failed to confirm pending bet ${betId}:`, err.message);
+        });
+      }, delay);
+
+      this.inPlayTimers.set(betId, timer);
+    },
+
+    /**
+     * Check a pending bet again and debit it, or reject it when its market or price moved
+     */
+    async confirmDelayedBet(betId) {
+      const bet = await this.getBetById(betId);
+      if (!bet || bet.status !== "pending") return;
+
+      try {
+        await this.revalidateDelayedBet(bet);
+      } catch (error) {
+        await this.rejectDelayedBet(bet, error.type || "VALIDATION_FAILED", error.message);
+        return;
+      }
+
+      const [claimed] = await this.model.update({ status: "open" }, { where: { id: bet.id, status: "pending" } });
+      if (claimed === 0) return;
+
+      const saga = await this.getPlacementSaga(bet.id);
+      const { inPlay } = bet;
+
+      try {
+        // Free bets already spent their token
+        if (!bet.freeBetId) {
+          await this.broker.call("wallet.debit", {
+            userId: bet.userId,
+            amount: bet.stake,
+            lockId: bet.lockId,
+            referenceId: bet.id,
+            referenceType: "bet_stake",
+          });
+          await this.recordSagaStep(saga, "stake_debited");
+        }
+
+        bet.status = "open";
+        bet.inPlay = { ...inPlay, acceptedAt: new Date() };
+        await this.saveBet(bet);
+      } catch (error) {
+        await this.model.update({ status: "pending" }, { where: { id: bet.id } });
+        bet.status = "pending";
+        bet.inPlay = inPlay;
+        await this.rejectDelayedBet(bet, "PLACEMENT_FAILED", error.message);
+        return;
+      }
+
+      try {
+        await this.recordSagaStep(saga, "bet_saved");
+      } catch (error) {
+        this.logger.error(`Failed to record saga step for bet ${bet.id}:`, error.message);
+      }
+
+      this.logger.info(`Live bet ${bet.id} accepted after ${inPlay.delay}ms`);
+
+      await this.completePlacementSaga(saga);
+    },
+
+    /**
+     * Every market must still be open and no price may have shortened since placement
+     * Boosted legs are checked at the feed price under their boost
+     */
+    async revalidateDelayedBet(bet) {
+      for (const marketId of new Set(bet.selections.map((s) => s.marketId))) {
+        const market = await this.broker.call("event.market", { id: marketId });
+        if (market.status !== "open") {
+          throw new this.broker.MoleculerClientError(
+            `Market ${market.status} during the in-play delay`,
+            409,
+            "MARKET_SUSPENDED"
+          );
+        }
+      }
+
+      await this.validateSelectionOdds(
+        this.broker,
+        bet.selections.map((s) => ({ selectionId: s.selectionId, odds: s.feedOdds || s.oddsAtPlacement })),
+        "accept_higher"
+      );
+    },
+
+    /**
+     * Reject a pending bet, its saga's compensation releases the stake, liability and boost
+     */
+    async rejectDelayedBet(bet, reason, message) {
+      const [claimed] = await this.model.update({ status: "rejected" }, { where: { id: bet.id, status: "pending" } });
+      if (claimed === 0) return;
+
+      clearTimeout(this.inPlayTimers.get(bet.id));
+      this.inPlayTimers.delete(bet.id);
+
+      await this.compensatePlacement(await this.getPlacementSaga(bet.id), message);
+
+      bet.status = "rejected";
+      bet.liability = 0;
+      bet.inPlay = { ...bet.inPlay, rejectedAt: new Date(), rejectionReason: reason };
+      await this.saveBet(bet);
+
+      this.logger.info(`Live bet ${bet.id} rejected: ${message}`);
+
+      this.broker.emit("bet.rejected", {
+        betId: bet.id,
+        userId: bet.userId,
+        stake: bet.stake,
+        reason,
+        message,
+      });
+    },
+
+    /**
+     * Confirm pending bets whose timer was lost, e.g. to a restart
+     */
+    async recoverDelayedBets() {
+      const rows = await this.model.findAll({ where: { status: "pending" }, attributes: ["id", "metadata"] });
+      const overdue = Date.now() - this.settings.inPlaySweepInterval;
+
+      for (const row of rows) {
+        if (this.inPlayTimers.has(row.id) || new Date(row.metadata.inPlay.acceptAt) > overdue) continue;
+
+        try {
+          await this.confirmDelayedBet(row.id);
+        } catch (error) {
+          this.logger.error(`Failed to recover pending bet ${row.id}:`, error.message);
+        }
+      }
+    },
+
+    /**
+     * Start pending bet recovery worker
+     */
+    startInPlaySweep() {
+      this.inPlaySweepTimer = setInterval(() => {
+        this.recoverDelayedBets().catch((err) => {
+          this.logger.error("Pending bet recovery failed:", err.message);
+        });
+      }, this.settings.inPlaySweepInterval);
+    },
+
+    /**
+     * Stop pending bet recovery worker and the delay timers
+     */
+    stopInPlaySweep() {
+      if (this.inPlaySweepTimer) {
+        clearInterval(this.inPlaySweepTimer);
+        this.inPlaySweepTimer = null;
+      }
+
+      for (const timer of this.inPlayTimers.values()) {
+        clearTimeout(timer);
+      }
+      this.inPlayTimers.clear();
+    },
+  },
+
+  created() {
+    this.inPlayTimers = new Map();
+    this.inPlaySweepTimer = null;
+  },
+
+  started() {
+    this.startInPlaySweep();
+  },
+
+  stopped() {
+    this.stopInPlaySweep();
+  },
+};
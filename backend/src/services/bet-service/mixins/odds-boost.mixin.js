@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * Odds boost mixin
+ * Marketing offers boosted prices on chosen selections through the odds
+ * service, each capped by a maximum stake per user and a budget for the extra
+ * payout over the feed price. A boosted single is placed at the boosted odds
+ * and records the feed odds next to them, so reporting can tell the two apart.
+ */
+module.exports = {
+  methods: {
+    /**
+     * Boost on offer for a selection, checked against the boosted odds the user asked for
+     */
+    async getOddsBoost(ctx, boostId, selectionId, odds) {
+      const price = await ctx.call("odds.get", { selectionId });
+
+      if (price.boostId !== boostId) {
+        throw new this.broker.MoleculerClientError("Boost is no longer available", 400, "BOOST_NOT_AVAILABLE");
+      }
+
+      if (odds !== price.boostedOdds) {
+        throw new this.broker.MoleculerClientError(
+          `Odds changed for selection ${selectionId}: boosted odds are ${price.boostedOdds}`,
+          409,
+          "ODDS_CHANGED",
+          { selectionId, valid: false, currentOdds: price.boostedOdds }
+        );
+      }
+
+      return { id: boostId, boostedOdds: price.boostedOdds, feedOdds: price.odds };
+    },
+
+    /**
+     * Take a boosted bet's final stake out of the boost's user cap and budget
+     */
+    async reserveOddsBoost(ctx, bet) {
+      const [leg] = bet.selections;
+      const { feedOdds, stake, cost } = await ctx.call("odds.reserveBoost", {
+        boostId: bet.boost.id,
+        selectionId: leg.selectionId,
+        userId: bet.userId,
+        stake: bet.stake,
+      });
+
+      bet.boost = { ...bet.boost, feedOdds, stake, cost };
+      leg.feedOdds = feedOdds;
+    },
+
+    /**
+     * Give a boost reservation back when its bet is not placed
+     */
+    async releaseOddsBoost(userId, boost) {
+      if (!boost || boost.cost === undefined) return;
+
+      try {
+        await this.broker.call("odds.releaseBoost", {
+          boostId: boost.id,
+          userId,
+          stake: boost.stake,
+          cost: boost.cost,
+        });
+      } catch (error) {
+        this.logger.error(`Failed to release boost ${boost.id}:`, error.message);
+      }
+    },
+  },
+};
@@ -0,0 +1,381 @@
+"use strict";
+
+const { Op } = require("sequelize");
+
+const FINISHED_STATUSES = ["completed", "compensated"];
+const COMPENSATING_STATUSES = ["compensating", "compensation_failed"];
+
+/**
+ * Bet placement saga mixin
+ * Runs lock -> debit -> save -> publish as recorded steps and compensates
+ * through the wallet and the liability ledger when a step fails. A recovery
+ * worker finishes or rolls back placements left half-done by a crashed node.
+ */
+module.exports = {
+  settings: {
+    sagaRecoveryInterval: parseInt(process.env.BET_SAGA_RECOVERY_INTERVAL, 10) || 30000,
+    sagaStaleAfter: parseInt(process.env.BET_SAGA_STALE_AFTER, 10) || 60000,
+    sagaRecoveryBatchSize: 100,
+  },
+
+  methods: {
+    /**
+     * Place a bet: reserve liability, lock funds, debit the stake, save the bet and emit `bet.placed`
+     * Bets over the stake or liability limits are referred to a trader instead,
+     * bets on live events are held as pending for the in-play delay.
+     * With `hold: false` a bet that would be held fails instead; with `publish: false` its saga is
+     * left at bet_saved for the caller to complete, or compensate, with the rest of its bets
+     */
+    async executePlacement(ctx, bet, placedEvent, { hold = true, publish = true } = {}) {
+      await this.attachSharedSlip(ctx, bet, placedEvent);
+
+      const referralReason = this.getReferralReason(ctx, bet);
+      if (referralReason) {
+        if (!hold) {
+          throw new this.broker.MoleculerClientError("Bet would be referred to a trader", 400, "BET_HELD");
+        }
+        return this.referBet(ctx, bet, placedEvent, referralReason);
+      }
+
+      // Liability limits may cut the stake down, so they come before any money moves
+      let reservation;
+      try {
+        reservation = await this.reserveLiability(ctx, bet);
+      } catch (error) {
+        if (error.type === "LIABILITY_LIMIT_EXCEEDED" && hold && this.settings.referralsEnabled && !bet.freeBetId) {
+          return this.referBet(ctx, bet, placedEvent, "liability");
+        }
+        throw error;
+      }
+      Object.assign(placedEvent, { stake: bet.stake, potentialWin: bet.potentialWin });
+
+      // Boosted prices come out of the boost's budget at the final stake
+      if (bet.boost) {
+        try {
+          await this.reserveOddsBoost(ctx, bet);
+        } catch (error) {
+          await this.releaseLiability(reservation);
+          throw error;
+        }
+      }
+
+      const inPlayDelay = await this.getInPlayDelay(ctx, bet);
+      if (inPlayDelay > 0 && !hold) {
+        await this.releaseLiability(reservation);
+        await this.releaseOddsBoost(bet.userId, bet.boost);
+        throw new this.broker.MoleculerClientError("Bet would be held for the in-play delay", 400, "BET_HELD");
+      }
+
+      let saga;
+      try {
+        saga = await this.startPlacementSaga(bet, placedEvent, reservation, inPlayDelay > 0 ? "in_play" : null);
+      } catch (error) {
+        await this.releaseLiability(reservation);
+        await this.releaseOddsBoost(bet.userId, bet.boost);
+        throw error;
+      }
+
+      // Live bets are held with their stake locked, the saga finishes when the delay is over
+      if (inPlayDelay > 0) {
+        return this.delayPlacement(ctx, bet, saga, inPlayDelay);
+      }
+
+      return this.finishPlacement(ctx, bet, saga, { publish });
+    },
+
+    /**
+     * Take the stake of a bet with a started saga, save the bet and publish it, compensating on failure
+     */
+    async finishPlacement(ctx, bet, saga, { publish = true } = {}) {
+      try {
+        // Free bets are paid for with their token
+        if (bet.freeBetId) {
+          await this.redeemFreeBet(bet.freeBetId, bet.userId, bet.id);
+          await this.recordSagaStep(saga, "stake_debited", { freeBetId: bet.freeBetId });
+        } else {
+          await this.placeCashStake(ctx, bet, saga);
+        }
+
+        await this.saveBet(bet);
+      } catch (error) {
+        await this.compensatePlacement(saga, error.message);
+        throw error;
+      }
+
+      // The bet exists from here on, recovery rolls forward if the saga log lags behind
+      try {
+        await this.recordSagaStep(saga, "bet_saved");
+      } catch (error) {
+        this.logger.error(`Failed to record saga step for bet ${bet.id}:`, error.message);
+      }
+
+      if (publish) {
+        await this.completePlacementSaga(saga);
+      }
+
+      return bet;
+    },
+
+    /**
+     * Lock a bet's stake in the wallet
+     * Bets placed from a slip arrive with their stake already locked
+     */
+    async lockBetStake(ctx, bet) {
+      if (bet.lockId) return;
+
+      let lockResult;
+      try {
+        lockResult = await ctx.call("wallet.lock", {
+          userId: bet.userId,
+          amount: bet.stake,
+          referenceId: bet.id,
+          referenceType: "bet",
+        });
+      } catch (error) {
+        throw new this.broker.MoleculerClientError(
+          error.message || "Insufficient funds",
+          400,
+          "INSUFFICIENT_FUNDS"
+        );
+      }
+
+      bet.lockId = lockResult.lockId;
+    },
+
+    /**
+     * Lock and debit a bet's stake from the wallet
+     */
+    async placeCashStake(ctx, bet, saga) {
+      // Lock funds in wallet
+      await this.lockBetStake(ctx, bet);
+      await this.recordSagaStep(saga, "funds_locked", { lockId: bet.lockId });
+
+      // Debit funds from wallet
+      await ctx.call("wallet.debit", {
+        userId: bet.userId,
+        amount: bet.stake,
+        lockId: bet.lockId,
+        referenceId: bet.id,
+        referenceType: "bet_stake",
+      });
+      await this.recordSagaStep(saga, "stake_debited");
+    },
+
+    /**
+     * Create the saga record for a placement
+     * `heldFor` marks a bet already on record, held for a trader or the in-play delay, before its stake is taken.
+     * `options` go to the insert, e.g. the transaction of a claim on the held bet
+     */
+    async startPlacementSaga(bet, placedEvent, liability = null, heldFor = null, options = {}) {
+      return this.PlacementSaga.create(
+        {
+          betId: bet.id,
+          userId: bet.userId,
+          status: "started",
+          steps: [{ status: "started", at: new Date() }],
+          payload: { stake: bet.stake, betType: bet.betType, placedEvent, liability, boost: bet.boost || null, heldFor },
+        },
+        options
+      );
+    },
+
+    /**
+     * Whether the bet of a saga was saved as placed
+     * A held bet exists before its placement, it counts once it is saved as accepted
+     */
+    isPlacementSaved(saga, bet) {
+      if (!bet) return false;
+      if (saga.payload.heldFor === "referral") return bet.referral.status === "accepted";
+      if (saga.payload.heldFor === "in_play") return Boolean(bet.inPlay.acceptedAt);
+      return true;
+    },
+
+    /**
+     * Latest saga of a bet
+     */
+    async getPlacementSaga(betId) {
+      return this.PlacementSaga.findOne({ where: { betId }, order: [["createdAt", "DESC"]] });
+    },
+
+    /**
+     * Append a step to the saga log and move it to that status
+     */
+    async recordSagaStep(saga, status, data = {}) {
+      const updates = {
+        status,
+        steps: [...saga.steps, { status, at: new Date(), ...data }],
+      };
+      if (data.error) {
+        updates.error = data.error;
+      }
+      await saga.update(updates);
+    },
+
+    /**
+     * Publish the placed bet and close the saga
+     */
+    async completePlacementSaga(saga) {
+      this.broker.emit("bet.placed", saga.payload.placedEvent);
+
+      try {
+        await this.recordSagaStep(saga, "completed");
+      } catch (error) {
+        this.logger.error(`Failed to complete saga for bet ${saga.betId}:`, error.message);
+      }
+    },
+
+    /**
+     * Undo a placement: remove the bet, refund the debited stake, release locks and give back its free bet.
+     * Works from the wallet's own records so it is safe to run more than once.
+     * A held bet was shown to its user before, so it is kept as rejected instead of removed.
+     */
+    async compensatePlacement(saga, reason) {
+      try {
+        await this.recordSagaStep(saga, "compensating", { reason });
+
+        if (saga.payload.heldFor) {
+          await this.model.update({ status: "rejected" }, { where: { id: saga.betId } });
+        } else {
+          await this.removeBet(saga.betId);
+        }
+
+        const { locks, transactions } = await this.broker.call("wallet.byReference", {
+          userId: saga.userId,
+          referenceId: saga.betId,
+        });
+
+        const staked = transactions
+          .filter((t) => t.type === "bet_stake")
+          .reduce((acc, t) => acc - t.amount, 0);
+        const refunded = transactions
+          .filter((t) => t.type === "bet_refund")
+          .reduce((acc, t) => acc + t.amount, 0);
+        const outstanding = Math.round((staked - refunded) * 100) / 100;
+
+        if (outstanding > 0) {
+          await this.broker.call("wallet.credit", {
+            userId: saga.userId,
+            amount: outstanding,
+            referenceId: saga.betId,
+            referenceType: "bet_refund",
+          });
+        }
+
+        const activeLocks = locks.filter((l) => l.status === "active");
+        for (const lock of activeLocks) {
+          await this.broker.call("wallet.unlock", { lockId: lock.id });
+        }
+
+        await this.releaseLiability(saga.payload.liability);
+        await this.restoreFreeBet(saga.betId);
+        await this.releaseOddsBoost(saga.userId, saga.payload.boost);
+
+        await this.recordSagaStep(saga, "compensated", {
+          refunded: outstanding,
+          releasedLocks: activeLocks.length,
+          releasedLiability: saga.payload.liability ? saga.payload.liability.exposure : 0,
+        });
+
+        this.logger.warn(`Bet placement ${saga.betId} rolled back: ${reason}`);
+      } catch (error) {
+        this.logger.error(`Compensation failed for bet placement ${saga.betId}:`, error.message);
+        try {
+          await this.recordSagaStep(saga, "compensation_failed", { error: error.message });
+        } catch (err) {
+          this.logger.error(`Failed to record compensation failure for bet ${saga.betId}:`, err.message);
+        }
+      }
+    },
+
+    /**
+     * Finish or roll back placements that stopped half-way
+     */
+    async recoverPlacementSagas() {
+      const sagas = await this.PlacementSaga.findAll({
+        where: {
+          status: { [Op.notIn]: FINISHED_STATUSES },
+          updatedAt: { [Op.lt]: new Date(Date.now() - this.settings.sagaStaleAfter) },
+        },
+        order: [["createdAt", "ASC"]],
+        limit: this.settings.sagaRecoveryBatchSize,
+      });
+
+      for (const saga of sagas) {
+        try {
+          const bet = COMPENSATING_STATUSES.includes(saga.status) ? null : await this.getBetById(saga.betId);
+
+          // Live bets still pending are confirmed or rejected by the in-play sweep
+          if (bet && bet.status === "pending") continue;
+
+          // Every node runs recovery, only the one that claims the saga acts on it
+          if (!(await this.claimPlacementSaga(saga))) continue;
+
+          if (this.isPlacementSaved(saga, bet)) {
+            this.logger.info(`Completing interrupted placement of bet ${saga.betId}`);
+            await this.completePlacementSaga(saga);
+          } else {
+            await this.compensatePlacement(saga, `Placement interrupted at ${saga.status}`);
+          }
+        } catch (error) {
+          this.logger.error(`Failed to recover placement of bet ${saga.betId}:`, error.message);
+        }
+      }
+
+      if (sagas.length > 0) {
+        this.logger.info(`Recovered ${sagas.length} interrupted bet placements`);
+      }
+
+      return { recovered: sagas.length };
+    },
+
+    /**
+     * Claim a saga for recovery, false when another node changed it first
+     * A node that stops while recovering leaves the saga to be picked up again once it is stale
+     */
+    async claimPlacementSaga(saga) {
+      const [claimed] = await this.PlacementSaga.update(
+        { status: "recovering" },
+        { where: { id: saga.id, status: saga.status, updatedAt: saga.updatedAt } }
+      );
+      return claimed > 0;
+    },
+
+    /**
+     * Start saga recovery worker
+     */
+    startSagaRecovery() {
+      this.sagaRecoveryTimer = setInterval(() => {
+        this.recoverPlacementSagas().catch((err) => {
+          this.logger.error("Saga recovery failed:", err.message);
+        });
+      }, this.settings.sagaRecoveryInterval);
+    },
+
+    /**
+     * Stop saga recovery worker
+     */
+    stopSagaRecovery() {
+      if (this.sagaRecoveryTimer) {
+        clearInterval(this.sagaRecoveryTimer);
+        this.sagaRecoveryTimer = null;
+      }
+    },
+  },
+
+  created() {
+    this.sagaRecoveryTimer = null;
+  },
+
+  async started() {
+    try {
+      await this.recoverPlacementSagas();
+    } catch (error) {
+      this.logger.error("Startup saga recovery failed:", error.message);
+    }
+    this.startSagaRecovery();
+  },
+
+  stopped() {
+    this.stopSagaRecovery();
+  },
+};
@@ -0,0 +1,525 @@
+"use strict";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Referral states a decision can still be made on
+const OPEN_REFERRAL_STATUSES = ["pending", "countered"];
+
+// Bets whose potential win scales with the stake and odds alone, so traders can counter them
+const COUNTER_STAKE_BET_TYPES = ["single", "accumulator", "same_game"];
+const COUNTER_ODDS_BET_TYPES = ["single"];
+
+/**
+ * Referral mixin
+ * Bets over the referral stake threshold, the user's personal maximum or the
+ * liability caps are referred to a trader instead of being rejected. Their
+ * stake stays locked in the wallet until a trader accepts, rejects or
+ * counter-offers them, and referrals nobody answers in time are released.
+ */
+module.exports = {
+  settings: {
+    referralsEnabled: process.env.BET_REFERRALS_ENABLED !== "false",
+    referralStakeThreshold: parseFloat(process.env.BET_REFERRAL_STAKE_THRESHOLD) || 10000,
+    referralTTL: parseInt(process.env.BET_REFERRAL_TTL, 10) || 120000,
+    counterOfferTTL: parseInt(process.env.BET_COUNTER_OFFER_TTL, 10) || 60000,
+    referralSweepInterval: parseInt(process.env.BET_REFERRAL_SWEEP_INTERVAL, 10) || 5000,
+  },
+
+  actions: {
+    /**
+     * List the referred bets awaiting a decision (admin)
+     */
+    referrals: {
+      params: {
+        status: { type: "enum", values: OPEN_REFERRAL_STATUSES, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const rows = await this.model.findAll({
+          where: { status: "referred" },
+          include: this.selectionsInclude(),
+          order: [["placedAt", "ASC"]],
+        });
+
+        return rows
+          .map((row) => this.toBet(row))
+          .filter((bet) => !ctx.params.status || bet.referral.status === ctx.params.status);
+      },
+    },
+
+    /**
+     * Accept a referred bet at its requested terms (admin)
+     */
+    acceptReferral: {
+      params: {
+        id: { type: "uuid" },
+        decidedBy: { type: "string", max: 100, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const bet = await this.getReferredBet(ctx.params.id, ["pending"]);
+        const decidedBy = ctx.params.decidedBy || ctx.meta.userId || "system";
+
+        // The sweep may not have closed it yet
+        if (new Date(bet.referral.expiresAt) <= new Date()) {
+          await this.closeReferral(bet, "expired");
+          throw new this.broker.MoleculerClientError("Referral has expired", 409, "REFERRAL_EXPIRED");
+        }
+
+        return this.acceptReferredBet(ctx, bet, { decidedBy });
+      },
+    },
+
+    /**
+     * Reject a referred bet and release its stake (admin)
+     */
+    rejectReferral: {
+      params: {
+        id: { type: "uuid" },
+        decidedBy: { type: "string", max: 100, optional: true },
+        reason: { type: "string", max: 1000, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const bet = await this.getReferredBet(ctx.params.id, OPEN_REFERRAL_STATUSES);
+        const decidedBy = ctx.params.decidedBy || ctx.meta.userId || "system";
+
+        return this.closeReferral(bet, "rejected", { decidedBy, reason: ctx.params.reason || null });
+      },
+    },
+
+    /**
+     * Offer the bettor a lower stake and / or different odds (admin)
+     */
+    counterOffer: {
+      params: {
+        id: { type: "uuid" },
+        stake: { type: "number", positive: true, optional: true },
+        odds: { type: "number", gt: 1, optional: true },
+        decidedBy: { type: "string", max: 100, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { id, stake, odds } = ctx.params;
+        const bet = await this.getReferredBet(id, ["pending"]);
+        const decidedBy = ctx.params.decidedBy || ctx.meta.userId || "system";
+
+        const counterOffer = this.buildCounterOffer(bet, { stake, odds });
+
+        bet.referral = {
+          ...bet.referral,
+          status: "countered",
+          counterOffer,
+          expiresAt: counterOffer.expiresAt,
+          decidedBy,
+        };
+
+        // Only a referral still waiting on the trader can be countered
+        const [updated] = await this.model.update(
+          { metadata: this.toRecord(this.model, bet).metadata },
+          { where: { id, status: "referred" } }
+        );
+        if (updated === 0) {
+          throw new this.broker.MoleculerClientError("Referral is no longer open", 409, "REFERRAL_NOT_OPEN");
+        }
+
+        this.logger.info(
+          `Counter offer on bet ${id} by ${decidedBy}: stake ${counterOffer.stake}, odds ${counterOffer.odds}`
+        );
+
+        await this.publishReferral(bet);
+
+        return bet;
+      },
+    },
+
+    /**
+     * Accept the trader's counter-offer on a referred bet
+     */
+    acceptCounterOffer: {
+      rest: "POST /:id/counter-offer/accept",
+      params: {
+        id: { type: "uuid" },
+      },
+      async handler(ctx) {
+        const bet = await this.getOwnCounteredBet(ctx);
+        const { counterOffer } = bet.referral;
+
+        if (counterOffer.stake !== bet.stake) {
+          bet.requestedStake = bet.stake;
+        }
+        bet.stake = counterOffer.stake;
+        bet.potentialWin = counterOffer.potentialWin;
+        if (counterOffer.odds !== bet.totalOdds) {
+          bet.totalOdds = counterOffer.odds;
+          bet.selections[0].oddsAtPlacement = counterOffer.odds;
+        }
+
+        return this.acceptReferredBet(ctx, bet, { decidedBy: bet.referral.decidedBy });
+      },
+    },
+
+    /**
+     * Decline the trader's counter-offer, which releases the stake
+     */
+    declineCounterOffer: {
+      rest: "POST /:id/counter-offer/decline",
+      params: {
+        id: { type: "uuid" },
+      },
+      async handler(ctx) {
+        const bet = await this.getOwnCounteredBet(ctx);
+        return this.closeReferral(bet, "declined", { decidedBy: bet.referral.decidedBy });
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Why a new bet has to be referred, or null when it can be placed straight away
+     * Free bets are never referred, their stake is not the user's money
+     */
+    getReferralReason(ctx, bet) {
+      if (!this.settings.referralsEnabled || bet.freeBetId) return null;
+      if (ctx.locals.referralReason) return ctx.locals.referralReason;
+      if (bet.stake > this.settings.referralStakeThreshold) return "stake_threshold";
+      return null;
+    },
+
+    /**
+     * Lock the stake of a new bet and save it as referred
+     */
+    async referBet(ctx, bet, placedEvent, reason) {
+      await this.lockBetStake(ctx, bet);
+
+      const now = Date.now();
+      bet.status = "referred";
+      bet.referral = {
+        reason,
+        status: "pending",
+        referredAt: new Date(now),
+        expiresAt: new Date(now + this.settings.referralTTL),
+        counterOffer: null,
+        decidedBy: null,
+        decidedAt: null,
+        placedEvent,
+      };
+
+      try {
+        await this.saveBet(bet);
+      } catch (error) {
+        await ctx.call("wallet.unlock", { lockId: bet.lockId });
+        throw error;
+      }
+
+      this.logger.info(`Bet ${bet.id} referred to a trader (${reason}), stake ${bet.stake} locked`);
+
+      await this.publishReferral(bet);
+
+      return bet;
+    },
+
+    /**
+     * Load a referred bet whose referral is in one of the given states
+     */
+    async getReferredBet(id, statuses) {
+      const bet = await this.getBetById(id);
+      if (!bet || !bet.referral) {
+        throw new this.broker.MoleculerClientError("Referral not found", 404, "REFERRAL_NOT_FOUND");
+      }
+
+      if (bet.status !== "referred" || !statuses.includes(bet.referral.status)) {
+        throw new this.broker.MoleculerClientError(
+          `Referral is ${bet.referral.status}`,
+          409,
+          "REFERRAL_NOT_OPEN"
+        );
+      }
+
+      return bet;
+    },
+
+    /**
+     * Load the caller's bet with a counter-offer still open
+     */
+    async getOwnCounteredBet(ctx) {
+      const userId = ctx.meta.userId;
+      if (!userId) {
+        throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+      }
+
+      const bet = await this.getReferredBet(ctx.params.id, ["countered"]);
+      if (bet.userId !== userId) {
+        throw new this.broker.MoleculerClientError("Access denied", 403, "ACCESS_DENIED");
+      }
+
+      if (new Date(bet.referral.expiresAt) <= new Date()) {
+        await this.closeReferral(bet, "expired");
+        throw new this.broker.MoleculerClientError("Counter offer has expired", 409, "COUNTER_OFFER_EXPIRED");
+      }
+
+      return bet;
+    },
+
+    /**
+     * Validate a trader's counter terms, stakes may only go down
+     */
+    buildCounterOffer(bet, { stake, odds }) {
+      const invalid = (message) =>
+        new this.broker.MoleculerClientError(message, 400, "INVALID_COUNTER_OFFER");
+
+      if (stake === undefined && odds === undefined) {
+        throw invalid("A counter offer needs a stake or odds");
+      }
+
+      // The boost's terms fix both
+      if (bet.boost) {
+        throw invalid("Boosted bets cannot be countered");
+      }
+
+      if (stake !== undefined) {
+        if (!COUNTER_STAKE_BET_TYPES.includes(bet.betType)) {
+          throw invalid(`The stake of ${bet.betType} bets cannot be countered`);
+        }
+        if (stake >= bet.stake || stake < this.settings.minStake) {
+          throw invalid(`Counter stake must be at least ${this.settings.minStake} and below ${bet.stake}`);
+        }
+      }
+
+      if (odds !== undefined && !COUNTER_ODDS_BET_TYPES.includes(bet.betType)) {
+        throw invalid(`The odds of ${bet.betType} bets cannot be countered`);
+      }
+
+      const counterStake = stake === undefined ? bet.stake : stake;
+      const counterOdds = odds === undefined ? bet.totalOdds : odds;
+      const now = Date.now();
+
+      return {
+        stake: counterStake,
+        odds: counterOdds,
+        potentialWin: round(counterStake * counterOdds),
+        offeredAt: new Date(now),
+        expiresAt: new Date(now + this.settings.counterOfferTTL),
+      };
+    },
+
+    /**
+     * Place a referred bet: reserve its liability over the caps, then debit the locked stake,
+     * save and publish it through the placement saga.
+     * The bet is claimed as accepting together with its saga, so a failure from here on is
+     * compensated into a rejected bet and it only turns open once its stake is taken.
+     */
+    async acceptReferredBet(ctx, bet, { decidedBy }) {
+      const { placedEvent, ...referral } = bet.referral;
+
+      let reservation = null;
+      let saga;
+      try {
+        reservation = await this.reserveLiability(ctx, bet, { override: true });
+        if (bet.boost) await this.reserveOddsBoost(ctx, bet);
+
+        saga = await this.adapter.db.transaction(async (transaction) => {
+          const [claimed] = await this.model.update(
+            { status: "accepting" },
+            { where: { id: bet.id, status: "referred" }, transaction }
+          );
+          if (claimed === 0) {
+            throw new this.broker.MoleculerClientError("Referral is no longer open", 409, "REFERRAL_NOT_OPEN");
+          }
+
+          return this.startPlacementSaga(
+            bet,
+            { ...placedEvent, stake: bet.stake, potentialWin: bet.potentialWin },
+            reservation,
+            "referral",
+            { transaction }
+          );
+        });
+      } catch (error) {
+        await this.releaseLiability(reservation);
+        await this.releaseOddsBoost(bet.userId, bet.boost);
+        throw error;
+      }
+
+      // The debit converts the whole lock, a lower counter stake frees the rest.
+      // finishPlacement saves the bet as open only after the debit
+      bet.status = "open";
+      bet.referral = { ...referral, status: "accepted", decidedBy, decidedAt: new Date() };
+
+      try {
+        await this.finishPlacement(ctx, bet, saga);
+      } catch (error) {
+        // The saga released the stake and rejected the bet, the referral records why
+        bet.status = "rejected";
+        bet.referral = { ...referral, status: "failed", decidedBy, decidedAt: new Date(), reason: error.message };
+        try {
+          await this.saveBet(bet);
+          await this.publishReferral(bet);
+        } catch (err) {
+          this.logger.error(`Failed to record the failed acceptance of bet ${bet.id}:`, err.message);
+        }
+        throw error;
+      }
+
+      this.logger.info(`Referred bet ${bet.id} accepted by ${decidedBy}, stake: ${bet.stake}, odds: ${bet.totalOdds}`);
+
+      await this.publishReferral(bet);
+
+      return bet;
+    },
+
+    /**
+     * End a referral without a bet and release the locked stake
+     */
+    async closeReferral(bet, status, { decidedBy = null, reason = null } = {}) {
+      const [claimed] = await this.model.update({ status: "rejected" }, { where: { id: bet.id, status: "referred" } });
+      if (claimed === 0) {
+        throw new this.broker.MoleculerClientError("Referral is no longer open", 409, "REFERRAL_NOT_OPEN");
+      }
+
+      try {
+        await this.broker.call("wallet.unlock", { lockId: bet.lockId });
+      } catch (error) {
+        this.logger.error(`Failed to release the stake of referred bet ${bet.id}:`, error.message);
+      }
+
+      const { placedEvent, ...referral } = bet.referral;
+      bet.status = "rejected";
+      bet.referral = { ...referral, status, decidedBy, decidedAt: new Date(), reason };
+      await this.saveBet(bet);
+
+      this.logger.info(`Referral of bet ${bet.id} ${status}${reason ? `: ${reason}` : ""}`);
+
+      await this.publishReferral(bet);
+
+      return bet;
+    },
+
+    /**
+     * Publish a referral change and tell the bettor about it straight away
+     */
+    async publishReferral(bet) {
+      const { status, reason, expiresAt, counterOffer } = bet.referral;
+
+      this.broker.emit("bet.referralUpdated", {
+        betId: bet.id,
+        userId: bet.userId,
+        status,
+        reason,
+        stake: bet.stake,
+        potentialWin: bet.potentialWin,
+        counterOffer,
+        expiresAt,
+      });
+
+      const notice = this.getReferralNotice(bet);
+      if (!notice) return;
+
+      try {
+        await this.broker.call("notification.send", {
+          userId: bet.userId,
+          type: "bet_referral",
+          title: notice.title,
+          message: notice.message,
+          data: { betId: bet.id, status, counterOffer, expiresAt },
+        });
+      } catch (error) {
+        this.logger.warn(`Failed to notify user ${bet.userId} of referral of bet ${bet.id}:`, error.message);
+      }
+    },
+
+    /**
+     * Notification for the bettor about a referral change
+     * Accepted bets are announced through bet.placed, declines come from the bettor
+     */
+    getReferralNotice(bet) {
+      const { status, counterOffer } = bet.referral;
+      const stake = `$${bet.stake.toFixed(2)}`;
+
+      switch (status) {
+        case "pending":
+          return { title: "Bet Referred", message: `Your bet of ${stake} is being reviewed by a trader.` };
+        case "countered":
+          return {
+            title: "Counter Offer",
+            message:
+              `A trader offered $${counterOffer.stake.toFixed(2)} at odds ${counterOffer.odds} on your bet, ` +
+              `potential win $${counterOffer.potentialWin.toFixed(2)}.`,
+          };
+        case "rejected":
+          return { title: "Bet Rejected", message: `Your bet of ${stake} was not accepted. Your stake has been released.` };
+        case "expired":
+          return { title: "Bet Expired", message: `Your referred bet expired. Your stake of ${stake} has been released.` };
+        case "failed":
+          return { title: "Bet Not Placed", message: `Your bet of ${stake} could not be placed. Your stake has been released.` };
+        default:
+          return null;
+      }
+    },
+
+    /**
+     * Release referrals whose trader or bettor did not answer in time
+     */
+    async expireReferrals() {
+      const rows = await this.model.findAll({
+        where: { status: "referred" },
+        include: this.selectionsInclude(),
+      });
+
+      const now = new Date();
+      let expired = 0;
+
+      for (const bet of rows.map((row) => this.toBet(row))) {
+        if (new Date(bet.referral.expiresAt) > now) continue;
+
+        try {
+          await this.closeReferral(bet, "expired");
+          expired++;
+        } catch (error) {
+          if (error.type !== "REFERRAL_NOT_OPEN") {
+            this.logger.error(`Failed to expire referral of bet ${bet.id}:`, error.message);
+          }
+        }
+      }
+
+      if (expired > 0) {
+        this.logger.info(`Expired ${expired} bet referrals`);
+      }
+
+      return { expired };
+    },
+
+    /**
+     * Start referral expiry worker
+     */
+    startReferralSweep() {
+      this.referralSweepTimer = setInterval(() => {
+        this.expireReferrals().catch((err) => {
+          this.logger.error("Referral expiry failed:", err.message);
+        });
+      }, this.settings.referralSweepInterval);
+    },
+
+    /**
+     * Stop referral expiry worker
+     */
+    stopReferralSweep() {
+      if (this.referralSweepTimer) {
+        clearInterval(this.referralSweepTimer);
+        this.referralSweepTimer = null;
+      }
+    },
+  },
+
+  created() {
+    this.referralSweepTimer = null;
+  },
+
+  started() {
+    this.startReferralSweep();
+  },
+
+  stopped() {
+    this.stopReferralSweep();
+  },
+};
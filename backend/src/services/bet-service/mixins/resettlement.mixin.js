@@ -0,0 +1,360 @@
+"use strict";
+
+const { SELECTION_RESULTS } = require("../../../lib/constants");
+
+// Bet statuses a result has been paid on
+const SETTLED_BET_STATUSES = ["won", "lost", "void"];
+
+const resultParams = {
+  result: { type: "string", enum: SELECTION_RESULTS },
+  position: { type: "number", integer: true, positive: true, optional: true },
+  deadHeatFactor: { type: "number", positive: true, max: 1, optional: true },
+  tiedCount: { type: "number", integer: true, min: 2, optional: true },
+};
+
+/**
+ * Resettlement mixin
+ * Corrects results after payout. Unsettling a bet reverses its payout with a
+ * compensating debit, which may overdraw the wallet, and reopens it with the
+ * corrected legs pending again; the new result then settles it through the
+ * usual path. Every reversal is kept in the bet's settlement history, and bets
+ * that cannot be reversed are reported back without holding up the others.
+ */
+module.exports = {
+  actions: {
+    /**
+     * Reopen the settled bets of a selection or market (admin), putting its legs back to pending
+     * A single bet keeps its resulted legs, so it is corrected with resettleBet instead
+     */
+    unsettle: {
+      params: {
+        selectionId: { type: "string", optional: true },
+        marketId: { type: "string", optional: true },
+        reason: { type: "string", min: 1, max: 1000 },
+        requestedBy: { type: "string", max: 100, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const scope = this.getResettlementScope(ctx.params);
+        const { unsettled, failed } = await this.unsettleBets(ctx, scope);
+        return {
+          unsettled: unsettled.length,
+          betIds: unsettled.map((bet) => bet.id),
+          failed: this.toResettlementFailures(failed),
+        };
+      },
+    },
+
+    /**
+     * Replace the result of a settled bet (admin)
+     */
+    resettleBet: {
+      params: {
+        betId: { type: "uuid" },
+        result: { type: "string", enum: ["won", "lost", "void", "partial"] },
+        settledAmount: { type: "number", min: 0, optional: true },
+        reason: { type: "string", min: 1, max: 1000 },
+        requestedBy: { type: "string", max: 100, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { betId, result, settledAmount } = ctx.params;
+
+        const { unsettled, failed } = await this.unsettleBets(ctx, { betId });
+        if (failed.length > 0) {
+          throw failed[0].error;
+        }
+        if (unsettled.length === 0) {
+          throw new this.broker.MoleculerClientError("Bet is not settled", 400, "BET_NOT_SETTLED");
+        }
+
+        return ctx.call("bet.settle", { betId, result, settledAmount });
+      },
+    },
+
+    /**
+     * Correct the result of a selection and settle its bets again (admin)
+     */
+    resettleSelection: {
+      params: {
+        selectionId: { type: "uuid" },
+        ...resultParams,
+        reason: { type: "string", min: 1, max: 1000 },
+        requestedBy: { type: "string", max: 100, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { selectionId, result, position, deadHeatFactor, tiedCount } = ctx.params;
+
+        const { unsettled, failed } = await this.unsettleBets(ctx, { selectionId });
+
+        // The corrected result reaches the reopened bets as a new selection.settled event,
+        // bets that failed to reopen keep their old result until resettled on their own
+        await ctx.call("event.settleSelection", { selectionId, result, position, deadHeatFactor, tiedCount });
+
+        return {
+          selectionId,
+          result,
+          unsettled: unsettled.length,
+          betIds: unsettled.map((bet) => bet.id),
+          failed: this.toResettlementFailures(failed),
+        };
+      },
+    },
+
+    /**
+     * Correct the results of a market and settle its bets again (admin)
+     */
+    resettleMarket: {
+      params: {
+        marketId: { type: "uuid" },
+        results: {
+          type: "array",
+          min: 1,
+          items: {
+            type: "object",
+            props: { selectionId: { type: "uuid" }, ...resultParams },
+          },
+        },
+        reason: { type: "string", min: 1, max: 1000 },
+        requestedBy: { type: "string", max: 100, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { marketId, results } = ctx.params;
+
+        const { unsettled, failed } = await this.unsettleBets(ctx, { marketId });
+
+        for (const { selectionId, result, position, deadHeatFactor, tiedCount } of results) {
+          await ctx.call("event.settleSelection", { selectionId, result, position, deadHeatFactor, tiedCount });
+        }
+
+        return {
+          marketId,
+          unsettled: unsettled.length,
+          betIds: unsettled.map((bet) => bet.id),
+          failed: this.toResettlementFailures(failed),
+        };
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * The selection or market an unsettle request targets
+     */
+    getResettlementScope({ selectionId, marketId }) {
+      const scope = Object.entries({ selectionId, marketId }).filter(([, value]) => value !== undefined);
+      if (scope.length !== 1) {
+        throw new this.broker.MoleculerClientError(
+          "Exactly one of selectionId or marketId is required",
+          400,
+          "INVALID_RESETTLEMENT_SCOPE"
+        );
+      }
+      return Object.fromEntries(scope);
+    },
+
+    /**
+     * Reverse the payouts of the settled bets in a scope and reopen them
+     * Open bets with a resulted leg in the scope only have that leg reset; a bet scope keeps
+     * its legs as they are and the caller settles the bet again straight away.
+     * Each bet is reversed on its own, those that fail are returned with their error
+     */
+    async unsettleBets(ctx, scope) {
+      const { reason } = ctx.params;
+      const requestedBy = ctx.params.requestedBy || ctx.meta.userId || "system";
+
+      const inScope = (leg) =>
+        scope.betId !== undefined || leg.selectionId === scope.selectionId || leg.marketId === scope.marketId;
+      const resetLegs = scope.betId === undefined;
+
+      const bets = await this.getBetsInScope(scope, [...SETTLED_BET_STATUSES, "open", "partially_cashed_out"]);
+      const unsettled = [];
+      const failed = [];
+
+      for (const bet of bets) {
+        const settled = SETTLED_BET_STATUSES.includes(bet.status);
+        const legs = resetLegs ? bet.selections.filter(inScope).filter((leg) => leg.status !== "pending") : [];
+        if (!settled && legs.length === 0) continue;
+
+        try {
+          if (settled) {
+            await this.reverseSettlement(ctx, bet, { reason, requestedBy });
+          }
+
+          for (const leg of legs) {
+            this.resetLeg(bet, leg);
+          }
+
+          // Legs left pending when the bet settled early are caught up on their results
+          if (settled) {
+            await this.catchUpLegResults(ctx, bet, legs);
+            await this.reserveLiability(ctx, bet, { override: true });
+          }
+
+          await this.saveBet(bet);
+          if (settled) unsettled.push(bet);
+        } catch (error) {
+          this.logger.error(`Failed to unsettle bet ${bet.id}:`, error.message);
+          failed.push({ betId: bet.id, error });
+        }
+      }
+
+      return { unsettled, failed };
+    },
+
+    /**
+     * Bets that could not be unsettled, as reported to the caller
+     */
+    toResettlementFailures(failed) {
+      return failed.map(({ betId, error }) => ({ betId, code: error.type || null, message: error.message }));
+    },
+
+    /**
+     * Bets with a leg in the scope, in the given statuses
+     */
+    async getBetsInScope(scope, statuses) {
+      if (scope.betId) {
+        const bet = await this.getBetById(scope.betId);
+        if (!bet) {
+          throw new this.broker.MoleculerClientError("Bet not found", 404, "BET_NOT_FOUND");
+        }
+        return statuses.includes(bet.status) ? [bet] : [];
+      }
+
+      return scope.selectionId
+        ? this.getBetsBySelection(scope.selectionId, statuses)
+        : this.getBetsByMarket(scope.marketId, statuses);
+    },
+
+    /**
+     * Take back what a settled bet paid and put it back in its open status
+     */
+    async reverseSettlement(ctx, bet, { reason, requestedBy }) {
+      const previous = { status: bet.status, settledAmount: bet.settledAmount, settledAt: bet.settledAt };
+      const reopenStatus = bet.cashouts && bet.cashouts.length > 0 ? "partially_cashed_out" : "open";
+
+      const [claimed] = await this.model.update(
+        { status: reopenStatus, settledAmount: null, settledAt: null },
+        { where: { id: bet.id, status: previous.status } }
+      );
+      if (claimed === 0) {
+        throw new this.broker.MoleculerClientError(`Bet ${bet.id} changed during resettlement`, 409, "BET_CHANGED");
+      }
+
+      // Free bets paid their winnings only, a voided one had its token given back
+      let reversedAmount = previous.settledAmount || 0;
+      let note = null;
+      try {
+        if (bet.freeBetId && previous.status === "void") {
+          ({ reversedAmount, note } = await this.takeBackFreeBet(ctx, bet));
+        } else if (reversedAmount > 0) {
+          await this.debitResettlement(ctx, bet, reversedAmount);
+        }
+      } catch (error) {
+        await this.model.update(previous, { where: { id: bet.id } });
+        throw error;
+      }
+
+      bet.settlementHistory = [
+        ...(bet.settlementHistory || []),
+        { ...previous, reversedAmount, reversedAt: new Date(), reversedBy: requestedBy, reason, note },
+      ];
+      bet.status = reopenStatus;
+      bet.settledAmount = null;
+      bet.settledAt = null;
+
+      this.logger.info(`Bet ${bet.id} unsettled by ${requestedBy}, ${reversedAmount} reversed: ${reason}`);
+
+      this.broker.emit("bet.unsettled", {
+        betId: bet.id,
+        userId: bet.userId,
+        previousResult: previous.status,
+        reversedAmount,
+        reason,
+      });
+    },
+
+    /**
+     * Take back the token a voided free bet gave back
+     * A token spent on another bet since is charged at the stake it was worth, one that
+     * expired or was revoked unused is let go with a note in the settlement history
+     */
+    async takeBackFreeBet(ctx, bet) {
+      try {
+        await this.redeemFreeBet(bet.freeBetId, bet.userId, bet.id);
+        return { reversedAmount: 0, note: null };
+      } catch (error) {
+        if (error.type !== "FREE_BET_NOT_AVAILABLE") throw error;
+      }
+
+      const freeBet = await this.FreeBet.findOne({ where: { id: bet.freeBetId } });
+      if (freeBet && freeBet.status === "used" && freeBet.betId !== bet.id) {
+        await this.debitResettlement(ctx, bet, bet.stake);
+        return { reversedAmount: bet.stake, note: `Free bet already used on bet ${freeBet.betId}, stake debited` };
+      }
+
+      return { reversedAmount: 0, note: "Free bet expired before it could be taken back" };
+    },
+
+    /**
+     * Debit money paid out on a bet's reversed result, overdrawing the wallet if need be
+     */
+    async debitResettlement(ctx, bet, amount) {
+      await ctx.call("wallet.debit", {
+        userId: bet.userId,
+        amount,
+        referenceId: bet.id,
+        referenceType: "bet_resettlement",
+        allowNegative: true,
+      });
+    },
+
+    /**
+     * Put a leg back to pending, along with the system lines and each-way parts it decided
+     */
+    resetLeg(bet, leg) {
+      Object.assign(leg, {
+        status: "pending",
+        settledAt: null,
+        position: null,
+        deadHeatFactor: null,
+        tiedCount: null,
+      });
+
+      for (const line of bet.lines || []) {
+        if (line.legIds.includes(leg.id)) {
+          Object.assign(line, { status: "pending", settledAmount: null });
+        }
+      }
+      for (const part of bet.parts || []) {
+        Object.assign(part, { status: "pending", settledAmount: null });
+      }
+    },
+
+    /**
+     * Fill in the results of pending legs outside the correction from the event service
+     */
+    async catchUpLegResults(ctx, bet, resetLegs) {
+      for (const leg of bet.selections) {
+        if (leg.status !== "pending" || resetLegs.includes(leg)) continue;
+
+        try {
+          const selection = await ctx.call("event.selection", { id: leg.selectionId });
+          if (!SELECTION_RESULTS.includes(selection.status)) continue;
+
+          Object.assign(leg, {
+            status: selection.status,
+            settledAt: new Date(),
+            position: selection.position || null,
+            deadHeatFactor: selection.deadHeatFactor || null,
+            tiedCount: selection.tiedCount || null,
+          });
+        } catch (error) {
+          this.logger.warn(`Failed to load the result of selection ${leg.selectionId}:`, error.message);
+        }
+      }
+    },
+  },
+};
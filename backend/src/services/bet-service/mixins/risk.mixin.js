@@ -0,0 +1,229 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { OPEN_BET_STATUSES } = require("../../../lib/constants");
+
+const toNumber = (value) => (value === null || value === undefined ? value : parseFloat(value));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Setting holding the default cap of each liability scope
+const SCOPE_LIMIT_SETTINGS = {
+  selection: "maxSelectionLiability",
+  market: "maxMarketLiability",
+  event: "maxEventLiability",
+};
+
+// Bets whose potential win scales with the stake alone, so they can be cut down to fit a limit
+const REDUCIBLE_BET_TYPES = ["single", "accumulator", "same_game"];
+
+/**
+ * Risk mixin
+ * Keeps the running liability (potential payout less stake) of open bets on
+ * every selection, market and event. Placement reserves a bet's liability
+ * against the caps, cash-out and settlement release it again.
+ */
+module.exports = {
+  settings: {
+    maxSelectionLiability: parseFloat(process.env.RISK_MAX_SELECTION_LIABILITY) || 50000,
+    maxMarketLiability: parseFloat(process.env.RISK_MAX_MARKET_LIABILITY) || 100000,
+    maxEventLiability: parseFloat(process.env.RISK_MAX_EVENT_LIABILITY) || 250000,
+  },
+
+  actions: {
+    /**
+     * Get the running liability of a selection, market or event
+     */
+    liability: {
+      params: {
+        scopeType: { type: "enum", values: Object.keys(SCOPE_LIMIT_SETTINGS) },
+        scopeId: { type: "string" },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { scopeType, scopeId } = ctx.params;
+        const row = await this.Liability.findOne({ where: { scopeType, scopeId } });
+        return this.toLiability(row, { scopeType, scopeId });
+      },
+    },
+
+    /**
+     * Override the liability cap of a selection, market or event
+     * A null cap falls back to the configured default
+     */
+    setLiabilityLimit: {
+      params: {
+        scopeType: { type: "enum", values: Object.keys(SCOPE_LIMIT_SETTINGS) },
+        scopeId: { type: "string" },
+        maxLiability: { type: "number", min: 0, nullable: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { scopeType, scopeId, maxLiability } = ctx.params;
+
+        await this.ensureLiabilityRows([{ scopeType, scopeId }]);
+        await this.Liability.update({ maxLiability }, { where: { scopeType, scopeId } });
+
+        const row = await this.Liability.findOne({ where: { scopeType, scopeId } });
+
+        this.logger.info(`Liability cap of ${scopeType} ${scopeId} set to ${maxLiability === null ? "default" : maxLiability}`);
+
+        return this.toLiability(row, { scopeType, scopeId });
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Convert a liability row to a plain object with its effective cap
+     */
+    toLiability(row, { scopeType, scopeId }) {
+      return {
+        scopeType,
+        scopeId,
+        liability: row ? toNumber(row.liability) : 0,
+        betCount: row ? row.betCount : 0,
+        maxLiability: this.getLiabilityCap(scopeType, row),
+        defaultLimit: !row || row.maxLiability === null,
+      };
+    },
+
+    /**
+     * Cap of a scope, its own override or the configured default
+     */
+    getLiabilityCap(scopeType, row) {
+      if (row && row.maxLiability !== null) {
+        return toNumber(row.maxLiability);
+      }
+      return this.settings[SCOPE_LIMIT_SETTINGS[scopeType]];
+    },
+
+    /**
+     * Selections, markets and events a bet is exposed on, in a stable order for row locking
+     */
+    getLiabilityScopes(bet) {
+      const keys = new Set();
+      for (const leg of bet.selections) {
+        keys.add(`event:${leg.eventId}`);
+        keys.add(`market:${leg.marketId}`);
+        keys.add(`selection:${leg.selectionId}`);
+      }
+
+      return [...keys].sort().map((key) => {
+        const [scopeType, ...rest] = key.split(":");
+        return { scopeType, scopeId: rest.join(":") };
+      });
+    },
+
+    /**
+     * Create the missing liability rows of the given scopes
+     */
+    async ensureLiabilityRows(scopes, transaction) {
+      await this.Liability.bulkCreate(scopes, { ignoreDuplicates: true, transaction });
+    },
+
+    /**
+     * Reserve a new bet's liability against the caps of every scope it touches
+     * With `acceptReducedStake` singles and accumulators are cut down to the largest stake still allowed,
+     * traders accepting a referred bet override the caps
+     */
+    async reserveLiability(ctx, bet, { override = false } = {}) {
+      let exposure = round(bet.potentialWin - bet.stake);
+      bet.liability = 0;
+      if (exposure <= 0) return null;
+
+      const scopes = this.getLiabilityScopes(bet);
+
+      await this.adapter.db.transaction(async (transaction) => {
+        await this.ensureLiabilityRows(scopes, transaction);
+
+        const rows = await this.Liability.findAll({
+          where: { [Op.or]: scopes },
+          order: [["scopeType", "ASC"], ["scopeId", "ASC"]],
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+
+        const headroom = Math.min(
+          ...rows.map((row) => this.getLiabilityCap(row.scopeType, row) - toNumber(row.liability))
+        );
+
+        if (exposure > headroom && !override) {
+          this.reduceStakeToLiability(ctx, bet, headroom);
+          exposure = round(bet.potentialWin - bet.stake);
+        }
+
+        await this.Liability.increment(
+          { liability: exposure, betCount: 1 },
+          { where: { id: rows.map((row) => row.id) }, transaction }
+        );
+      });
+
+      bet.liability = exposure;
+      return { exposure, scopes };
+    },
+
+    /**
+     * Cut a bet down to the stake that fits the remaining liability, or reject it
+     * A free bet's stake is the token amount, so it is never cut
+     */
+    reduceStakeToLiability(ctx, bet, headroom) {
+      const reducible = REDUCIBLE_BET_TYPES.includes(bet.betType) && !bet.freeBetId;
+      const maxStake = reducible ? Math.max(0, Math.floor((headroom / (bet.totalOdds - 1)) * 100) / 100) : 0;
+
+      if (!ctx.params.acceptReducedStake || maxStake < this.settings.minStake) {
+        throw new this.broker.MoleculerClientError(
+          "Bet exceeds the available liability on this selection",
+          400,
+          "LIABILITY_LIMIT_EXCEEDED",
+          { maxStake: maxStake >= this.settings.minStake ? maxStake : 0 }
+        );
+      }
+
+      this.logger.info(`Bet ${bet.id} stake reduced from ${bet.stake} to ${maxStake} by liability limits`);
+
+      bet.requestedStake = bet.stake;
+      bet.stake = maxStake;
+      bet.potentialWin = round(maxStake * bet.totalOdds);
+    },
+
+    /**
+     * Release a reservation made by `reserveLiability`
+     */
+    async releaseLiability(reservation) {
+      if (!reservation) return;
+      await this.adjustLiability(reservation.scopes, -reservation.exposure, -1);
+    },
+
+    /**
+     * Bring the liability held for a bet in line with its current state
+     * Partial cash-outs release a share of it, settlement and full cash-outs all of it
+     */
+    async syncBetLiability(bet) {
+      if (!bet.liability) return;
+
+      const isOpen = OPEN_BET_STATUSES.includes(bet.status);
+      const exposure = isOpen ? Math.max(0, round(bet.potentialWin - bet.stake)) : 0;
+      const released = round(bet.liability - exposure);
+      if (released <= 0) return;
+
+      try {
+        await this.adjustLiability(this.getLiabilityScopes(bet), -released, isOpen ? 0 : -1);
+        bet.liability = exposure;
+      } catch (error) {
+        this.logger.error(`Failed to release liability of bet ${bet.id}:`, error.message);
+      }
+    },
+
+    /**
+     * Move the running liability and bet count of the given scopes
+     */
+    async adjustLiability(scopes, amount, betCount) {
+      await this.adapter.db.transaction(async (transaction) => {
+        for (const scope of scopes) {
+          await this.Liability.increment({ liability: amount, betCount }, { where: scope, transaction });
+        }
+      });
+    },
+  },
+};
@@ -0,0 +1,364 @@
+"use strict";
+
+const { v4: uuidv4 } = require("uuid");
+const { ODDS_CHANGE_POLICIES, SELECTION_RESULT, VOID_RESULTS } = require("../../../lib/constants");
+
+/**
+ * Correlation between the outcomes of one match, by leg kind
+ * Kinds without an entry are priced as independent
+ */
+const CORRELATIONS = {
+  "home:over": 0.1,
+  "away:over": 0.1,
+  "draw:over": -0.2,
+  "home:under": -0.1,
+  "away:under": -0.1,
+  "draw:under": 0.2,
+};
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Correlation of two leg kinds, in either order
+ */
+const getCorrelation = (a, b) => CORRELATIONS[`${a}:${b}`] || CORRELATIONS[`${b}:${a}`] || 0;
+
+/**
+ * Factor each pair of correlated legs applies to the independent product, from its phi coefficient
+ * Returns the indexes of the two legs with their factor
+ */
+const getPairFactors = (legs) => {
+  const probabilities = legs.map((leg) => 1 / leg.odds);
+  const factors = [];
+
+  for (let i = 0; i < legs.length; i++) {
+    for (let j = i + 1; j < legs.length; j++) {
+      const correlation = getCorrelation(legs[i].kind, legs[j].kind);
+      if (correlation === 0) continue;
+
+      const [p, q] = [probabilities[i], probabilities[j]];
+      factors.push({ legs: [i, j], factor: 1 + correlation * Math.sqrt(((1 - p) * (1 - q)) / (p * q)) });
+    }
+  }
+
+  return factors;
+};
+
+/**
+ * Joint probability of legs given their odds and the factors of their correlated pairs
+ */
+const getJointProbability = (odds, factors) => {
+  const probabilities = odds.map((o) => 1 / o);
+  const joint = factors.reduce((acc, factor) => acc * factor, probabilities.reduce((acc, p) => acc * p, 1));
+  return Math.min(joint, ...probabilities);
+};
+
+/**
+ * Same-game parlay mixin
+ * Combines selections from different markets of one event into a single bet.
+ * Legs of one event are not independent, so the price comes from a
+ * correlation model over the legs' implied probabilities instead of the
+ * product of their odds. Only one selection per market type is allowed, which
+ * keeps out contradictory legs such as a home win with a draw.
+ */
+module.exports = {
+  settings: {
+    maxSameGameSelections: parseInt(process.env.BET_MAX_SAME_GAME_SELECTIONS, 10) || 6,
+  },
+
+  actions: {
+    /**
+     * Quote a same-game parlay at the current odds
+     */
+    priceSameGame: {
+      rest: "POST /same-game/price",
+      params: {
+        eventId: { type: "string" },
+        selections: {
+          type: "array",
+          min: 2,
+          items: {
+            type: "object",
+            props: {
+              marketId: { type: "string" },
+              selectionId: { type: "string" },
+            },
+          },
+        },
+      },
+      async handler(ctx) {
+        const { eventId, selections } = ctx.params;
+        const kinds = await this.resolveSameGameLegs(ctx, eventId, selections);
+
+        const legs = [];
+        for (const [i, selection] of selections.entries()) {
+          const price = await ctx.call("odds.get", { selectionId: selection.selectionId });
+          legs.push({ ...selection, odds: price.odds, kind: kinds[i] });
+        }
+
+        return { eventId, ...this.priceSameGameLegs(legs), selections: legs };
+      },
+    },
+
+    /**
+     * Place a same-game parlay
+     */
+    placeSameGame: {
+      rest: "POST /place/same-game",
+      idempotency: true,
+      params: {
+        eventId: { type: "string" },
+        selections: {
+          type: "array",
+          min: 2,
+          items: {
+            type: "object",
+            props: {
+              marketId: { type: "string" },
+              selectionId: { type: "string" },
+              odds: { type: "number", positive: true },
+            },
+          },
+        },
+        stake: { type: "number", positive: true, optional: true }, // Required unless a free bet is used
+        freeBetId: { type: "uuid", optional: true },
+        oddsChange: { type: "enum", values: ODDS_CHANGE_POLICIES, optional: true },
+        acceptReducedStake: { type: "boolean", optional: true },
+        slipCode: { type: "string", max: 16, optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const { eventId } = ctx.params;
+        const selections = ctx.params.selections.map((s) => ({ ...s, eventId }));
+        const { stake, freeBet } = await this.resolveBetStake(ctx);
+
+        const kinds = await this.resolveSameGameLegs(ctx, eventId, selections);
+
+        // Validate stake against the global and the user's own limits
+        this.validateStake(stake);
+        await this.checkUserLimits(ctx, "same_game", selections, stake);
+
+        // Validate all odds against the user's odds-change policy, then price the combination
+        const oddsChange = await this.resolveOddsChangePolicy(ctx);
+        const validatedSelections = await this.validateSelectionOdds(ctx, selections, oddsChange);
+        const { totalOdds, productOdds, pairFactors } = this.priceSameGameLegs(
+          validatedSelections.map((s, i) => ({ odds: s.currentOdds, kind: kinds[i] }))
+        );
+        const potentialWin = round(stake * totalOdds);
+
+        if (freeBet) {
+          await this.checkFreeBetTerms(ctx, freeBet, selections, totalOdds);
+        }
+
+        // Validate potential win
+        if (potentialWin > this.settings.maxPotentialWin) {
+          throw new this.broker.MoleculerClientError(
+            `Potential win exceeds maximum of ${this.settings.maxPotentialWin}`,
+            400,
+            "MAX_POTENTIAL_WIN_EXCEEDED"
+          );
+        }
+
+        // Create bet
+        const bet = {
+          id: uuidv4(),
+          userId,
+          betType: "same_game",
+          stake,
+          potentialWin,
+          totalOdds,
+          productOdds,
+          status: "open",
+          settledAmount: null,
+          cashoutAmount: null,
+          placedAt: new Date(),
+          settledAt: null,
+          ipAddress: ctx.meta.ip,
+          userAgent: ctx.meta.userAgent,
+          lockId: null,
+          ...(freeBet ? { freeBetId: freeBet.id } : {}),
+          selections: validatedSelections.map((s, i) => ({
+            id: uuidv4(),
+            eventId,
+            marketId: s.marketId,
+            selectionId: s.selectionId,
+            oddsAtPlacement: s.currentOdds,
+            requestedOdds: s.odds,
+            kind: kinds[i],
+            status: "pending",
+          })),
+        };
+
+        // Kept so settlement prices the legs left after a void at the correlations taken now
+        bet.correlationFactors = pairFactors.map(({ legs: [i, j], factor }) => ({
+          legIds: [bet.selections[i].id, bet.selections[j].id],
+          factor: round(factor, 6),
+        }));
+
+        // Lock, debit and save through the placement saga
+        await this.executePlacement(ctx, bet, {
+          betId: bet.id,
+          userId,
+          stake,
+          potentialWin,
+          betType: "same_game",
+          selectionCount: selections.length,
+        });
+
+        this.logger.info(
+          `Same-game parlay placed: ${bet.id} by user ${userId}, stake: ${bet.stake}, ` +
+          `selections: ${selections.length}, odds: ${totalOdds} (product ${productOdds})`
+        );
+
+        return {
+          betId: bet.id,
+          status: bet.status,
+          betType: bet.betType,
+          stake: bet.stake,
+          requestedStake: stake,
+          stakeReduced: bet.stake !== stake,
+          ...(freeBet ? { freeBetId: freeBet.id } : {}),
+          totalOdds: bet.totalOdds,
+          productOdds,
+          potentialWin: bet.potentialWin,
+          selections: bet.selections.length,
+          oddsChanges: this.getOddsChanges(validatedSelections),
+          placedAt: bet.placedAt,
+        };
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Check the legs belong to the event and do not contradict each other, and classify them
+     * Returns the kind of each leg, null for markets the correlation model does not know
+     */
+    async resolveSameGameLegs(ctx, eventId, selections) {
+      if (selections.length > this.settings.maxSameGameSelections) {
+        throw new this.broker.MoleculerClientError(
+          `Maximum ${this.settings.maxSameGameSelections} selections allowed in a same-game parlay`,
+          400,
+          "MAX_SELECTIONS_EXCEEDED"
+        );
+      }
+
+      const event = await ctx.call("event.get", { id: eventId });
+      const marketTypes = new Set();
+      const kinds = [];
+
+      for (const { marketId, selectionId } of selections) {
+        const market = await ctx.call("event.market", { id: marketId });
+        const selection = market.selections.find((s) => s.id === selectionId);
+
+        if (market.eventId !== eventId || !selection) {
+          throw new this.broker.MoleculerClientError(
+            "All selections of a same-game parlay must be from its event",
+            400,
+            "INVALID_SELECTION"
+          );
+        }
+
+        // Two legs on one market type are either exclusive (home and draw) or overlapping (over 1.5 and over 2.5)
+        if (marketTypes.has(market.type)) {
+          throw new this.broker.MoleculerClientError(
+            `Only one selection per market type is allowed, ${market.type} is repeated`,
+            400,
+            "SAME_GAME_CONFLICT"
+          );
+        }
+        marketTypes.add(market.type);
+
+        kinds.push(this.getSameGameKind(event, market, selection));
+      }
+
+      return kinds;
+    },
+
+    /**
+     * Kind of a leg for the correlation model
+     */
+    getSameGameKind(event, market, selection) {
+      if (market.type === "1x2") {
+        if (selection.name === event.homeTeam) return "home";
+        if (selection.name === event.awayTeam) return "away";
+        if (selection.name === "Draw") return "draw";
+      }
+      if (market.type === "over_under") {
+        if (selection.name.startsWith("Over")) return "over";
+        if (selection.name.startsWith("Under")) return "under";
+      }
+      return null;
+    },
+
+    /**
+     * Price legs of one event, refusing combinations the model rates impossible
+     */
+    priceSameGameLegs(legs) {
+      const productOdds = round(legs.reduce((acc, leg) => acc * leg.odds, 1));
+      const pairFactors = getPairFactors(legs);
+      const joint = getJointProbability(
+        legs.map((leg) => leg.odds),
+        pairFactors.map(({ factor }) => factor)
+      );
+
+      if (joint <= 0) {
+        throw new this.broker.MoleculerClientError(
+          "These selections cannot win together",
+          400,
+          "SAME_GAME_CONFLICT"
+        );
+      }
+
+      return { totalOdds: Math.max(1.01, round(1 / joint)), productOdds, pairFactors };
+    },
+
+    /**
+     * Odds of the legs of a parlay still standing, from their placed odds and the correlations stored with the bet
+     */
+    repriceSameGameLegs(bet, legs) {
+      // Parlays placed before correlations were stored are priced from the model
+      if (!bet.correlationFactors) {
+        return this.priceSameGameLegs(legs.map((s) => ({ odds: s.oddsAtPlacement, kind: s.kind }))).totalOdds;
+      }
+
+      const legIds = new Set(legs.map((s) => s.id));
+      const factors = bet.correlationFactors
+        .filter((pair) => pair.legIds.every((id) => legIds.has(id)))
+        .map(({ factor }) => factor);
+
+      return Math.max(1.01, round(1 / getJointProbability(legs.map((s) => s.oddsAtPlacement), factors)));
+    },
+
+    /**
+     * Settle a same-game parlay once every leg is resulted
+     * With every leg standing it pays the odds it was placed at, void legs drop out and the rest is priced again
+     */
+    getSameGameSettlement(bet) {
+      if (bet.selections.some((s) => s.status === SELECTION_RESULT.LOST)) {
+        return { result: "lost" };
+      }
+      if (bet.selections.some((s) => s.status === "pending")) return null;
+
+      const legs = bet.selections.filter((s) => !VOID_RESULTS.includes(s.status));
+      if (legs.length === 0) {
+        return { result: "void" };
+      }
+
+      const totalOdds = legs.length === bet.selections.length ? bet.totalOdds : this.repriceSameGameLegs(bet, legs);
+
+      // Legs paid on part of their stake scale the return by their share of full odds
+      const share = legs.reduce((acc, s) => acc * (this.getLegFactor(s) / s.oddsAtPlacement), 1);
+      const settledAmount = round(bet.stake * totalOdds * share);
+
+      return { result: share < 1 ? "partial" : "won", settledAmount };
+    },
+  },
+};
@@ -0,0 +1,187 @@
+"use strict";
+
+const crypto = require("crypto");
+const { UniqueConstraintError } = require("sequelize");
+
+// Letters and digits that cannot be mistaken for one another when read out
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const CODE_ATTEMPTS = 5;
+
+// A bet placed with one of these codes still goes through, just without a tipster to credit
+const UNCREDITED_SLIP_ERRORS = ["SHARED_SLIP_NOT_FOUND", "SHARED_SLIP_EXPIRED"];
+
+/**
+ * Random share code
+ */
+const createCode = () =>
+  Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+
+/**
+ * Shared slip mixin
+ * Users share a set of selections under a short code that expires. Loading
+ * a code shows each selection at its current odds, or why it can no longer
+ * be backed, and bets placed from a shared slip record the code and the user
+ * who shared it, so tipsters can be credited for the bets they bring in.
+ */
+module.exports = {
+  settings: {
+    sharedSlipTtl: parseInt(process.env.BET_SHARED_SLIP_TTL, 10) || 7 * 24 * 60 * 60 * 1000,
+  },
+
+  actions: {
+    /**
+     * Share a set of selections under a short code
+     */
+    shareSlip: {
+      rest: "POST /slips",
+      params: {
+        selections: {
+          type: "array",
+          min: 1,
+          items: {
+            type: "object",
+            props: {
+              eventId: { type: "string" },
+              marketId: { type: "string" },
+              selectionId: { type: "string" },
+            },
+          },
+        },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const selections = ctx.params.selections.map(({ eventId, marketId, selectionId }) => ({
+          eventId,
+          marketId,
+          selectionId,
+        }));
+
+        // A slip may hold several selections of one event, for singles or a same-game parlay
+        if (selections.length > this.settings.maxSelections) {
+          throw new this.broker.MoleculerClientError(
+            `Maximum ${this.settings.maxSelections} selections allowed`,
+            400,
+            "MAX_SELECTIONS_EXCEEDED"
+          );
+        }
+        if (new Set(selections.map((s) => s.selectionId)).size !== selections.length) {
+          throw new this.broker.MoleculerClientError("A selection is repeated on the slip", 400, "DUPLICATE_SELECTION");
+        }
+
+        const prices = await ctx.call("odds.getBulk", { selectionIds: selections.map((s) => s.selectionId) });
+        const unknown = selections.find((s) => !prices[s.selectionId]);
+        if (unknown) {
+          throw new this.broker.MoleculerClientError(
+            `Selection ${unknown.selectionId} not found`,
+            400,
+            "INVALID_SELECTION"
+          );
+        }
+
+        const expiresAt = new Date(Date.now() + this.settings.sharedSlipTtl);
+        const slip = await this.createSharedSlip({ userId, selections, expiresAt });
+
+        this.logger.info(`Slip ${slip.code} shared by user ${userId} with ${selections.length} selections`);
+
+        return { code: slip.code, expiresAt, selections };
+      },
+    },
+
+    /**
+     * Load a shared slip with the current odds of its selections
+     */
+    loadSlip: {
+      rest: "GET /slips/:code",
+      params: {
+        code: { type: "string", min: 1, max: 16 },
+      },
+      async handler(ctx) {
+        const slip = await this.getSharedSlip(ctx.params.code);
+
+        const prices = await ctx.call("odds.getBulk", { selectionIds: slip.selections.map((s) => s.selectionId) });
+        const selections = slip.selections.map((selection) => {
+          const price = prices[selection.selectionId];
+          if (!price) {
+            return { ...selection, odds: null, available: false, reason: "SELECTION_NOT_FOUND" };
+          }
+          if (price.status !== "active") {
+            return { ...selection, odds: price.odds, available: false, reason: "ODDS_SUSPENDED" };
+          }
+          return {
+            ...selection,
+            odds: price.odds,
+            ...(price.boostId ? { boostId: price.boostId, boostedOdds: price.boostedOdds } : {}),
+            available: true,
+          };
+        });
+
+        return {
+          code: slip.code,
+          expiresAt: slip.expiresAt,
+          available: selections.filter((s) => s.available).length,
+          unavailable: selections.filter((s) => !s.available).length,
+          selections,
+        };
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Store a shared slip under a new code, drawing again on the rare clash
+     */
+    async createSharedSlip(data) {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await this.SharedSlip.create({ ...data, code: createCode() });
+        } catch (error) {
+          if (!(error instanceof UniqueConstraintError) || attempt >= CODE_ATTEMPTS) throw error;
+        }
+      }
+    },
+
+    /**
+     * Shared slip of a code, failing when it is unknown or expired
+     */
+    async getSharedSlip(code) {
+      const slip = await this.SharedSlip.findOne({ where: { code: code.trim().toUpperCase() } });
+      if (!slip) {
+        throw new this.broker.MoleculerClientError("Shared slip not found", 404, "SHARED_SLIP_NOT_FOUND");
+      }
+      if (slip.expiresAt <= new Date()) {
+        throw new this.broker.MoleculerClientError("Shared slip has expired", 410, "SHARED_SLIP_EXPIRED");
+      }
+      return slip.get({ plain: true });
+    },
+
+    /**
+     * Credit the user who shared the slip a bet was placed from
+     * Only bets backing one of the slip's selections count, and never the sharer's own;
+     * a code that is unknown or expired while the bet was being made up goes uncredited
+     */
+    async attachSharedSlip(ctx, bet, placedEvent) {
+      const { slipCode } = ctx.params;
+      if (!slipCode) return;
+
+      let slip;
+      try {
+        slip = await this.getSharedSlip(slipCode);
+      } catch (error) {
+        if (!UNCREDITED_SLIP_ERRORS.includes(error.type)) throw error;
+        this.logger.warn(`Bet ${bet.id} placed from slip ${slipCode}, not credited: ${error.message}`);
+        return;
+      }
+
+      const selectionIds = new Set(slip.selections.map((s) => s.selectionId));
+      if (slip.userId === bet.userId || !bet.selections.some((s) => selectionIds.has(s.selectionId))) return;
+
+      bet.sharedSlip = { code: slip.code, sharedBy: slip.userId };
+      Object.assign(placedEvent, { slipCode: slip.code, sharedBy: slip.userId });
+    },
+  },
+};
@@ -0,0 +1,281 @@
+"use strict";
+
+const { v4: uuidv4 } = require("uuid");
+const { ODDS_CHANGE_POLICIES, SELECTION_RESULT, VOID_RESULTS } = require("../../../lib/constants");
+
+/**
+ * Named system bets: required number of selections and the combination sizes they cover
+ */
+const SYSTEM_TYPES = {
+  trixie: { selections: 3, sizes: [2, 3] },
+  patent: { selections: 3, sizes: [1, 2, 3] },
+  yankee: { selections: 4, sizes: [2, 3, 4] },
+  lucky15: { selections: 4, sizes: [1, 2, 3, 4] },
+  canadian: { selections: 5, sizes: [2, 3, 4, 5] },
+  lucky31: { selections: 5, sizes: [1, 2, 3, 4, 5] },
+  heinz: { selections: 6, sizes: [2, 3, 4, 5, 6] },
+  lucky63: { selections: 6, sizes: [1, 2, 3, 4, 5, 6] },
+};
+
+/**
+ * All k-element combinations of an array, in input order
+ */
+const combinations = (items, k) => {
+  if (k === 0) return [[]];
+  if (items.length < k) return [];
+
+  const [first, ...rest] = items;
+  return [
+    ...combinations(rest, k - 1).map((combination) => [first, ...combination]),
+    ...combinations(rest, k),
+  ];
+};
+
+/**
+ * Number of k-element combinations of n items
+ */
+const countCombinations = (n, k) => {
+  let count = 1;
+  for (let i = 1; i <= k; i++) {
+    count = (count * (n - k + i)) / i;
+  }
+  return Math.round(count);
+};
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * System bet mixin
+ * Expands a set of selections into every line of a system (Trixie, Yankee,
+ * Lucky 15, n-from-m, ...) under a single bet. Each line carries its own
+ * unit stake and is settled independently; the bet pays the sum of its lines.
+ */
+module.exports = {
+  settings: {
+    maxSystemLines: parseInt(process.env.BET_MAX_SYSTEM_LINES, 10) || 256,
+  },
+
+  actions: {
+    /**
+     * Place a system bet
+     */
+    placeSystem: {
+      rest: "POST /place/system",
+      idempotency: true,
+      params: {
+        systemType: { type: "enum", values: [...Object.keys(SYSTEM_TYPES), "custom"] },
+        combinationSize: { type: "number", integer: true, positive: true, optional: true },
+        selections: {
+          type: "array",
+          min: 1,
+          items: {
+            type: "object",
+            props: {
+              eventId: { type: "string" },
+              marketId: { type: "string" },
+              selectionId: { type: "string" },
+              odds: { type: "number", positive: true },
+            },
+          },
+        },
+        unitStake: { type: "number", positive: true },
+        oddsChange: { type: "enum", values: ODDS_CHANGE_POLICIES, optional: true },
+        slipCode: { type: "string", max: 16, optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const { systemType, combinationSize, selections, unitStake } = ctx.params;
+
+        // Validate number of selections and events
+        this.validateSelections(selections);
+
+        const sizes = this.getSystemSizes(systemType, selections.length, combinationSize);
+        const lineCount = sizes.reduce((acc, size) => acc + countCombinations(selections.length, size), 0);
+
+        if (lineCount > this.settings.maxSystemLines) {
+          throw new this.broker.MoleculerClientError(
+            `Maximum ${this.settings.maxSystemLines} lines allowed in a system bet`,
+            400,
+            "MAX_SYSTEM_LINES_EXCEEDED"
+          );
+        }
+
+        // Validate unit and total stake, the total against the user's own limits
+        const stake = round(unitStake * lineCount);
+        this.validateStake(unitStake);
+        this.validateStake(stake);
+        await this.checkUserLimits(ctx, "system", selections, stake);
+
+        // Validate all odds against the user's odds-change policy
+        const oddsChange = await this.resolveOddsChangePolicy(ctx);
+        const validatedSelections = await this.validateSelectionOdds(ctx, selections, oddsChange);
+
+        const legs = validatedSelections.map((s) => ({
+          id: uuidv4(),
+          eventId: s.eventId,
+          marketId: s.marketId,
+          selectionId: s.selectionId,
+          oddsAtPlacement: s.currentOdds,
+          requestedOdds: s.odds,
+          status: "pending",
+        }));
+
+        const lines = this.expandSystemLines(legs, sizes, unitStake);
+        const potentialWin = round(lines.reduce((acc, line) => acc + line.potentialWin, 0));
+
+        // Validate potential win
+        if (potentialWin > this.settings.maxPotentialWin) {
+          throw new this.broker.MoleculerClientError(
+            `Potential win exceeds maximum of ${this.settings.maxPotentialWin}`,
+            400,
+            "MAX_POTENTIAL_WIN_EXCEEDED"
+          );
+        }
+
+        // Create bet
+        const bet = {
+          id: uuidv4(),
+          userId,
+          betType: "system",
+          systemType,
+          unitStake,
+          stake,
+          potentialWin,
+          totalOdds: round(potentialWin / stake, 4),
+          status: "open",
+          settledAmount: null,
+          cashoutAmount: null,
+          placedAt: new Date(),
+          settledAt: null,
+          ipAddress: ctx.meta.ip,
+          userAgent: ctx.meta.userAgent,
+          lockId: null,
+          lines,
+          selections: legs,
+        };
+
+        // Lock, debit and save through the placement saga
+        await this.executePlacement(ctx, bet, {
+          betId: bet.id,
+          userId,
+          stake,
+          potentialWin,
+          betType: "system",
+          systemType,
+          lineCount,
+          selectionCount: selections.length,
+        });
+
+        this.logger.info(
+          `System bet placed: ${bet.id} by user ${userId}, type: ${systemType}, ` +
+          `lines: ${lineCount}, unit stake: ${unitStake}, total stake: ${stake}`
+        );
+
+        return {
+          betId: bet.id,
+          status: bet.status,
+          betType: bet.betType,
+          systemType,
+          lines: lineCount,
+          unitStake,
+          stake: bet.stake,
+          potentialWin: bet.potentialWin,
+          selections: legs.length,
+          oddsChanges: this.getOddsChanges(validatedSelections),
+          placedAt: bet.placedAt,
+        };
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Resolve the combination sizes of a system type for the given number of selections
+     */
+    getSystemSizes(systemType, selectionCount, combinationSize) {
+      if (systemType === "custom") {
+        if (!combinationSize || combinationSize > selectionCount) {
+          throw new this.broker.MoleculerClientError(
+            `Custom systems need a combination size between 1 and ${selectionCount}`,
+            400,
+            "INVALID_SYSTEM_BET"
+          );
+        }
+        return [combinationSize];
+      }
+
+      const definition = SYSTEM_TYPES[systemType];
+      if (selectionCount !== definition.selections) {
+        throw new this.broker.MoleculerClientError(
+          `A ${systemType} requires exactly ${definition.selections} selections`,
+          400,
+          "INVALID_SYSTEM_BET"
+        );
+      }
+      return definition.sizes;
+    },
+
+    /**
+     * Build every line of the system from the bet legs
+     */
+    expandSystemLines(legs, sizes, unitStake) {
+      const lines = [];
+
+      for (const size of sizes) {
+        for (const combination of combinations(legs, size)) {
+          const odds = round(combination.reduce((acc, leg) => acc * leg.oddsAtPlacement, 1), 4);
+          lines.push({
+            id: lines.length + 1,
+            legIds: combination.map((leg) => leg.id),
+            odds,
+            stake: unitStake,
+            potentialWin: round(unitStake * odds),
+            status: "pending",
+            settledAmount: null,
+          });
+        }
+      }
+
+      return lines;
+    },
+
+    /**
+     * Settle the lines whose legs are all resulted, and the bet once every line is
+     */
+    getSystemSettlement(bet) {
+      const legsById = new Map(bet.selections.map((s) => [s.id, s]));
+
+      for (const line of bet.lines.filter((l) => l.status === "pending")) {
+        const legs = line.legIds.map((id) => legsById.get(id));
+
+        if (legs.some((leg) => leg.status === SELECTION_RESULT.LOST)) {
+          line.status = "lost";
+          line.settledAmount = 0;
+          continue;
+        }
+
+        if (legs.some((leg) => leg.status === "pending")) continue;
+
+        // Void and pushed legs count at odds 1.0, half results and dead heats at their partial factor
+        line.settledAmount = round(line.stake * legs.reduce((acc, leg) => acc * this.getLegFactor(leg), 1));
+        line.status = legs.every((leg) => VOID_RESULTS.includes(leg.status))
+          ? "void"
+          : this.getReturnResult(line.settledAmount, line.stake);
+      }
+
+      if (bet.lines.some((l) => l.status === "pending")) return null;
+
+      const settledAmount = round(bet.lines.reduce((acc, l) => acc + l.settledAmount, 0));
+      const allVoid = bet.lines.every((l) => l.status === "void");
+
+      return { result: allVoid ? "void" : "partial", settledAmount };
+    },
+  },
+};
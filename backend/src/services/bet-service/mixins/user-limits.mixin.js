@@ -0,0 +1,257 @@
+"use strict";
+
+const toNumber = (value) => (value === null || value === undefined ? value : parseFloat(value));
+
+const round = (value) => Math.floor(value * 100) / 100;
+
+// Betting restrictions traders can put on an account
+const BET_RESTRICTIONS = ["no_in_play", "no_accumulators", "no_system_bets", "no_each_way"];
+
+// Restriction that blocks each bet type
+const BET_TYPE_RESTRICTIONS = {
+  accumulator: "no_accumulators",
+  same_game: "no_accumulators",
+  system: "no_system_bets",
+  each_way: "no_each_way",
+};
+
+const factorMap = { type: "record", key: { type: "string" }, value: { type: "number", min: 0, nullable: true } };
+
+/**
+ * User limits mixin
+ * Traders scale the maximum stake of sharp or abusive accounts with a stake
+ * factor, optionally narrowed per sport or market type, and restrict the
+ * kinds of bets they may place. Every change is written to an audit trail.
+ */
+module.exports = {
+  actions: {
+    /**
+     * Get the user's personal maximum stake for a bet
+     */
+    maxStake: {
+      rest: "GET /max-stake",
+      params: {
+        betType: { type: "enum", values: ["single", "accumulator", "same_game", "system", "each_way"], default: "single" },
+        eventId: { type: "string", optional: true },
+        marketId: { type: "string", optional: true },
+      },
+      async handler(ctx) {
+        const userId = ctx.meta.userId;
+        if (!userId) {
+          throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+        }
+
+        const { betType, eventId, marketId } = ctx.params;
+        const selections = eventId || marketId ? [{ eventId, marketId }] : [];
+        const { maxStake, stakeFactor, restriction } = await this.resolveUserLimits(ctx, userId, betType, selections);
+
+        return {
+          betType,
+          minStake: this.settings.minStake,
+          maxStake: restriction ? 0 : maxStake,
+          stakeFactor,
+          restricted: Boolean(restriction),
+          restriction,
+        };
+      },
+    },
+
+    /**
+     * Get a user's limits (admin)
+     */
+    userLimits: {
+      params: {
+        userId: { type: "uuid" },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const row = await this.UserLimit.findByPk(ctx.params.userId);
+        return this.toUserLimits(row, ctx.params.userId);
+      },
+    },
+
+    /**
+     * Change a user's stake factors and restrictions (admin)
+     * Sport and market-type factors are merged into the existing ones, a null factor removes it
+     */
+    setUserLimits: {
+      params: {
+        userId: { type: "uuid" },
+        stakeFactor: { type: "number", min: 0, optional: true },
+        sportFactors: { ...factorMap, optional: true },
+        marketTypeFactors: { ...factorMap, optional: true },
+        restrictions: { type: "array", items: { type: "enum", values: BET_RESTRICTIONS }, unique: true, optional: true },
+        changedBy: { type: "string", max: 100, optional: true },
+        reason: { type: "string", max: 1000, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const { userId, stakeFactor, sportFactors, marketTypeFactors, restrictions, reason } = ctx.params;
+        const changedBy = ctx.params.changedBy || ctx.meta.userId || "system";
+
+        const row = await this.UserLimit.findByPk(userId);
+        const previous = this.toUserLimits(row, userId);
+
+        const next = {
+          stakeFactor: stakeFactor === undefined ? previous.stakeFactor : stakeFactor,
+          sportFactors: this.mergeFactors(previous.sportFactors, sportFactors),
+          marketTypeFactors: this.mergeFactors(previous.marketTypeFactors, marketTypeFactors),
+          restrictions: restrictions === undefined ? previous.restrictions : restrictions,
+        };
+
+        const changes = {};
+        for (const [key, value] of Object.entries(next)) {
+          if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+            changes[key] = value;
+          }
+        }
+
+        if (Object.keys(changes).length === 0) {
+          return previous;
+        }
+
+        await this.adapter.db.transaction(async (transaction) => {
+          await this.UserLimit.upsert({ userId, ...next }, { transaction });
+          await this.UserLimitAudit.create(
+            {
+              userId,
+              changedBy,
+              reason: reason || null,
+              previous: Object.fromEntries(Object.keys(changes).map((key) => [key, previous[key]])),
+              changes,
+            },
+            { transaction }
+          );
+        });
+
+        this.logger.info(`Limits of user ${userId} changed by ${changedBy}: ${JSON.stringify(changes)}`);
+
+        return { userId, ...next };
+      },
+    },
+
+    /**
+     * Get the audit trail of a user's limits (admin)
+     */
+    userLimitAudit: {
+      params: {
+        userId: { type: "uuid" },
+        limit: { type: "number", integer: true, min: 1, max: 100, default: 20, optional: true },
+      },
+      visibility: "protected",
+      async handler(ctx) {
+        const rows = await this.UserLimitAudit.findAll({
+          where: { userId: ctx.params.userId },
+          order: [["createdAt", "DESC"]],
+          limit: ctx.params.limit,
+        });
+        return rows.map((row) => row.get({ plain: true }));
+      },
+    },
+  },
+
+  methods: {
+    /**
+     * Convert a limits row to a plain object, users without one have the defaults
+     */
+    toUserLimits(row, userId) {
+      if (!row) {
+        return { userId, stakeFactor: 1, sportFactors: {}, marketTypeFactors: {}, restrictions: [] };
+      }
+
+      return {
+        userId,
+        stakeFactor: toNumber(row.stakeFactor),
+        sportFactors: row.sportFactors || {},
+        marketTypeFactors: row.marketTypeFactors || {},
+        restrictions: row.restrictions || [],
+      };
+    },
+
+    /**
+     * Merge factor updates into a factor map, dropping the nulled ones
+     */
+    mergeFactors(current, updates) {
+      if (!updates) return current;
+
+      const merged = { ...current, ...updates };
+      for (const [key, value] of Object.entries(merged)) {
+        if (value === null) delete merged[key];
+      }
+      return merged;
+    },
+
+    /**
+     * Work out the user's maximum stake and any restriction blocking the bet
+     * Sport and market-type factors apply at their lowest across the bet's legs
+     */
+    async resolveUserLimits(ctx, userId, betType, selections) {
+      const limits = this.toUserLimits(await this.UserLimit.findByPk(userId), userId);
+      let stakeFactor = limits.stakeFactor;
+      let restriction = null;
+
+      if (limits.restrictions.includes(BET_TYPE_RESTRICTIONS[betType])) {
+        return {
+          stakeFactor,
+          maxStake: round(this.settings.maxStake * stakeFactor),
+          restriction: BET_TYPE_RESTRICTIONS[betType],
+        };
+      }
+
+      const checkEvents = limits.restrictions.includes("no_in_play") || Object.keys(limits.sportFactors).length > 0;
+      const checkMarkets = Object.keys(limits.marketTypeFactors).length > 0;
+
+      const sportFactors = [];
+      const marketTypeFactors = [];
+
+      for (const eventId of checkEvents ? new Set(selections.map((s) => s.eventId).filter(Boolean)) : []) {
+        const event = await ctx.call("event.get", { id: eventId });
+        if (event.status === "live" && limits.restrictions.includes("no_in_play")) {
+          restriction = "no_in_play";
+        }
+        if (limits.sportFactors[event.sportId] !== undefined) {
+          sportFactors.push(limits.sportFactors[event.sportId]);
+        }
+      }
+
+      for (const marketId of checkMarkets ? new Set(selections.map((s) => s.marketId).filter(Boolean)) : []) {
+        const market = await ctx.call("event.market", { id: marketId });
+        if (limits.marketTypeFactors[market.type] !== undefined) {
+          marketTypeFactors.push(limits.marketTypeFactors[market.type]);
+        }
+      }
+
+      if (sportFactors.length > 0) stakeFactor *= Math.min(...sportFactors);
+      if (marketTypeFactors.length > 0) stakeFactor *= Math.min(...marketTypeFactors);
+
+      return {
+        stakeFactor: Math.round(stakeFactor * 10000) / 10000,
+        maxStake: round(this.settings.maxStake * stakeFactor),
+        restriction,
+      };
+    },
+
+    /**
+     * Reject a bet the user is restricted from or whose stake exceeds their personal maximum
+     * With referrals enabled stakes over the maximum are referred to a trader at placement
+     */
+    async checkUserLimits(ctx, betType, selections, stake) {
+      const { maxStake, restriction } = await this.resolveUserLimits(ctx, ctx.meta.userId, betType, selections);
+
+      if (restriction) {
+        throw new this.broker.MoleculerClientError(
+          "This bet is not available on your account",
+          403,
+          "BETTING_RESTRICTED",
+          { restriction }
+        );
+      }
+
+      if (stake > maxStake && this.settings.referralsEnabled) {
+        ctx.locals.referralReason = "max_stake";
+      } else if (stake > maxStake) {
+        throw new this.broker.MoleculerClientError(`Maximum stake is ${maxStake}`, 400, "MAX_STAKE", { maxStake });
+      }
+    },
+  },
+};
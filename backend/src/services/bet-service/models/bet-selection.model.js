@@ -0,0 +1,28 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Bet selection model (maps to the `bet_selections` table)
+ * Fields without a dedicated column are kept in `metadata`
+ */
+module.exports = {
+  name: "bet_selections",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    betId: { type: DataTypes.UUID, allowNull: false },
+    eventId: { type: DataTypes.STRING(100), allowNull: false },
+    marketId: { type: DataTypes.STRING(100), allowNull: false },
+    selectionId: { type: DataTypes.STRING(100), allowNull: false },
+    oddsAtPlacement: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+    status: { type: DataTypes.STRING(20), defaultValue: "pending" },
+    settledAt: { type: DataTypes.DATE, allowNull: true },
+    metadata: { type: DataTypes.JSONB, defaultValue: {} },
+  },
+
+  options: {
+    timestamps: true,
+    updatedAt: false,
+  },
+};
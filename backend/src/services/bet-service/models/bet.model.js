@@ -0,0 +1,32 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Bet model (maps to the `bets` table)
+ * Fields without a dedicated column are kept in `metadata`
+ */
+module.exports = {
+  name: "bets",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    betType: { type: DataTypes.STRING(20), allowNull: false },
+    stake: { type: DataTypes.DECIMAL(15, 2), allowNull: false },
+    potentialWin: { type: DataTypes.DECIMAL(15, 2), allowNull: false },
+    totalOdds: { type: DataTypes.DECIMAL(15, 4), allowNull: false },
+    status: { type: DataTypes.STRING(20), defaultValue: "open" },
+    settledAmount: { type: DataTypes.DECIMAL(15, 2), allowNull: true },
+    cashoutAmount: { type: DataTypes.DECIMAL(15, 2), allowNull: true },
+    placedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    settledAt: { type: DataTypes.DATE, allowNull: true },
+    ipAddress: { type: DataTypes.STRING(100), allowNull: true },
+    userAgent: { type: DataTypes.TEXT, allowNull: true },
+    metadata: { type: DataTypes.JSONB, defaultValue: {} },
+  },
+
+  options: {
+    timestamps: false,
+  },
+};
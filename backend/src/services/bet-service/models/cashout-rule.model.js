@@ -0,0 +1,28 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Auto cash-out rule model (maps to the `bet_cashout_rules` table)
+ * Cashes a bet out once its cash-out value goes above or below a threshold
+ */
+module.exports = {
+  name: "bet_cashout_rules",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    betId: { type: DataTypes.UUID, allowNull: false },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    trigger: { type: DataTypes.STRING(10), allowNull: false },
+    threshold: { type: DataTypes.DECIMAL(15, 2), allowNull: false },
+    fraction: { type: DataTypes.DECIMAL(5, 4), allowNull: true },
+    status: { type: DataTypes.STRING(20), defaultValue: "active" },
+    cashoutAmount: { type: DataTypes.DECIMAL(15, 2), allowNull: true },
+    triggeredAt: { type: DataTypes.DATE, allowNull: true },
+    error: { type: DataTypes.TEXT, allowNull: true },
+  },
+
+  options: {
+    timestamps: true,
+  },
+};
@@ -0,0 +1,30 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Free bet model (maps to the `bet_free_bets` table)
+ * A token worth one stake, spent instead of cash on an eligible bet
+ */
+module.exports = {
+  name: "bet_free_bets",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    amount: { type: DataTypes.DECIMAL(15, 2), allowNull: false },
+    minOdds: { type: DataTypes.DECIMAL(10, 4), allowNull: true },
+    sportIds: { type: DataTypes.JSONB, defaultValue: [] },
+    marketTypes: { type: DataTypes.JSONB, defaultValue: [] },
+    status: { type: DataTypes.STRING(20), defaultValue: "active" },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    betId: { type: DataTypes.UUID, allowNull: true },
+    usedAt: { type: DataTypes.DATE, allowNull: true },
+    grantedBy: { type: DataTypes.STRING(100), allowNull: false },
+    reason: { type: DataTypes.TEXT, allowNull: true },
+  },
+
+  options: {
+    timestamps: true,
+  },
+};
@@ -0,0 +1,23 @@
+"use strict";
+
+const BetModel = require("./bet.model");
+const BetSelectionModel = require("./bet-selection.model");
+const PlacementSagaModel = require("./placement-saga.model");
+const CashoutRuleModel = require("./cashout-rule.model");
+const LiabilityModel = require("./liability.model");
+const UserLimitModel = require("./user-limit.model");
+const UserLimitAuditModel = require("./user-limit-audit.model");
+const FreeBetModel = require("./free-bet.model");
+const SharedSlipModel = require("./shared-slip.model");
+
+module.exports = {
+  BetModel,
+  BetSelectionModel,
+  PlacementSagaModel,
+  CashoutRuleModel,
+  LiabilityModel,
+  UserLimitModel,
+  UserLimitAuditModel,
+  FreeBetModel,
+  SharedSlipModel,
+};
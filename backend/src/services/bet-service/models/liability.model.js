@@ -0,0 +1,24 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Liability model (maps to the `risk_liabilities` table)
+ * Running liability of open bets on one selection, market or event
+ */
+module.exports = {
+  name: "risk_liabilities",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    scopeType: { type: DataTypes.STRING(20), allowNull: false },
+    scopeId: { type: DataTypes.STRING(100), allowNull: false },
+    liability: { type: DataTypes.DECIMAL(15, 2), allowNull: false, defaultValue: 0 },
+    betCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    maxLiability: { type: DataTypes.DECIMAL(15, 2), allowNull: true },
+  },
+
+  options: {
+    timestamps: true,
+  },
+};
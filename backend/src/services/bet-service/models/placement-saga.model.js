@@ -0,0 +1,25 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Bet placement saga model (maps to the `bet_placement_sagas` table)
+ * One row per placement attempt, with every executed step recorded in `steps`
+ */
+module.exports = {
+  name: "bet_placement_sagas",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    betId: { type: DataTypes.UUID, allowNull: false },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    status: { type: DataTypes.STRING(30), allowNull: false },
+    steps: { type: DataTypes.JSONB, defaultValue: [] },
+    payload: { type: DataTypes.JSONB, defaultValue: {} },
+    error: { type: DataTypes.TEXT, allowNull: true },
+  },
+
+  options: {
+    timestamps: true,
+  },
+};
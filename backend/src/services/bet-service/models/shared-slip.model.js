@@ -0,0 +1,24 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Shared slip model (maps to the `bet_shared_slips` table)
+ * A set of selections a user shared under a short code
+ */
+module.exports = {
+  name: "bet_shared_slips",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    code: { type: DataTypes.STRING(16), allowNull: false, unique: true },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    selections: { type: DataTypes.JSONB, allowNull: false },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+  },
+
+  options: {
+    timestamps: true,
+    updatedAt: false,
+  },
+};
@@ -0,0 +1,25 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * User limit audit model (maps to the `bet_user_limit_audit` table)
+ * One row per change to a user's limits
+ */
+module.exports = {
+  name: "bet_user_limit_audit",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    changedBy: { type: DataTypes.STRING(100), allowNull: false },
+    reason: { type: DataTypes.TEXT, allowNull: true },
+    previous: { type: DataTypes.JSONB, defaultValue: {} },
+    changes: { type: DataTypes.JSONB, defaultValue: {} },
+  },
+
+  options: {
+    timestamps: true,
+    updatedAt: false,
+  },
+};
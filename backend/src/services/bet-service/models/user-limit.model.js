@@ -0,0 +1,23 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * User limit model (maps to the `bet_user_limits` table)
+ * Trader-set stake factors and betting restrictions of one user
+ */
+module.exports = {
+  name: "bet_user_limits",
+
+  define: {
+    userId: { type: DataTypes.UUID, primaryKey: true },
+    stakeFactor: { type: DataTypes.DECIMAL(6, 4), allowNull: false, defaultValue: 1 },
+    sportFactors: { type: DataTypes.JSONB, defaultValue: {} },
+    marketTypeFactors: { type: DataTypes.JSONB, defaultValue: {} },
+    restrictions: { type: DataTypes.JSONB, defaultValue: [] },
+  },
+
+  options: {
+    timestamps: true,
+  },
+};
@@ -0,0 +1,280 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+const { ServiceBroker } = require("moleculer");
+const { v4: uuidv4 } = require("uuid");
+const BetService = require("./bet.service");
+const config = require("../../config/moleculer.config");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+
+/**
+ * Saga record that applies its updates in place, like a Sequelize instance
+ */
+const createSaga = (status, payload = {}) => {
+  const saga = {
+    id: uuidv4(),
+    betId: uuidv4(),
+    userId: USER_ID,
+    status,
+    steps: [{ status: "started", at: new Date() }],
+    updatedAt: new Date(),
+    payload: { stake: 10, betType: "single", placedEvent: {}, liability: null, boost: null, heldFor: null, ...payload },
+  };
+  saga.update = jest.fn(async (updates) => Object.assign(saga, updates));
+  return saga;
+};
+
+const stepsOf = (saga) => saga.steps.map((step) => step.status);
+
+describe("Bet placement saga", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  const wallet = {
+    lock: jest.fn(),
+    debit: jest.fn(),
+    credit: jest.fn(),
+    unlock: jest.fn(),
+    byReference: jest.fn(),
+  };
+
+  broker.createService({
+    name: "wallet",
+    actions: Object.fromEntries(Object.entries(wallet).map(([name, fn]) => [name, (ctx) => fn(ctx.params)])),
+  });
+  broker.createService({ name: "odds", actions: {} });
+  const service = broker.createService(BetService);
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => {
+    for (const fn of Object.values(wallet)) fn.mockReset();
+    wallet.byReference.mockResolvedValue({ locks: [], transactions: [] });
+    service.model.update.mockClear();
+
+    jest.spyOn(service, "saveBet").mockImplementation(async (bet) => bet);
+    jest.spyOn(service, "removeBet").mockResolvedValue();
+    jest.spyOn(service, "releaseLiability").mockResolvedValue();
+    jest.spyOn(service, "restoreFreeBet").mockResolvedValue();
+    jest.spyOn(service, "releaseOddsBoost").mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("compensation", () => {
+    it("removes the bet and releases its lock when the debit fails", async () => {
+      const liability = { exposure: 10 };
+      const saga = createSaga("started", { liability });
+      const bet = { id: saga.betId, userId: USER_ID, stake: 10, betType: "single" };
+
+      wallet.lock.mockResolvedValue({ lockId: "lock-1" });
+      wallet.debit.mockRejectedValue(new Error("Wallet unavailable"));
+      wallet.byReference.mockResolvedValue({ locks: [{ id: "lock-1", status: "active" }], transactions: [] });
+
+      await expect(service.finishPlacement(broker.ContextFactory.create(broker), bet, saga)).rejects.toThrow(
+        "Wallet unavailable"
+      );
+
+      expect(stepsOf(saga)).toEqual(["started", "funds_locked", "compensating", "compensated"]);
+      expect(service.removeBet).toHaveBeenCalledWith(bet.id);
+      expect(wallet.unlock).toHaveBeenCalledWith({ lockId: "lock-1" });
+      expect(wallet.credit).not.toHaveBeenCalled();
+      expect(service.releaseLiability).toHaveBeenCalledWith(liability);
+    });
+
+    it("refunds a debited stake", async () => {
+      const saga = createSaga("stake_debited");
+      wallet.byReference.mockResolvedValue({
+        locks: [{ id: "lock-1", status: "used" }],
+        transactions: [{ type: "bet_stake", amount: -10 }],
+      });
+
+      await service.compensatePlacement(saga, "Save failed");
+
+      expect(wallet.credit).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 10, referenceId: saga.betId, referenceType: "bet_refund" })
+      );
+      expect(wallet.unlock).not.toHaveBeenCalled();
+      expect(saga.status).toBe("compensated");
+    });
+
+    it("does not refund a stake twice when run again", async () => {
+      const saga = createSaga("compensation_failed");
+      wallet.byReference.mockResolvedValue({
+        locks: [],
+        transactions: [
+          { type: "bet_stake", amount: -10 },
+          { type: "bet_refund", amount: 10 },
+        ],
+      });
+
+      await service.compensatePlacement(saga, "Retry");
+
+      expect(wallet.credit).not.toHaveBeenCalled();
+      expect(saga.status).toBe("compensated");
+    });
+
+    it("keeps a held bet as rejected instead of removing it", async () => {
+      const saga = createSaga("funds_locked", { heldFor: "referral" });
+
+      await service.compensatePlacement(saga, "Trader accept failed");
+
+      expect(service.model.update).toHaveBeenCalledWith({ status: "rejected" }, { where: { id: saga.betId } });
+      expect(service.removeBet).not.toHaveBeenCalled();
+    });
+
+    it("gives back the free bet and the boost", async () => {
+      const boost = { boostId: "boost-1", stake: 10 };
+      const saga = createSaga("stake_debited", { boost });
+
+      await service.compensatePlacement(saga, "Save failed");
+
+      expect(service.restoreFreeBet).toHaveBeenCalledWith(saga.betId);
+      expect(service.releaseOddsBoost).toHaveBeenCalledWith(USER_ID, boost);
+    });
+
+    it("records a failed compensation for recovery to retry", async () => {
+      const saga = createSaga("stake_debited");
+      wallet.byReference.mockRejectedValue(new Error("Wallet unavailable"));
+
+      await service.compensatePlacement(saga, "Save failed");
+
+      expect(saga.status).toBe("compensation_failed");
+      expect(saga.error).toBe("Wallet unavailable");
+    });
+  });
+
+  describe("referral acceptance", () => {
+    const createReferredBet = () => ({
+      id: uuidv4(),
+      userId: USER_ID,
+      status: "referred",
+      stake: 10,
+      potentialWin: 20,
+      betType: "single",
+      referral: { status: "pending", placedEvent: {} },
+    });
+
+    beforeEach(() => {
+      jest.spyOn(service, "reserveLiability").mockResolvedValue(null);
+      jest.spyOn(service, "publishReferral").mockResolvedValue();
+      service.PlacementSaga.create.mockClear();
+    });
+
+    it("claims the bet and starts its saga together before taking the stake", async () => {
+      const bet = createReferredBet();
+      const saga = createSaga("started", { heldFor: "referral" });
+      service.model.update.mockResolvedValueOnce([1]);
+      service.PlacementSaga.create.mockResolvedValueOnce(saga);
+      const finish = jest.spyOn(service, "finishPlacement").mockImplementation(async () => bet);
+
+      await service.acceptReferredBet(broker.ContextFactory.create(broker), bet, { decidedBy: "trader" });
+
+      const [[claim, { transaction }]] = service.model.update.mock.calls;
+      expect(claim).toEqual({ status: "accepting" });
+      expect(service.PlacementSaga.create).toHaveBeenCalledWith(
+        expect.objectContaining({ payload: expect.objectContaining({ heldFor: "referral" }) }),
+        { transaction }
+      );
+      expect(finish).toHaveBeenCalledWith(expect.anything(), bet, saga);
+    });
+
+    it("starts no saga when the referral was already decided", async () => {
+      const bet = createReferredBet();
+      service.model.update.mockResolvedValueOnce([0]);
+
+      await expect(
+        service.acceptReferredBet(broker.ContextFactory.create(broker), bet, { decidedBy: "trader" })
+      ).rejects.toMatchObject({ type: "REFERRAL_NOT_OPEN" });
+
+      expect(service.PlacementSaga.create).not.toHaveBeenCalled();
+      expect(service.releaseLiability).toHaveBeenCalledWith(null);
+    });
+  });
+
+  describe("recovery", () => {
+    const recover = async (sagas, bets) => {
+      service.PlacementSaga.findAll.mockResolvedValueOnce(sagas);
+      service.PlacementSaga.update.mockReset();
+      service.PlacementSaga.update.mockResolvedValue([1]);
+      jest.spyOn(service, "getBetById").mockImplementation(async (id) => bets[id] || null);
+      return service.recoverPlacementSagas();
+    };
+
+    it("completes a placement whose bet was saved", async () => {
+      const saga = createSaga("bet_saved", { placedEvent: { betId: "placed" } });
+      const emit = jest.spyOn(broker, "emit");
+
+      await recover([saga], { [saga.betId]: { id: saga.betId, status: "open" } });
+
+      expect(saga.status).toBe("completed");
+      expect(emit).toHaveBeenCalledWith("bet.placed", { betId: "placed" });
+      expect(wallet.byReference).not.toHaveBeenCalled();
+    });
+
+    it("rolls back a placement whose bet was never saved", async () => {
+      const saga = createSaga("stake_debited");
+      wallet.byReference.mockResolvedValue({ locks: [], transactions: [{ type: "bet_stake", amount: -10 }] });
+
+      await recover([saga], {});
+
+      expect(saga.status).toBe("compensated");
+      expect(wallet.credit).toHaveBeenCalledWith(expect.objectContaining({ amount: 10 }));
+    });
+
+    it("retries a failed compensation without looking at the bet", async () => {
+      const saga = createSaga("compensation_failed");
+
+      await recover([saga], { [saga.betId]: { id: saga.betId, status: "open" } });
+
+      expect(service.getBetById).not.toHaveBeenCalled();
+      expect(saga.status).toBe("compensated");
+    });
+
+    it("rolls back a referred bet that was not accepted", async () => {
+      const saga = createSaga("funds_locked", { heldFor: "referral" });
+
+      await recover([saga], { [saga.betId]: { id: saga.betId, status: "open", referral: { status: "pending" } } });
+
+      expect(saga.status).toBe("compensated");
+      expect(service.model.update).toHaveBeenCalledWith({ status: "rejected" }, { where: { id: saga.betId } });
+    });
+
+    it("leaves live bets still in their delay to the in-play sweep", async () => {
+      const saga = createSaga("funds_locked", { heldFor: "in_play" });
+
+      await recover([saga], { [saga.betId]: { id: saga.betId, status: "pending", inPlay: { delay: 5000 } } });
+
+      expect(saga.status).toBe("funds_locked");
+      expect(saga.update).not.toHaveBeenCalled();
+    });
+
+    it("leaves a saga another node has claimed", async () => {
+      const saga = createSaga("stake_debited");
+      service.PlacementSaga.findAll.mockResolvedValueOnce([saga]);
+      service.PlacementSaga.update.mockResolvedValueOnce([0]);
+      jest.spyOn(service, "getBetById").mockResolvedValue(null);
+
+      await service.recoverPlacementSagas();
+
+      expect(service.PlacementSaga.update).toHaveBeenCalledWith(
+        { status: "recovering" },
+        { where: { id: saga.id, status: "stake_debited", updatedAt: saga.updatedAt } }
+      );
+      expect(saga.update).not.toHaveBeenCalled();
+      expect(wallet.byReference).not.toHaveBeenCalled();
+    });
+
+    it("keeps going when one saga cannot be recovered", async () => {
+      const broken = createSaga("stake_debited");
+      const saga = createSaga("bet_saved");
+      broken.update.mockRejectedValue(new Error("Database unavailable"));
+
+      const result = await recover([broken, saga], { [saga.betId]: { id: saga.betId, status: "open" } });
+
+      expect(result).toEqual({ recovered: 2 });
+      expect(saga.status).toBe("completed");
+    });
+  });
+});
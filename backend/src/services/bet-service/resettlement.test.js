@@ -0,0 +1,129 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+const { ServiceBroker } = require("moleculer");
+const { v4: uuidv4 } = require("uuid");
+const BetService = require("./bet.service");
+const config = require("../../config/moleculer.config");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+const SELECTION_ID = "22222222-2222-4222-8222-222222222222";
+
+const createSettledBet = (status, extra = {}) => ({
+  id: uuidv4(),
+  userId: USER_ID,
+  betType: "single",
+  status,
+  stake: 10,
+  totalOdds: 2,
+  potentialWin: 20,
+  settledAmount: status === "won" ? 20 : 0,
+  settledAt: new Date(),
+  selections: [{ id: uuidv4(), selectionId: SELECTION_ID, marketId: "market-1", oddsAtPlacement: 2, status }],
+  ...extra,
+});
+
+describe("Bet resettlement", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  const debit = jest.fn();
+  const settleSelection = jest.fn();
+
+  broker.createService({ name: "wallet", actions: { debit: (ctx) => debit(ctx.params) } });
+  broker.createService({
+    name: "event",
+    actions: {
+      settleSelection: (ctx) => settleSelection(ctx.params),
+      selection: () => ({ status: "active" }),
+    },
+  });
+  broker.createService({ name: "odds", actions: {} });
+  const service = broker.createService(BetService);
+
+  const bets = new Map();
+  const params = { reason: "Wrong result", requestedBy: "trader" };
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => {
+    bets.clear();
+    debit.mockReset();
+    debit.mockResolvedValue({});
+    settleSelection.mockReset();
+    service.model.update.mockReset();
+    service.model.update.mockResolvedValue([1]);
+    service.FreeBet.findOne.mockReset();
+
+    jest.spyOn(service, "getBetsBySelection").mockImplementation(async () =>
+      [...bets.values()].map((bet) => structuredClone(bet))
+    );
+    jest.spyOn(service, "saveBet").mockImplementation(async (bet) => bets.set(bet.id, structuredClone(bet)));
+    jest.spyOn(service, "reserveLiability").mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("settles the selection again when one of its bets cannot be reversed", async () => {
+    const failing = createSettledBet("won");
+    const bet = createSettledBet("won");
+    bets.set(failing.id, failing);
+    bets.set(bet.id, bet);
+    debit.mockImplementation(async ({ referenceId }) => {
+      if (referenceId === failing.id) throw new Error("Wallet unavailable");
+      return {};
+    });
+
+    const result = await broker.call("bet.resettleSelection", {
+      selectionId: SELECTION_ID,
+      result: "lost",
+      ...params,
+    });
+
+    expect(result).toMatchObject({ unsettled: 1, betIds: [bet.id], failed: [{ betId: failing.id }] });
+    expect(settleSelection).toHaveBeenCalledWith(
+      expect.objectContaining({ selectionId: SELECTION_ID, result: "lost" })
+    );
+    expect(service.model.update).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "won", settledAmount: 20 }),
+      { where: { id: failing.id } }
+    );
+    expect(bets.get(bet.id).status).toBe("open");
+  });
+
+  describe("voided free bets", () => {
+    const freeBetId = uuidv4();
+
+    beforeEach(() => {
+      jest.spyOn(service, "redeemFreeBet").mockRejectedValue(
+        new broker.MoleculerClientError("Free bet is no longer available", 400, "FREE_BET_NOT_AVAILABLE")
+      );
+    });
+
+    it("lets an expired token go with a note", async () => {
+      const bet = createSettledBet("void", { freeBetId });
+      bets.set(bet.id, bet);
+      service.FreeBet.findOne.mockResolvedValue({ id: freeBetId, status: "expired", betId: null });
+
+      await broker.call("bet.unsettle", { selectionId: SELECTION_ID, ...params });
+
+      expect(debit).not.toHaveBeenCalled();
+      expect(bets.get(bet.id).settlementHistory).toEqual([
+        expect.objectContaining({ reversedAmount: 0, note: "Free bet expired before it could be taken back" }),
+      ]);
+    });
+
+    it("debits the stake of a token spent on another bet", async () => {
+      const bet = createSettledBet("void", { freeBetId });
+      bets.set(bet.id, bet);
+      service.FreeBet.findOne.mockResolvedValue({ id: freeBetId, status: "used", betId: uuidv4() });
+
+      await broker.call("bet.unsettle", { selectionId: SELECTION_ID, ...params });
+
+      expect(debit).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 10, referenceId: bet.id, referenceType: "bet_resettlement" })
+      );
+      expect(bets.get(bet.id).settlementHistory[0].reversedAmount).toBe(10);
+    });
+  });
+});
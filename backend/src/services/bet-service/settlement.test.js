@@ -0,0 +1,279 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+const { ServiceBroker } = require("moleculer");
+const { v4: uuidv4 } = require("uuid");
+const BetService = require("./bet.service");
+const config = require("../../config/moleculer.config");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+
+const createLeg = (selectionId, oddsAtPlacement, extra = {}) => ({
+  id: uuidv4(),
+  selectionId,
+  eventId: "event-1",
+  marketId: `market-${selectionId}`,
+  oddsAtPlacement,
+  status: "pending",
+  ...extra,
+});
+
+const createBet = (betType, selections, extra = {}) => {
+  const totalOdds = selections.reduce((acc, leg) => acc * leg.oddsAtPlacement, 1);
+  return {
+    id: uuidv4(),
+    userId: USER_ID,
+    betType,
+    status: "open",
+    stake: 10,
+    totalOdds,
+    potentialWin: 10 * totalOdds,
+    settledAmount: null,
+    selections,
+    ...extra,
+  };
+};
+
+describe("Bet settlement", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  const credit = jest.fn(async () => ({}));
+
+  broker.createService({ name: "wallet", actions: { credit: (ctx) => credit(ctx.params) } });
+  broker.createService({ name: "odds", actions: {} });
+  const service = broker.createService(BetService);
+
+  // Bets as stored, each read hands out its own copy like a database row would
+  const bets = new Map();
+  const store = (bet) => bets.set(bet.id, structuredClone(bet));
+
+  const settleLegs = async (...results) => {
+    for (const [selectionId, result, extra] of results) {
+      await service.handleSelectionSettled(selectionId, result, extra);
+    }
+  };
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => {
+    bets.clear();
+    credit.mockClear();
+
+    jest.spyOn(service, "getBetById").mockImplementation(async (id) =>
+      bets.has(id) ? structuredClone(bets.get(id)) : null
+    );
+    jest.spyOn(service, "getBetsBySelection").mockImplementation(async (selectionId) =>
+      [...bets.values()]
+        .filter((bet) => bet.status === "open" && bet.selections.some((s) => s.selectionId === selectionId))
+        .map((bet) => structuredClone(bet))
+    );
+    jest.spyOn(service, "saveBet").mockImplementation(async (bet) => store(bet));
+
+    // Leg rows take a result only while pending, like the conditional update in the database
+    service.BetSelection.update.mockImplementation(async ({ metadata, ...columns }, { where }) => {
+      const leg = [...bets.values()].flatMap((bet) => bet.selections).find((s) => s.id === where.id);
+      if (!leg || leg.status !== where.status) return [0];
+      Object.assign(leg, metadata, columns);
+      return [1];
+    });
+    jest.spyOn(service, "syncBetLiability").mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("singles and accumulators", () => {
+    it("pays an accumulator at the product of its odds", async () => {
+      const bet = createBet("accumulator", [createLeg("a", 2), createLeg("b", 3)]);
+      store(bet);
+
+      await settleLegs(["a", "won"], ["b", "won"]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 60 });
+      expect(credit).toHaveBeenCalledWith(expect.objectContaining({ amount: 60, referenceType: "bet_win" }));
+    });
+
+    it("counts a void leg at odds 1.0", async () => {
+      const bet = createBet("accumulator", [createLeg("a", 2), createLeg("b", 3)]);
+      store(bet);
+
+      await settleLegs(["a", "won"], ["b", "void"]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 20 });
+    });
+
+    it("loses on the first losing leg without paying", async () => {
+      const bet = createBet("accumulator", [createLeg("a", 2), createLeg("b", 3)]);
+      store(bet);
+
+      await settleLegs(["a", "lost"]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "lost", settledAmount: 0 });
+      expect(credit).not.toHaveBeenCalled();
+    });
+
+    it("refunds the stake when every leg is void", async () => {
+      const bet = createBet("accumulator", [createLeg("a", 2), createLeg("b", 3)]);
+      store(bet);
+
+      await settleLegs(["a", "void"], ["b", "void"]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "void", settledAmount: 10 });
+      expect(credit).toHaveBeenCalledWith(expect.objectContaining({ amount: 10, referenceType: "bet_refund" }));
+    });
+
+    it("pays half the stake at the odds and refunds the other half on a half-won leg", async () => {
+      const bet = createBet("single", [createLeg("a", 2)]);
+      store(bet);
+
+      await settleLegs(["a", "half_won"]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 15 });
+    });
+
+    it("names a half-lost return below the stake as lost and refunds it", async () => {
+      const bet = createBet("single", [createLeg("a", 2)]);
+      store(bet);
+
+      await settleLegs(["a", "half_lost"]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "lost", settledAmount: 5 });
+      expect(credit).toHaveBeenCalledWith(expect.objectContaining({ amount: 5, referenceType: "bet_refund" }));
+    });
+
+    it("pays a dead heat at its factor of the odds", async () => {
+      const bet = createBet("single", [createLeg("a", 5)]);
+      store(bet);
+
+      await settleLegs(["a", "dead_heat", { deadHeatFactor: 0.5, tiedCount: 2 }]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 25 });
+    });
+  });
+
+  describe("concurrent results", () => {
+    beforeEach(() => {
+      // The bet row lock lets one transaction through at a time
+      let locked = Promise.resolve();
+      jest.spyOn(service.adapter.db, "transaction").mockImplementation((callback) => {
+        const run = locked.then(() => callback({ LOCK: { UPDATE: "UPDATE" } }));
+        locked = run.catch(() => {});
+        return run;
+      });
+    });
+
+    it("keeps both results when legs of a bet are settled at the same time", async () => {
+      const bet = createBet("accumulator", [createLeg("a", 2), createLeg("b", 3)]);
+      store(bet);
+
+      await Promise.all([service.handleSelectionSettled("a", "won"), service.handleSelectionSettled("b", "won")]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 60 });
+      expect(credit).toHaveBeenCalledTimes(1);
+    });
+
+    it("settles a bet once when a result arrives twice", async () => {
+      const bet = createBet("single", [createLeg("a", 2)]);
+      store(bet);
+
+      await Promise.all([service.handleSelectionSettled("a", "won"), service.handleSelectionSettled("a", "won")]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 20 });
+      expect(credit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("system bets", () => {
+    it("settles each line on its own legs and pays their sum", async () => {
+      const legs = [createLeg("a", 2), createLeg("b", 3), createLeg("c", 4)];
+      const bet = createBet("system", legs, { stake: 3, unitStake: 1, lines: service.expandSystemLines(legs, [2], 1) });
+      store(bet);
+
+      await settleLegs(["a", "won"], ["b", "won"], ["c", "lost"]);
+
+      const settled = bets.get(bet.id);
+      expect(settled.lines.map((line) => [line.status, line.settledAmount])).toEqual([
+        ["won", 6],
+        ["lost", 0],
+        ["lost", 0],
+      ]);
+      expect(settled).toMatchObject({ status: "won", settledAmount: 6 });
+    });
+
+    it("waits for every line to be resulted", async () => {
+      const legs = [createLeg("a", 2), createLeg("b", 3), createLeg("c", 4)];
+      const bet = createBet("system", legs, { stake: 3, unitStake: 1, lines: service.expandSystemLines(legs, [2], 1) });
+      store(bet);
+
+      await settleLegs(["a", "won"], ["b", "won"]);
+
+      expect(bets.get(bet.id).status).toBe("open");
+      expect(credit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("each-way bets", () => {
+    const createEachWayBet = (odds) => {
+      const placeOdds = 1 + (odds - 1) / 4;
+      return createBet("each_way", [createLeg("a", odds)], {
+        unitStake: 5,
+        stake: 10,
+        placeTerms: { places: 3, fraction: "1/4" },
+        parts: [
+          { type: "win", stake: 5, odds, status: "pending", settledAmount: null },
+          { type: "place", stake: 5, odds: placeOdds, status: "pending", settledAmount: null },
+        ],
+      });
+    };
+
+    it("pays both parts on a winner", async () => {
+      const bet = createEachWayBet(3);
+      store(bet);
+
+      await settleLegs(["a", "won", { position: 1 }]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 22.5 });
+    });
+
+    it("does not call a place-only return below the stake a win", async () => {
+      const bet = createEachWayBet(3);
+      store(bet);
+
+      await settleLegs(["a", "lost", { position: 2 }]);
+
+      const settled = bets.get(bet.id);
+      expect(settled.parts.map((part) => part.status)).toEqual(["lost", "won"]);
+      expect(settled).toMatchObject({ status: "lost", settledAmount: 7.5 });
+      expect(credit).toHaveBeenCalledWith(expect.objectContaining({ amount: 7.5, referenceType: "bet_refund" }));
+    });
+  });
+
+  describe("same-game parlays", () => {
+    const createSameGameBet = () => {
+      const legs = [createLeg("a", 2), createLeg("b", 3), createLeg("c", 1.5)];
+      return createBet("same_game", legs, {
+        totalOdds: 7.2,
+        correlationFactors: [{ legIds: [legs[0].id, legs[1].id], factor: 1.2 }],
+      });
+    };
+
+    it("pays the odds it was placed at when every leg wins", async () => {
+      const bet = createSameGameBet();
+      store(bet);
+
+      await settleLegs(["a", "won"], ["b", "won"], ["c", "won"]);
+
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 72 });
+    });
+
+    it("reprices the remaining legs from the correlation stored at placement", async () => {
+      const bet = createSameGameBet();
+      store(bet);
+
+      await settleLegs(["a", "won"], ["b", "won"], ["c", "void"]);
+
+      // 1 / (1/2 x 1/3 x 1.2)
+      expect(bets.get(bet.id)).toMatchObject({ status: "won", settledAmount: 50 });
+    });
+  });
+});
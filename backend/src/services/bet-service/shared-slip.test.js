@@ -0,0 +1,82 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+const { ServiceBroker } = require("moleculer");
+const { v4: uuidv4 } = require("uuid");
+const BetService = require("./bet.service");
+const config = require("../../config/moleculer.config");
+
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+const TIPSTER_ID = "44444444-4444-4444-8444-444444444444";
+
+const createBet = () => ({
+  id: uuidv4(),
+  userId: USER_ID,
+  selections: [{ id: uuidv4(), selectionId: "sel-1", status: "pending" }],
+});
+
+const createSlipRow = (extra = {}) => {
+  const slip = {
+    code: "ABCD2345",
+    userId: TIPSTER_ID,
+    selections: [{ selectionId: "sel-1" }],
+    expiresAt: new Date(Date.now() + 60000),
+    ...extra,
+  };
+  return { ...slip, get: () => ({ ...slip }) };
+};
+
+describe("Shared slip attribution", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  broker.createService({ name: "wallet", actions: {} });
+  broker.createService({ name: "odds", actions: {} });
+  const service = broker.createService(BetService);
+
+  const attach = async (bet, slipCode) => {
+    const placedEvent = {};
+    const ctx = broker.ContextFactory.create(broker, null, { slipCode });
+    await service.attachSharedSlip(ctx, bet, placedEvent);
+    return placedEvent;
+  };
+
+  beforeAll(() => broker.start());
+  afterAll(() => broker.stop());
+
+  beforeEach(() => service.SharedSlip.findOne.mockReset());
+
+  it("credits the user who shared the slip", async () => {
+    const bet = createBet();
+    service.SharedSlip.findOne.mockResolvedValue(createSlipRow());
+
+    const placedEvent = await attach(bet, "abcd2345");
+
+    expect(bet.sharedSlip).toEqual({ code: "ABCD2345", sharedBy: TIPSTER_ID });
+    expect(placedEvent).toEqual({ slipCode: "ABCD2345", sharedBy: TIPSTER_ID });
+  });
+
+  it("places the bet uncredited when the code is unknown", async () => {
+    const bet = createBet();
+    service.SharedSlip.findOne.mockResolvedValue(null);
+
+    const placedEvent = await attach(bet, "NOPE2345");
+
+    expect(bet.sharedSlip).toBeUndefined();
+    expect(placedEvent).toEqual({});
+  });
+
+  it("places the bet uncredited when the code has expired", async () => {
+    const bet = createBet();
+    service.SharedSlip.findOne.mockResolvedValue(createSlipRow({ expiresAt: new Date(Date.now() - 1000) }));
+
+    await attach(bet, "ABCD2345");
+
+    expect(bet.sharedSlip).toBeUndefined();
+  });
+
+  it("fails when the slip cannot be read", async () => {
+    service.SharedSlip.findOne.mockRejectedValue(new Error("Database unavailable"));
+
+    await expect(attach(createBet(), "ABCD2345")).rejects.toThrow("Database unavailable");
+  });
+});
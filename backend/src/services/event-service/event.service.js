@@ -2,6 +2,7 @@
 
 const { Service } = require("moleculer");
 const { v4: uuidv4 } = require("uuid");
+const { SELECTION_RESULT, SELECTION_RESULTS } = require("../../lib/constants");
 
 /**
  * Event Service
@@ -85,6 +86,20 @@ module.exports = class EventService extends Service {
           },
         },
 
+        /**
+         * Get the IDs of all events of a sport, whatever their status
+         */
+        sportEvents: {
+          params: {
+            sportId: { type: "uuid" },
+          },
+          visibility: "protected",
+          cache: { keys: ["sportId"], ttl: 60 },
+          async handler(ctx) {
+            return this.getEventIdsBySport(ctx.params.sportId);
+          },
+        },
+
         /**
          * Get event by ID with markets
          */
@@ -117,6 +132,23 @@ module.exports = class EventService extends Service {
           },
         },
 
+        /**
+         * Get market by ID
+         */
+        market: {
+          params: {
+            id: { type: "uuid" },
+          },
+          cache: { keys: ["id"], ttl: 5 },
+          async handler(ctx) {
+            const market = await this.getMarketWithSelections(ctx.params.id);
+            if (!market) {
+              throw new this.broker.MoleculerClientError("Market not found", 404, "MARKET_NOT_FOUND");
+            }
+            return market;
+          },
+        },
+
         /**
          * Get selection by ID
          */
@@ -237,6 +269,14 @@ module.exports = class EventService extends Service {
             eventId: { type: "uuid" },
             name: { type: "string", max: 200 },
             type: { type: "string", max: 50 },
+            placeTerms: {
+              type: "object",
+              optional: true,
+              props: {
+                places: { type: "number", integer: true, min: 1, max: 10 },
+                fraction: { type: "string", pattern: /^[1-9]\d*\/[1-9]\d*$/ },
+              },
+            },
             selections: {
               type: "array",
               items: {
@@ -250,7 +290,7 @@ module.exports = class EventService extends Service {
           },
           visibility: "protected",
           async handler(ctx) {
-            const { eventId, name, type, selections } = ctx.params;
+            const { eventId, name, type, placeTerms, selections } = ctx.params;
 
             const event = await this.getEventById(eventId);
             if (!event) {
@@ -263,6 +303,7 @@ module.exports = class EventService extends Service {
               name,
               type,
               status: "open",
+              placeTerms: placeTerms || null, // Each-way terms: { places, fraction: "1/4" }
               sortOrder: 0,
               metadata: {},
               createdAt: new Date(),
@@ -319,16 +360,61 @@ module.exports = class EventService extends Service {
         },
 
         /**
-         * Settle a selection (mark as winner/loser)
+         * Set or clear each-way place terms of a market
+         */
+        setPlaceTerms: {
+          params: {
+            marketId: { type: "uuid" },
+            placeTerms: {
+              type: "object",
+              nullable: true,
+              props: {
+                places: { type: "number", integer: true, min: 1, max: 10 },
+                fraction: { type: "string", pattern: /^[1-9]\d*\/[1-9]\d*$/ },
+              },
+            },
+          },
+          visibility: "protected",
+          async handler(ctx) {
+            const { marketId, placeTerms } = ctx.params;
+
+            const market = this.markets.get(marketId);
+            if (!market) {
+              throw new this.broker.MoleculerClientError("Market not found", 404, "MARKET_NOT_FOUND");
+            }
+
+            market.placeTerms = placeTerms;
+            market.updatedAt = new Date();
+            await this.saveMarket(market);
+
+            return market;
+          },
+        },
+
+        /**
+         * Settle a selection with its result
+         * Outright and racing markets also record the finishing position and how many
+         * runners share it, dead heats the share of the stake paid at full odds
          */
         settleSelection: {
           params: {
             selectionId: { type: "uuid" },
-            result: { type: "string", enum: ["winner", "loser", "void", "push"] },
+            result: { type: "string", enum: SELECTION_RESULTS },
+            position: { type: "number", integer: true, positive: true, optional: true },
+            deadHeatFactor: { type: "number", positive: true, max: 1, optional: true },
+            tiedCount: { type: "number", integer: true, min: 2, optional: true },
           },
           visibility: "protected",
           async handler(ctx) {
-            const { selectionId, result } = ctx.params;
+            const { selectionId, result, position, deadHeatFactor, tiedCount } = ctx.params;
+
+            if (result === SELECTION_RESULT.DEAD_HEAT && !deadHeatFactor) {
+              throw new this.broker.MoleculerClientError(
+                "Dead heat results require a dead-heat factor",
+                400,
+                "INVALID_DEAD_HEAT_FACTOR"
+              );
+            }
 
             const selection = await this.getSelectionById(selectionId);
             if (!selection) {
@@ -336,6 +422,9 @@ module.exports = class EventService extends Service {
             }
 
             selection.status = result;
+            selection.position = position || null;
+            selection.deadHeatFactor = result === SELECTION_RESULT.DEAD_HEAT ? deadHeatFactor : null;
+            selection.tiedCount = tiedCount || null;
             selection.updatedAt = new Date();
             await this.saveSelection(selection);
 
@@ -343,6 +432,9 @@ module.exports = class EventService extends Service {
               selectionId,
               marketId: selection.marketId,
               result,
+              position: selection.position,
+              deadHeatFactor: selection.deadHeatFactor,
+              tiedCount: selection.tiedCount,
             });
 
             return selection;
@@ -408,6 +500,7 @@ module.exports = class EventService extends Service {
             name: "Match Result",
             type: "1x2",
             status: "open",
+            placeTerms: null,
             sortOrder: 1,
             metadata: {},
             createdAt: new Date(),
@@ -442,6 +535,7 @@ module.exports = class EventService extends Service {
             name: "Total Goals Over/Under 2.5",
             type: "over_under",
             status: "open",
+            placeTerms: null,
             sortOrder: 2,
             metadata: { line: 2.5 },
             createdAt: new Date(),
@@ -521,6 +615,12 @@ module.exports = class EventService extends Service {
           return events;
         },
 
+        async getEventIdsBySport(sportId) {
+          return Array.from(this.eventsStore.values())
+            .filter((e) => e.sportId === sportId)
+            .map((e) => e.id);
+        },
+
         async getEventById(id) {
           const event = this.eventsStore.get(id);
           if (!event) return null;
@@ -591,9 +691,9 @@ module.exports = class EventService extends Service {
         initializeSampleData() {
           // Sports
           const sports = [
-            { id: "a1b2c3d4-e5f6-7890-abcd-ef1234567890", name: "Football", slug: "football", sortOrder: 1, isActive: true },
-            { id: "b2c3d4e5-f6a7-8901-bcde-f12345678901", name: "Basketball", slug: "basketball", sortOrder: 2, isActive: true },
-            { id: "c3d4e5f6-a7b8-9012-cdef-123456789012", name: "Tennis", slug: "tennis", sortOrder: 3, isActive: true },
+            { id: "a1b2c3d4-e5f6-7890-abcd-ef1234567890", name: "Football", slug: "football", sortOrder: 1, inPlayDelay: 5000, isActive: true },
+            { id: "b2c3d4e5-f6a7-8901-bcde-f12345678901", name: "Basketball", slug: "basketball", sortOrder: 2, inPlayDelay: 6000, isActive: true },
+            { id: "c3d4e5f6-a7b8-9012-cdef-123456789012", name: "Tennis", slug: "tennis", sortOrder: 3, inPlayDelay: 8000, isActive: true },
           ];
           sports.forEach((s) => this.sports.set(s.id, s));
 
@@ -371,7 +371,6 @@ module.exports = class HealthMonitorService extends Service {
               const startTime = Date.now();
               await this.broker.call(`${serviceName}.ping`, {}, { timeout: 5000 });
 
-              const healthData = this.serviceHealthMap.get(serviceName) || {};
               this.serviceHealthMap.set(serviceName, {
                 status: "healthy",
                 lastCheck: Date.now(),
@@ -334,6 +334,74 @@ module.exports = class NotificationService extends Service {
           });
         },
 
+        /**
+         * Handle bet rejected at the end of the in-play delay
+         */
+        "bet.rejected"(ctx) {
+          const { betId, userId, stake, reason } = ctx.params;
+          const messages = {
+            MARKET_SUSPENDED: `The market was suspended before your bet of $${stake.toFixed(2)} was accepted.`,
+          };
+          const message = messages[reason] || `The odds changed before your bet of $${stake.toFixed(2)} was accepted.`;
+
+          this.queueNotification({
+            userId,
+            type: "bet_rejected",
+            title: "Bet Not Accepted",
+            message: `${message} Your stake has been released.`,
+            data: { betId, stake, reason },
+          });
+        },
+
+        /**
+         * Handle bet cancelled by the user
+         */
+        "bet.cancelled"(ctx) {
+          const { betId, userId, stake, refunded } = ctx.params;
+          this.queueNotification({
+            userId,
+            type: "bet_cancelled",
+            title: "Bet Cancelled",
+            message: refunded > 0
+              ? `Your bet of $${stake.toFixed(2)} has been cancelled and your stake refunded.`
+              : "Your free bet has been cancelled and the token returned.",
+            data: { betId, stake, refunded },
+          });
+        },
+
+        /**
+         * Handle bet voided by an operator
+         */
+        "bet.voided"(ctx) {
+          const { betId, userId, stake, refunded, reason } = ctx.params;
+          this.queueNotification({
+            userId,
+            type: "bet_voided",
+            title: "Bet Voided",
+            message: `Your bet of $${stake.toFixed(2)} has been voided: ${reason}. ` +
+              (refunded > 0 ? "Your stake has been refunded." : "Your free bet token has been returned."),
+            data: { betId, stake, refunded, reason },
+          });
+        },
+
+        /**
+         * Handle bet unsettled after a result correction
+         */
+        "bet.unsettled"(ctx) {
+          const { betId, userId, reversedAmount, reason } = ctx.params;
+          this.queueNotification({
+            userId,
+            type: "bet_unsettled",
+            title: "Bet Result Corrected",
+            message: `The result of your bet has been corrected: ${reason}. ` +
+              (reversedAmount > 0
+                ? `The earlier payout of $${reversedAmount.toFixed(2)} has been reversed. `
+                : "") +
+              "The bet will be settled again on the corrected result.",
+            data: { betId, reversedAmount, reason },
+          });
+        },
+
         /**
          * Handle bet settled
          */
@@ -344,6 +412,9 @@ module.exports = class NotificationService extends Service {
           if (result === "won") {
             title = "Congratulations! You Won!";
             message = `Your bet has won! $${settledAmount.toFixed(2)} has been added to your balance.`;
+          } else if (result === "lost" && settledAmount > 0) {
+            title = "Bet Lost";
+            message = `Your bet lost on a half line. $${settledAmount.toFixed(2)} of your stake has been refunded.`;
           } else if (result === "lost") {
             title = "Bet Lost";
             message = "Unfortunately, your bet did not win. Better luck next time!";
@@ -365,13 +436,15 @@ module.exports = class NotificationService extends Service {
          * Handle bet cashed out
          */
         "bet.cashedOut"(ctx) {
-          const { betId, userId, cashoutAmount } = ctx.params;
+          const { betId, userId, cashoutAmount, partial, remainingStake } = ctx.params;
           this.queueNotification({
             userId,
             type: "bet_cashout",
-            title: "Cash Out Successful",
-            message: `You cashed out $${cashoutAmount.toFixed(2)} from your bet.`,
-            data: { betId, cashoutAmount },
+            title: partial ? "Partial Cash Out Successful" : "Cash Out Successful",
+            message: partial
+              ? `You cashed out $${cashoutAmount.toFixed(2)} from your bet. $${remainingStake.toFixed(2)} stays in play.`
+              : `You cashed out $${cashoutAmount.toFixed(2)} from your bet.`,
+            data: { betId, cashoutAmount, partial: !!partial, remainingStake },
           });
         },
 
@@ -408,7 +481,7 @@ module.exports = class NotificationService extends Service {
          */
         "odds.updated"(ctx) {
           // Only notify for significant odds movements
-          const { selectionId, odds, previousOdds, movement } = ctx.params;
+          const { selectionId, odds, previousOdds } = ctx.params;
           const changePercent = Math.abs((odds - previousOdds) / previousOdds) * 100;
 
           if (changePercent >= 10) {
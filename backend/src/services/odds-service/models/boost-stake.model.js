@@ -0,0 +1,22 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Boost stake model (maps to the `odds_boost_stakes` table)
+ * What one user has staked on a boost, held against its per-user cap
+ */
+module.exports = {
+  name: "odds_boost_stakes",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    boostId: { type: DataTypes.UUID, allowNull: false },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    staked: { type: DataTypes.DECIMAL(15, 2), allowNull: false, defaultValue: 0 },
+  },
+
+  options: {
+    timestamps: true,
+  },
+};
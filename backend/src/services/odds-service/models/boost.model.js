@@ -0,0 +1,28 @@
+"use strict";
+
+const { DataTypes } = require("sequelize");
+
+/**
+ * Boost model (maps to the `odds_boosts` table)
+ * A boosted price on one selection, paid for out of a fixed budget
+ */
+module.exports = {
+  name: "odds_boosts",
+
+  define: {
+    id: { type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4 },
+    selectionId: { type: DataTypes.STRING(100), allowNull: false },
+    name: { type: DataTypes.STRING(200), allowNull: true },
+    boostedOdds: { type: DataTypes.DECIMAL(10, 4), allowNull: false },
+    maxStakePerUser: { type: DataTypes.DECIMAL(15, 2), allowNull: false },
+    budget: { type: DataTypes.DECIMAL(15, 2), allowNull: false },
+    budgetUsed: { type: DataTypes.DECIMAL(15, 2), allowNull: false, defaultValue: 0 },
+    status: { type: DataTypes.STRING(20), defaultValue: "active" },
+    startsAt: { type: DataTypes.DATE, allowNull: false },
+    endsAt: { type: DataTypes.DATE, allowNull: true },
+  },
+
+  options: {
+    timestamps: true,
+  },
+};
@@ -0,0 +1,9 @@
+"use strict";
+
+const BoostModel = require("./boost.model");
+const BoostStakeModel = require("./boost-stake.model");
+
+module.exports = {
+  BoostModel,
+  BoostStakeModel,
+};
@@ -1,8 +1,33 @@
 "use strict";
 
 const { Service } = require("moleculer");
-const { v4: uuidv4 } = require("uuid");
+const { Op, literal, where } = require("sequelize");
+const { validate: isUuid } = require("uuid");
+const { createSequelize } = require("../../lib/db");
 const { createProvider } = require("./providers");
+const { BoostModel, BoostStakeModel } = require("./models");
+
+/**
+ * Convert a DECIMAL column value (returned as string by pg) to a number
+ */
+const toNumber = (value) => (value === null || value === undefined ? value : parseFloat(value));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Take an amount off a column without going below zero, returns the number of rows changed
+ * Increments and decrements come back as [[rows, count]] on PostgreSQL
+ */
+const decrementToZero = async (model, field, amount, { where: scope, transaction }) => {
+  const [[, decremented]] = await model.decrement(
+    { [field]: amount },
+    { where: { ...scope, [field]: { [Op.gte]: amount } }, transaction }
+  );
+  if (decremented > 0) return decremented;
+
+  const [cleared] = await model.update({ [field]: 0 }, { where: scope, transaction });
+  return cleared;
+};
 
 /**
  * Odds Service
@@ -179,6 +204,198 @@ module.exports = class OddsService extends Service {
           },
         },
 
+        /**
+         * List the boosted prices currently on offer
+         */
+        boosts: {
+          rest: "GET /boosts",
+          async handler() {
+            // Changes on any node are passed around as they happen, so the local copy is only read in once
+            if (!this.boostsLoaded) await this.loadBoosts();
+            return Array.from(this.boosts.values())
+              .filter((boost) => this.isBoostLive(boost))
+              .map((boost) => this.toBoost(boost));
+          },
+        },
+
+        /**
+         * Offer a boosted price on a selection (admin)
+         * The budget caps the extra payout over the feed price across all bets on the boost
+         */
+        createBoost: {
+          params: {
+            selectionId: { type: "string" },
+            boostedOdds: { type: "number", positive: true },
+            maxStakePerUser: { type: "number", positive: true },
+            budget: { type: "number", positive: true },
+            name: { type: "string", max: 200, optional: true },
+            startsAt: { type: "date", convert: true, optional: true },
+            endsAt: { type: "date", convert: true, optional: true },
+          },
+          visibility: "protected",
+          async handler(ctx) {
+            const { selectionId, boostedOdds, maxStakePerUser, budget, name, startsAt, endsAt } = ctx.params;
+
+            const oddsData = this.oddsStore.get(selectionId);
+            if (!oddsData) {
+              throw new this.broker.MoleculerClientError("Odds not found", 404, "ODDS_NOT_FOUND");
+            }
+
+            if (boostedOdds <= oddsData.odds || boostedOdds > this.settings.maxOdds) {
+              throw new this.broker.MoleculerClientError(
+                `Boosted odds must be above the current price of ${oddsData.odds}`,
+                400,
+                "INVALID_BOOST"
+              );
+            }
+
+            const row = await this.Boost.create({
+              selectionId,
+              name: name || null,
+              boostedOdds,
+              maxStakePerUser,
+              budget,
+              status: "active",
+              startsAt: startsAt || new Date(),
+              endsAt: endsAt || null,
+            });
+            const boost = this.cacheBoost(row);
+            this.announceBoostChange(boost.id);
+
+            this.logger.info(`Boost ${boost.id} on selection ${selectionId}: ${oddsData.odds} -> ${boostedOdds}`);
+
+            return this.toBoost(boost);
+          },
+        },
+
+        /**
+         * Withdraw a boosted price (admin)
+         */
+        endBoost: {
+          params: {
+            boostId: { type: "string" },
+          },
+          visibility: "protected",
+          async handler(ctx) {
+            const { boostId } = ctx.params;
+            const [updated] = isUuid(boostId)
+              ? await this.Boost.update({ status: "ended" }, { where: { id: boostId } })
+              : [0];
+            if (updated === 0) {
+              throw new this.broker.MoleculerClientError("Boost not found", 404, "BOOST_NOT_FOUND");
+            }
+
+            const boost = await this.refreshBoost(boostId);
+            this.announceBoostChange(boostId);
+
+            return this.toBoost(boost);
+          },
+        },
+
+        /**
+         * Take a bet's stake and extra payout out of a boost's user cap and budget
+         */
+        reserveBoost: {
+          params: {
+            boostId: { type: "string" },
+            selectionId: { type: "string" },
+            userId: { type: "uuid" },
+            stake: { type: "number", positive: true },
+          },
+          visibility: "protected",
+          async handler(ctx) {
+            const { boostId, selectionId, userId, stake } = ctx.params;
+
+            const boost = await this.refreshBoost(boostId);
+            if (!boost || boost.selectionId !== selectionId) {
+              throw new this.broker.MoleculerClientError("Boost not found", 404, "BOOST_NOT_FOUND");
+            }
+
+            if (!this.isBoostLive(boost)) {
+              throw new this.broker.MoleculerClientError("Boost is no longer available", 400, "BOOST_NOT_AVAILABLE");
+            }
+
+            const feedOdds = this.oddsStore.get(selectionId).odds;
+            const cost = round(stake * (boost.boostedOdds - feedOdds));
+
+            // Both are taken with conditional updates, so concurrent bets on other nodes cannot overrun them
+            await this.db.transaction(async (transaction) => {
+              await this.BoostStake.bulkCreate(
+                [{ boostId, userId, staked: 0 }],
+                { ignoreDuplicates: true, transaction }
+              );
+
+              // Increments come back as [[rows, count]] on PostgreSQL
+              const [[, staked]] = await this.BoostStake.increment(
+                { staked: stake },
+                { where: { boostId, userId, staked: { [Op.lte]: boost.maxStakePerUser - stake } }, transaction }
+              );
+              if (staked === 0) {
+                const row = await this.BoostStake.findOne({ where: { boostId, userId }, transaction });
+                const maxStake = Math.max(0, round(boost.maxStakePerUser - toNumber(row.staked)));
+                throw new this.broker.MoleculerClientError(
+                  `Maximum stake on this boost is ${maxStake}`,
+                  400,
+                  "BOOST_STAKE_EXCEEDED",
+                  { maxStake }
+                );
+              }
+
+              const [[, reserved]] = await this.Boost.increment(
+                { budgetUsed: cost },
+                {
+                  where: {
+                    id: boostId,
+                    status: "active",
+                    [Op.and]: [where(literal("budget - budget_used"), Op.gte, cost)],
+                  },
+                  transaction,
+                }
+              );
+              if (reserved === 0) {
+                throw new this.broker.MoleculerClientError("Boost budget is exhausted", 400, "BOOST_BUDGET_EXCEEDED");
+              }
+            });
+
+            await this.refreshBoost(boostId);
+            this.announceBoostChange(boostId);
+
+            return { id: boost.id, boostedOdds: boost.boostedOdds, feedOdds, stake, cost };
+          },
+        },
+
+        /**
+         * Give back a reservation made by `reserveBoost`
+         */
+        releaseBoost: {
+          params: {
+            boostId: { type: "string" },
+            userId: { type: "uuid" },
+            stake: { type: "number", positive: true },
+            cost: { type: "number", min: 0 },
+          },
+          visibility: "protected",
+          async handler(ctx) {
+            const { boostId, userId, stake, cost } = ctx.params;
+            if (!isUuid(boostId)) return { released: false };
+
+            const released = await this.db.transaction(async (transaction) => {
+              const updated = await decrementToZero(this.Boost, "budgetUsed", cost, {
+                where: { id: boostId },
+                transaction,
+              });
+              await decrementToZero(this.BoostStake, "staked", stake, { where: { boostId, userId }, transaction });
+              return updated > 0;
+            });
+
+            if (released) {
+              await this.refreshBoost(boostId);
+              this.announceBoostChange(boostId);
+            }
+            return { released };
+          },
+        },
+
         /**
          * Calculate combined odds for accumulator
          */
@@ -242,6 +459,19 @@ module.exports = class OddsService extends Service {
             this.suspendEventOdds(eventId);
           }
         },
+
+        /**
+         * Read a boost changed on another node again
+         */
+        async "odds.boost.changed"(ctx) {
+          if (ctx.nodeID === this.broker.nodeID) return;
+
+          try {
+            await this.refreshBoost(ctx.params.boostId);
+          } catch (error) {
+            this.logger.error(`Failed to refresh boost ${ctx.params.boostId}:`, error.message);
+          }
+        },
       },
 
       methods: {
@@ -259,6 +489,7 @@ module.exports = class OddsService extends Service {
             status: oddsData.status,
             lastUpdate: oddsData.lastUpdate,
             movement: this.calculateMovement(oddsData.odds, oddsData.previousOdds),
+            ...this.getBoostedPrice(selectionId),
             source: this.provider.name,
           };
         },
@@ -277,6 +508,7 @@ module.exports = class OddsService extends Service {
                 previousOdds: oddsData.previousOdds,
                 status: oddsData.status,
                 movement: this.calculateMovement(oddsData.odds, oddsData.previousOdds),
+                ...this.getBoostedPrice(selectionId),
               });
             }
           }
@@ -306,6 +538,7 @@ module.exports = class OddsService extends Service {
                 previousOdds: oddsData.previousOdds,
                 status: oddsData.status,
                 movement: this.calculateMovement(oddsData.odds, oddsData.previousOdds),
+                ...this.getBoostedPrice(selectionId),
               });
             }
           }
@@ -317,6 +550,112 @@ module.exports = class OddsService extends Service {
           };
         },
 
+        /**
+         * Boost row as a plain object with numeric amounts
+         */
+        fromBoostRow(row) {
+          const boost = row.get({ plain: true });
+          return {
+            ...boost,
+            boostedOdds: toNumber(boost.boostedOdds),
+            maxStakePerUser: toNumber(boost.maxStakePerUser),
+            budget: toNumber(boost.budget),
+            budgetUsed: toNumber(boost.budgetUsed),
+          };
+        },
+
+        /**
+         * Keep a boost in the local copy the price feed reads from
+         */
+        cacheBoost(row) {
+          const boost = this.fromBoostRow(row);
+          if (boost.status === "active") {
+            this.boosts.set(boost.id, boost);
+          } else {
+            this.boosts.delete(boost.id);
+          }
+          return boost;
+        },
+
+        /**
+         * Read a boost from the database and update the local copy, null when it does not exist
+         */
+        async refreshBoost(boostId) {
+          const row = isUuid(boostId) ? await this.Boost.findByPk(boostId) : null;
+          if (!row) {
+            this.boosts.delete(boostId);
+            return null;
+          }
+          return this.cacheBoost(row);
+        },
+
+        /**
+         * Tell the other odds nodes a boost changed, so their local copies follow
+         */
+        announceBoostChange(boostId) {
+          this.broker.broadcast("odds.boost.changed", { boostId });
+        },
+
+        /**
+         * Reload the active boosts, picking up changes a node may have missed
+         */
+        async loadBoosts() {
+          const rows = await this.Boost.findAll({ where: { status: "active" } });
+          this.boosts = new Map(rows.map((row) => {
+            const boost = this.fromBoostRow(row);
+            return [boost.id, boost];
+          }));
+          this.boostsLoaded = true;
+        },
+
+        /**
+         * Boosted price on offer for a selection, shown next to its feed price
+         */
+        getBoostedPrice(selectionId) {
+          for (const boost of this.boosts.values()) {
+            if (boost.selectionId === selectionId && this.isBoostLive(boost)) {
+              return { boostId: boost.id, boostedOdds: boost.boostedOdds };
+            }
+          }
+          return { boostId: null, boostedOdds: null };
+        },
+
+        /**
+         * Whether a boost can be bet on: running, within budget and above a live feed price
+         */
+        isBoostLive(boost) {
+          const oddsData = this.oddsStore.get(boost.selectionId);
+          const now = new Date();
+
+          return boost.status === "active" &&
+            boost.startsAt <= now &&
+            (!boost.endsAt || boost.endsAt > now) &&
+            boost.budgetUsed < boost.budget &&
+            Boolean(oddsData) &&
+            oddsData.status === "active" &&
+            boost.boostedOdds > oddsData.odds;
+        },
+
+        /**
+         * Public view of a boost
+         */
+        toBoost(boost) {
+          const oddsData = this.oddsStore.get(boost.selectionId);
+          return {
+            id: boost.id,
+            selectionId: boost.selectionId,
+            name: boost.name,
+            feedOdds: oddsData ? oddsData.odds : null,
+            boostedOdds: boost.boostedOdds,
+            maxStakePerUser: boost.maxStakePerUser,
+            budget: boost.budget,
+            budgetRemaining: Math.max(0, round(boost.budget - boost.budgetUsed)),
+            status: boost.status,
+            startsAt: boost.startsAt,
+            endsAt: boost.endsAt,
+          };
+        },
+
         /**
          * Sync odds from external provider
          */
@@ -496,7 +835,7 @@ module.exports = class OddsService extends Service {
          * Suspend all odds for a market
          */
         suspendMarketOdds(marketId) {
-          for (const [selectionId, oddsData] of this.oddsStore.entries()) {
+          for (const oddsData of this.oddsStore.values()) {
             if (oddsData.marketId === marketId) {
               oddsData.status = "suspended";
               oddsData.lastUpdate = new Date();
@@ -509,7 +848,7 @@ module.exports = class OddsService extends Service {
          * Resume all odds for a market
          */
         resumeMarketOdds(marketId) {
-          for (const [selectionId, oddsData] of this.oddsStore.entries()) {
+          for (const oddsData of this.oddsStore.values()) {
             if (oddsData.marketId === marketId) {
               oddsData.status = "active";
               oddsData.lastUpdate = new Date();
@@ -522,7 +861,7 @@ module.exports = class OddsService extends Service {
          * Suspend all odds for an event
          */
         suspendEventOdds(eventId) {
-          for (const [selectionId, oddsData] of this.oddsStore.entries()) {
+          for (const oddsData of this.oddsStore.values()) {
             if (oddsData.eventId === eventId) {
               oddsData.status = "suspended";
               oddsData.lastUpdate = new Date();
@@ -623,6 +962,9 @@ module.exports = class OddsService extends Service {
             this.syncFromProvider().catch((err) => {
               this.logger.error("Periodic sync failed:", err.message);
             });
+            this.loadBoosts().catch((err) => {
+              this.logger.error("Failed to reload boosts:", err.message);
+            });
           }, this.settings.syncInterval);
         },
 
@@ -642,11 +984,28 @@ module.exports = class OddsService extends Service {
         this.oddsHistory = new Map();
         this.eventMapping = new Map();
         this.liveSubscriptions = new Map();
+        this.boosts = new Map();
+        this.boostsLoaded = false;
         this.syncTimer = null;
         this.provider = null;
+        this.db = null;
+        this.Boost = null;
+        this.BoostStake = null;
       },
 
       async started() {
+        // Boosts and their usage are kept in PostgreSQL, the feed prices stay in memory
+        this.db = createSequelize();
+        this.Boost = this.db.define(BoostModel.name, BoostModel.define, BoostModel.options);
+        this.BoostStake = this.db.define(BoostStakeModel.name, BoostStakeModel.define, BoostStakeModel.options);
+
+        // The feed does not wait for the database, boosts are read in once it can be reached
+        try {
+          await this.loadBoosts();
+        } catch (error) {
+          this.logger.error("Failed to load odds boosts:", error.message);
+        }
+
         // Initialize provider
         const providerType = this.settings.useMockFallback && !this.settings.providerConfig.apiKey
           ? "mock"
@@ -689,6 +1048,10 @@ module.exports = class OddsService extends Service {
           await this.provider.disconnect();
         }
 
+        if (this.db) {
+          await this.db.close();
+        }
+
         this.logger.info("Odds service stopped");
       },
     });
@@ -0,0 +1,120 @@
+"use strict";
+
+jest.mock("../../lib/db");
+
+process.env.ODDS_PROVIDER = "mock";
+
+const { ServiceBroker } = require("moleculer");
+const { Op } = require("sequelize");
+const OddsService = require("./odds.service");
+const config = require("../../config/moleculer.config");
+
+const BOOST_ID = "33333333-3333-4333-8333-333333333333";
+const USER_ID = "11111111-1111-4111-8111-111111111111";
+const SELECTION_ID = "sel-mock-event-1-1";
+
+const createBoostRow = (extra = {}) => {
+  const boost = {
+    id: BOOST_ID,
+    selectionId: SELECTION_ID,
+    name: "Home win boost",
+    boostedOdds: "3.0000",
+    maxStakePerUser: "50.00",
+    budget: "100.00",
+    budgetUsed: "0.00",
+    status: "active",
+    startsAt: new Date(Date.now() - 60000),
+    endsAt: null,
+    ...extra,
+  };
+  return { get: () => ({ ...boost }) };
+};
+
+describe("Odds boosts", () => {
+  const broker = new ServiceBroker({ logger: false, created: config.created });
+  const service = broker.createService(OddsService);
+
+  beforeAll(async () => {
+    // The database is down while the service starts
+    jest.spyOn(service, "loadBoosts").mockRejectedValueOnce(new Error("connect ECONNREFUSED"));
+    await broker.start();
+  });
+  afterAll(() => broker.stop());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service.boosts.clear();
+    service.boostsLoaded = false;
+    service.Boost.findAll.mockResolvedValue([createBoostRow()]);
+    service.Boost.findByPk.mockResolvedValue(createBoostRow());
+  });
+
+  it("starts without the database and reads the boosts in once asked for them", async () => {
+    const boosts = await broker.call("odds.boosts");
+
+    expect(boosts).toEqual([expect.objectContaining({ id: BOOST_ID, boostedOdds: 3, budgetRemaining: 100 })]);
+  });
+
+  it("lists boosts from memory after the first read", async () => {
+    await broker.call("odds.boosts");
+    await broker.call("odds.boosts");
+
+    expect(service.Boost.findAll).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops a boost from the list once it is ended", async () => {
+    await broker.call("odds.boosts");
+    service.Boost.update.mockResolvedValueOnce([1]);
+    service.Boost.findByPk.mockResolvedValue(createBoostRow({ status: "ended" }));
+
+    await broker.call("odds.endBoost", { boostId: BOOST_ID });
+
+    expect(await broker.call("odds.boosts")).toEqual([]);
+  });
+
+  it("reserves the stake and the budget with guarded increments", async () => {
+    service.BoostStake.increment.mockResolvedValueOnce([[[], 1]]);
+    service.Boost.increment.mockResolvedValueOnce([[[], 1]]);
+
+    const { cost } = await broker.call("odds.reserveBoost", {
+      boostId: BOOST_ID,
+      selectionId: SELECTION_ID,
+      userId: USER_ID,
+      stake: 10,
+    });
+
+    expect(service.BoostStake.increment).toHaveBeenCalledWith(
+      { staked: 10 },
+      expect.objectContaining({ where: { boostId: BOOST_ID, userId: USER_ID, staked: { [Op.lte]: 40 } } })
+    );
+    expect(service.Boost.increment).toHaveBeenCalledWith(
+      { budgetUsed: cost },
+      expect.objectContaining({ where: expect.objectContaining({ id: BOOST_ID, status: "active" }) })
+    );
+  });
+
+  it("refuses a stake over the user's cap", async () => {
+    service.BoostStake.findOne.mockResolvedValueOnce({ staked: "45.00" });
+
+    await expect(
+      broker.call("odds.reserveBoost", { boostId: BOOST_ID, selectionId: SELECTION_ID, userId: USER_ID, stake: 10 })
+    ).rejects.toMatchObject({ type: "BOOST_STAKE_EXCEEDED", data: { maxStake: 5 } });
+    expect(service.Boost.increment).not.toHaveBeenCalled();
+  });
+
+  it("releases no more of the budget than was used", async () => {
+    service.Boost.update.mockResolvedValueOnce([1]);
+
+    const result = await broker.call("odds.releaseBoost", { boostId: BOOST_ID, userId: USER_ID, stake: 10, cost: 9 });
+
+    expect(result).toEqual({ released: true });
+    expect(service.Boost.decrement).toHaveBeenCalledWith(
+      { budgetUsed: 9 },
+      expect.objectContaining({ where: { id: BOOST_ID, budgetUsed: { [Op.gte]: 9 } } })
+    );
+    expect(service.Boost.update).toHaveBeenCalledWith(
+      { budgetUsed: 0 },
+      expect.objectContaining({ where: { id: BOOST_ID } })
+    );
+  });
+});
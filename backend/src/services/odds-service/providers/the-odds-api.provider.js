@@ -193,7 +193,7 @@ class TheOddsApiProvider extends BaseOddsProvider {
           this.cache.delete(`event-odds:${eventId}:h2h,spreads,totals`);
 
           // Notify all subscribers for this event
-          for (const [subId, sub] of this.subscribers.entries()) {
+          for (const sub of this.subscribers.values()) {
             if (sub.eventId === eventId) {
               sub.callback(odds);
             }
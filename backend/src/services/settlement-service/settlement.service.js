@@ -2,6 +2,8 @@
 
 const { Service } = require("moleculer");
 const { v4: uuidv4 } = require("uuid");
+const { SELECTION_RESULT, SELECTION_RESULTS, VOID_RESULTS, PARTIAL_RESULTS } = require("../../lib/constants");
+const { getResultFactor } = require("../../lib/utils");
 
 /**
  * Settlement Service
@@ -41,7 +43,10 @@ module.exports = class SettlementService extends Service {
                 type: "object",
                 props: {
                   selectionId: { type: "string" },
-                  result: { type: "string", enum: ["winner", "loser", "void", "push"] },
+                  result: { type: "string", enum: SELECTION_RESULTS },
+                  position: { type: "number", integer: true, positive: true, optional: true },
+                  deadHeatFactor: { type: "number", positive: true, max: 1, optional: true },
+                  tiedCount: { type: "number", integer: true, min: 2, optional: true },
                 },
               },
             },
@@ -50,6 +55,15 @@ module.exports = class SettlementService extends Service {
           async handler(ctx) {
             const { marketId, results } = ctx.params;
 
+            const missingFactor = results.find((r) => r.result === SELECTION_RESULT.DEAD_HEAT && !r.deadHeatFactor);
+            if (missingFactor) {
+              throw new this.broker.MoleculerClientError(
+                `Dead heat result for selection ${missingFactor.selectionId} requires a dead-heat factor`,
+                400,
+                "INVALID_DEAD_HEAT_FACTOR"
+              );
+            }
+
             this.logger.info(`Settling market ${marketId} with ${results.length} results`);
 
             const settlementId = uuidv4();
@@ -70,7 +84,7 @@ module.exports = class SettlementService extends Service {
             // Process each selection result
             for (const result of results) {
               try {
-                await this.processSelectionResult(result.selectionId, result.result);
+                await this.processSelectionResult(result);
                 settlement.processedSelections++;
               } catch (error) {
                 this.logger.error(`Error settling selection ${result.selectionId}:`, error);
@@ -162,6 +176,72 @@ module.exports = class SettlementService extends Service {
           },
         },
 
+        /**
+         * Settle an outright or racing market from its finishing order
+         * The first place wins, every runner keeps its position for each-way place terms.
+         * Runners sharing a position are a dead heat: a tie for first pays each of them
+         * on the stake divided by the number of tied runners
+         */
+        settleFinishingOrder: {
+          params: {
+            marketId: { type: "string" },
+            positions: {
+              type: "array",
+              min: 1,
+              items: {
+                type: "object",
+                props: {
+                  selectionId: { type: "string" },
+                  position: { type: "number", integer: true, positive: true },
+                },
+              },
+            },
+            nonRunners: { type: "array", items: "string", optional: true },
+          },
+          visibility: "protected",
+          async handler(ctx) {
+            const { marketId, positions, nonRunners = [] } = ctx.params;
+
+            const market = await ctx.call("event.market", { id: marketId });
+            const positionBySelection = new Map(positions.map((p) => [p.selectionId, p.position]));
+
+            const tiedCounts = new Map();
+            for (const { position } of positions) {
+              tiedCounts.set(position, (tiedCounts.get(position) || 0) + 1);
+            }
+
+            const results = (market.selections || []).map((selection) => {
+              if (nonRunners.includes(selection.id)) {
+                return { selectionId: selection.id, result: SELECTION_RESULT.VOID };
+              }
+
+              const position = positionBySelection.get(selection.id);
+              if (!position) {
+                return { selectionId: selection.id, result: SELECTION_RESULT.LOST };
+              }
+
+              const tiedCount = tiedCounts.get(position);
+              if (tiedCount === 1) {
+                return {
+                  selectionId: selection.id,
+                  result: position === 1 ? SELECTION_RESULT.WON : SELECTION_RESULT.LOST,
+                  position,
+                };
+              }
+
+              return {
+                selectionId: selection.id,
+                result: position === 1 ? SELECTION_RESULT.DEAD_HEAT : SELECTION_RESULT.LOST,
+                position,
+                tiedCount,
+                ...(position === 1 ? { deadHeatFactor: Math.round((1 / tiedCount) * 10000) / 10000 } : {}),
+              };
+            });
+
+            return ctx.call("settlement.settleMarket", { marketId, results });
+          },
+        },
+
         /**
          * Void a market (refund all bets)
          */
@@ -194,7 +274,7 @@ module.exports = class SettlementService extends Service {
 
                 // Check if entire bet should be voided or recalculated
                 const pendingSelections = bet.selections.filter((s) => s.status === "pending");
-                const voidedSelections = bet.selections.filter((s) => s.status === "void");
+                const voidedSelections = bet.selections.filter((s) => VOID_RESULTS.includes(s.status));
 
                 if (voidedSelections.length === bet.selections.length) {
                   // All selections void = full refund
@@ -204,16 +284,17 @@ module.exports = class SettlementService extends Service {
                   });
                   refundedCount++;
                 } else if (pendingSelections.length === 0) {
-                  // Recalculate with remaining selections
-                  const activeSelections = bet.selections.filter(
-                    (s) => s.status === "won" || s.status === "winner"
-                  );
-                  if (activeSelections.length > 0) {
-                    const newOdds = activeSelections.reduce((acc, s) => acc * s.oddsAtPlacement, 1);
+                  // Recalculate with remaining selections, void legs count at odds 1.0
+                  const lost = bet.selections.some((s) => s.status === SELECTION_RESULT.LOST);
+                  if (!lost) {
+                    const newOdds = bet.selections.reduce(
+                      (acc, s) => acc * getResultFactor(s.status, s.oddsAtPlacement, s.deadHeatFactor),
+                      1
+                    );
                     await ctx.call("bet.settle", {
                       betId: bet.id,
-                      result: "won",
-                      settledAmount: bet.stake * newOdds,
+                      result: bet.selections.some((s) => PARTIAL_RESULTS.includes(s.status)) ? "partial" : "won",
+                      settledAmount: Math.round(bet.stake * newOdds * 100) / 100,
                     });
                   }
                 }
@@ -289,7 +370,7 @@ module.exports = class SettlementService extends Service {
               try {
                 const result = settlement.results.find((r) => r.selectionId === error.selectionId);
                 if (result) {
-                  await this.processSelectionResult(result.selectionId, result.result);
+                  await this.processSelectionResult(result);
                   retryResults.push({ selectionId: result.selectionId, success: true });
                 }
               } catch (err) {
@@ -349,11 +430,14 @@ module.exports = class SettlementService extends Service {
         /**
          * Process a selection result
          */
-        async processSelectionResult(selectionId, result) {
+        async processSelectionResult({ selectionId, result, position, deadHeatFactor, tiedCount }) {
           // Update selection status in event service
           await this.broker.call("event.settleSelection", {
             selectionId,
             result,
+            ...(position ? { position } : {}),
+            ...(deadHeatFactor ? { deadHeatFactor } : {}),
+            ...(tiedCount ? { tiedCount } : {}),
           });
 
           // The bet service listens for selection.settled events
@@ -407,7 +491,7 @@ module.exports = class SettlementService extends Service {
 
             results.push({
               selectionId: selection.id,
-              result: isWinner ? "winner" : "loser",
+              result: isWinner ? SELECTION_RESULT.WON : SELECTION_RESULT.LOST,
             });
           }
 
@@ -424,15 +508,11 @@ module.exports = class SettlementService extends Service {
 
           for (const selection of market.selections || []) {
             const isOver = selection.name.toLowerCase().includes("over");
-            let result;
-
-            if (totalGoals === line) {
-              result = "push"; // Refund on exact line
-            } else if (isOver) {
-              result = totalGoals > line ? "winner" : "loser";
-            } else {
-              result = totalGoals < line ? "winner" : "loser";
-            }
+
+            // Push (refund) on an exact line, quarter lines settle each half stake on its own
+            const result = this.resolveLineResult(line, (halfLine) =>
+              isOver ? totalGoals - halfLine : halfLine - totalGoals
+            );
 
             results.push({
               selectionId: selection.id,
@@ -452,22 +532,10 @@ module.exports = class SettlementService extends Service {
           for (const selection of market.selections || []) {
             const spread = selection.point || 0;
             const isHome = selection.name.includes(event.homeTeam);
+            const scoreDiff = isHome ? homeScore - awayScore : awayScore - homeScore;
 
-            let adjustedDiff;
-            if (isHome) {
-              adjustedDiff = (homeScore + spread) - awayScore;
-            } else {
-              adjustedDiff = (awayScore + spread) - homeScore;
-            }
-
-            let result;
-            if (adjustedDiff === 0) {
-              result = "push";
-            } else if (adjustedDiff > 0) {
-              result = "winner";
-            } else {
-              result = "loser";
-            }
+            // Asian quarter lines (-0.25, +0.75, ...) settle each half stake on its own
+            const result = this.resolveLineResult(spread, (halfLine) => scoreDiff + halfLine);
 
             results.push({
               selectionId: selection.id,
@@ -478,6 +546,35 @@ module.exports = class SettlementService extends Service {
           return results;
         },
 
+        /**
+         * Split a line into the lines its stake is placed on
+         * Quarter lines put half the stake on each neighbouring half line: -0.25 is 0 and -0.5
+         */
+        splitLine(line) {
+          if (Math.abs(line * 4) % 2 !== 1) {
+            return [line];
+          }
+          return [line - 0.25, line + 0.25];
+        },
+
+        /**
+         * Resolve a selection result for a (possibly quarter) line
+         * `getMargin` returns the selection's winning margin against one half line
+         */
+        resolveLineResult(line, getMargin) {
+          const results = this.splitLine(line).map((halfLine) => {
+            const margin = getMargin(halfLine);
+            if (margin === 0) return SELECTION_RESULT.PUSH;
+            return margin > 0 ? SELECTION_RESULT.WON : SELECTION_RESULT.LOST;
+          });
+
+          const [first, second = first] = results;
+          if (first === second) return first;
+
+          // Adjacent half lines differ by one push: half the stake is refunded
+          return results.includes(SELECTION_RESULT.WON) ? SELECTION_RESULT.HALF_WON : SELECTION_RESULT.HALF_LOST;
+        },
+
         /**
          * Get all bets for a market
          */
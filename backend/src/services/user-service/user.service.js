@@ -4,6 +4,7 @@ const { Service } = require("moleculer");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { v4: uuidv4 } = require("uuid");
+const { ODDS_CHANGE_POLICIES } = require("../../lib/constants");
 
 /**
  * User Service
@@ -77,6 +78,9 @@ module.exports = class UserService extends Service {
               lastName: lastName || null,
               status: "active",
               emailVerified: false,
+              preferences: {
+                oddsChange: null,
+              },
               createdAt: new Date(),
               updatedAt: new Date(),
             };
@@ -265,6 +269,34 @@ module.exports = class UserService extends Service {
           },
         },
 
+        /**
+         * Update betting preferences
+         */
+        updatePreferences: {
+          rest: "PATCH /preferences",
+          params: {
+            oddsChange: { type: "enum", values: ODDS_CHANGE_POLICIES, nullable: true, optional: true },
+          },
+          async handler(ctx) {
+            const userId = ctx.meta.userId;
+            if (!userId) {
+              throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+            }
+
+            const user = await this.findUserById(userId);
+            if (!user) {
+              throw new this.broker.MoleculerClientError("User not found", 404, "USER_NOT_FOUND");
+            }
+
+            const preferences = { ...user.preferences };
+            if (ctx.params.oddsChange !== undefined) preferences.oddsChange = ctx.params.oddsChange;
+
+            await this.saveUser({ ...user, preferences, updatedAt: new Date() });
+
+            return preferences;
+          },
+        },
+
         /**
          * Change password
          */
@@ -2,6 +2,10 @@
 
 const { Service } = require("moleculer");
 const { v4: uuidv4 } = require("uuid");
+const { createCsvStream, createTextPdf } = require("../../lib/utils");
+
+const formatAmount = (value) => value.toFixed(2);
+const formatDate = (date) => new Date(date).toISOString().slice(0, 16).replace("T", " ");
 
 /**
  * Wallet Service
@@ -112,6 +116,7 @@ module.exports = class WalletService extends Service {
          */
         deposit: {
           rest: "POST /deposit",
+          idempotency: true,
           params: {
             amount: { type: "number", positive: true },
             paymentMethod: { type: "string", enum: ["card", "bank", "crypto"] },
@@ -182,6 +187,7 @@ module.exports = class WalletService extends Service {
          */
         withdraw: {
           rest: "POST /withdraw",
+          idempotency: true,
           params: {
             amount: { type: "number", positive: true },
             withdrawalMethod: { type: "string", enum: ["card", "bank", "crypto"] },
@@ -317,6 +323,81 @@ module.exports = class WalletService extends Service {
           },
         },
 
+        /**
+         * Lock funds for several references in one operation, all or none
+         */
+        lockBatch: {
+          params: {
+            userId: { type: "uuid" },
+            locks: {
+              type: "array",
+              min: 1,
+              items: {
+                type: "object",
+                props: {
+                  amount: { type: "number", positive: true },
+                  referenceId: { type: "uuid" },
+                  referenceType: { type: "string", default: "bet" },
+                },
+              },
+            },
+          },
+          visibility: "protected",
+          async handler(ctx) {
+            const { userId, locks } = ctx.params;
+
+            const wallet = await this.getWalletByUserId(userId);
+            if (!wallet) {
+              throw new this.broker.MoleculerClientError("Wallet not found", 404, "WALLET_NOT_FOUND");
+            }
+
+            if (wallet.status !== "active") {
+              throw new this.broker.MoleculerClientError("Wallet is not active", 400, "WALLET_INACTIVE");
+            }
+
+            const total = Math.round(locks.reduce((acc, l) => acc + l.amount, 0) * 100) / 100;
+            const availableBalance = wallet.balance - wallet.lockedBalance;
+            if (total > availableBalance) {
+              throw new this.broker.MoleculerClientError(
+                `Insufficient funds. Available: ${availableBalance}`,
+                400,
+                "INSUFFICIENT_FUNDS"
+              );
+            }
+
+            // Lock the funds
+            wallet.lockedBalance += total;
+            wallet.updatedAt = new Date();
+            await this.saveWallet(wallet);
+
+            // Record one lock per reference, each is released or converted on its own
+            const created = [];
+            for (const { amount, referenceId, referenceType } of locks) {
+              const lock = {
+                id: uuidv4(),
+                walletId: wallet.id,
+                userId,
+                amount,
+                referenceId,
+                referenceType,
+                status: "active",
+                createdAt: new Date(),
+              };
+              await this.saveLock(lock);
+              created.push({ lockId: lock.id, referenceId, amount });
+            }
+
+            this.logger.info(`Locked ${total} for ${locks.length} references of user ${userId}`);
+
+            return {
+              success: true,
+              locks: created,
+              lockedAmount: total,
+              availableBalance: wallet.balance - wallet.lockedBalance,
+            };
+          },
+        },
+
         /**
          * Release locked funds (bet cancelled or rejected)
          */
@@ -364,6 +445,7 @@ module.exports = class WalletService extends Service {
 
         /**
          * Debit funds (bet placed - convert lock to debit)
+         * Only the reversal of a bet payout may take the balance below zero
          */
         debit: {
           params: {
@@ -372,10 +454,19 @@ module.exports = class WalletService extends Service {
             lockId: { type: "uuid", optional: true },
             referenceId: { type: "uuid" },
             referenceType: { type: "string", default: "bet_stake" },
+            allowNegative: { type: "boolean", default: false },
           },
           visibility: "protected",
           async handler(ctx) {
-            const { userId, amount, lockId, referenceId, referenceType } = ctx.params;
+            const { userId, amount, lockId, referenceId, referenceType, allowNegative } = ctx.params;
+
+            if (allowNegative && referenceType !== "bet_resettlement") {
+              throw new this.broker.MoleculerClientError(
+                "Only bet resettlements may overdraw a wallet",
+                400,
+                "NEGATIVE_BALANCE_NOT_ALLOWED"
+              );
+            }
 
             const wallet = await this.getWalletByUserId(userId);
             if (!wallet) {
@@ -394,7 +485,7 @@ module.exports = class WalletService extends Service {
             }
 
             // Check balance
-            if (amount > wallet.balance) {
+            if (amount > wallet.balance && !allowNegative) {
               throw new this.broker.MoleculerClientError("Insufficient funds", 400, "INSUFFICIENT_FUNDS");
             }
 
@@ -404,10 +495,15 @@ module.exports = class WalletService extends Service {
               amount: -amount,
               referenceId,
               referenceType,
+              allowNegative,
             });
 
             this.logger.info(`Debited ${amount} from user ${userId} for ${referenceType}`);
 
+            if (wallet.balance < 0) {
+              this.logger.warn(`Wallet of user ${userId} overdrawn to ${wallet.balance} by ${referenceType} ${referenceId}`);
+            }
+
             return {
               success: true,
               transaction,
@@ -461,6 +557,30 @@ module.exports = class WalletService extends Service {
           },
         },
 
+        /**
+         * Get locks and transactions recorded against a reference
+         */
+        byReference: {
+          params: {
+            userId: { type: "uuid" },
+            referenceId: { type: "uuid" },
+          },
+          visibility: "protected",
+          async handler(ctx) {
+            const { userId, referenceId } = ctx.params;
+
+            const wallet = await this.getWalletByUserId(userId);
+            if (!wallet) {
+              throw new this.broker.MoleculerClientError("Wallet not found", 404, "WALLET_NOT_FOUND");
+            }
+
+            return {
+              locks: await this.getLocksByReference(referenceId),
+              transactions: await this.getTransactionsByReference(wallet.id, referenceId),
+            };
+          },
+        },
+
         /**
          * Get transaction history
          */
@@ -490,6 +610,103 @@ module.exports = class WalletService extends Service {
           },
         },
 
+        /**
+         * Download transaction history as CSV
+         */
+        exportTransactions: {
+          rest: "GET /transactions/export",
+          params: {
+            from: { type: "date", convert: true, optional: true },
+            to: { type: "date", convert: true, optional: true },
+            type: { type: "string", optional: true },
+          },
+          async handler(ctx) {
+            const userId = ctx.meta.userId;
+            if (!userId) {
+              throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+            }
+
+            const { from, to, type } = ctx.params;
+
+            const wallet = await this.getWalletByUserId(userId);
+            if (!wallet) {
+              throw new this.broker.MoleculerClientError("Wallet not found", 404, "WALLET_NOT_FOUND");
+            }
+
+            const transactions = await this.getTransactionsInRange(wallet.id, { from, to, type });
+
+            ctx.meta.$responseType = "text/csv";
+            ctx.meta.$responseHeaders = {
+              ...ctx.meta.$responseHeaders,
+              "Content-Disposition": 'attachment; filename="transactions.csv"',
+            };
+
+            return createCsvStream(
+              [
+                { header: "Date", value: (t) => t.createdAt },
+                { header: "Transaction ID", value: (t) => t.id },
+                { header: "Type", value: (t) => t.type },
+                { header: "Reference Type", value: (t) => t.referenceType },
+                { header: "Reference ID", value: (t) => t.referenceId },
+                { header: "Amount", value: (t) => t.amount },
+                { header: "Balance Before", value: (t) => t.balanceBefore },
+                { header: "Balance After", value: (t) => t.balanceAfter },
+                { header: "Currency", value: () => wallet.currency },
+                { header: "Status", value: (t) => t.status },
+              ],
+              transactions
+            );
+          },
+        },
+
+        /**
+         * Download a PDF account statement for a period
+         * Opening and closing balances come from the balances recorded on each transaction
+         */
+        statement: {
+          rest: "GET /statement",
+          params: {
+            from: { type: "date", convert: true },
+            to: { type: "date", convert: true },
+          },
+          async handler(ctx) {
+            const userId = ctx.meta.userId;
+            if (!userId) {
+              throw new this.broker.MoleculerClientError("Authentication required", 401, "AUTH_REQUIRED");
+            }
+
+            const { from, to } = ctx.params;
+            if (from > to) {
+              throw new this.broker.MoleculerClientError("The date range ends before it starts", 400, "INVALID_DATE_RANGE");
+            }
+
+            const wallet = await this.getWalletByUserId(userId);
+            if (!wallet) {
+              throw new this.broker.MoleculerClientError("Wallet not found", 404, "WALLET_NOT_FOUND");
+            }
+
+            const transactions = await this.getTransactionsInRange(wallet.id, { from, to });
+            const [previous] = (await this.getTransactionsInRange(wallet.id, { to: new Date(from.getTime() - 1) })).slice(-1);
+
+            const openingBalance = transactions.length > 0
+              ? transactions[0].balanceBefore
+              : previous ? previous.balanceAfter : 0;
+            const closingBalance = transactions.length > 0
+              ? transactions[transactions.length - 1].balanceAfter
+              : openingBalance;
+
+            ctx.meta.$responseType = "application/pdf";
+            ctx.meta.$responseHeaders = {
+              ...ctx.meta.$responseHeaders,
+              "Content-Disposition": 'attachment; filename="statement.pdf"',
+            };
+
+            return createTextPdf(
+              this.getStatementLines(wallet, { from, to, transactions, openingBalance, closingBalance })
+            );
+          },
+        },
+
         /**
          * Ping for health checks
          */
@@ -504,11 +721,12 @@ module.exports = class WalletService extends Service {
         /**
          * Process a transaction and update wallet balance
          */
-        async processTransaction(wallet, { type, amount, referenceId, referenceType, metadata }) {
+        async processTransaction(wallet, { type, amount, referenceId, referenceType, metadata, allowNegative = false }) {
           const balanceBefore = wallet.balance;
           const balanceAfter = balanceBefore + amount;
 
-          if (balanceAfter < 0) {
+          // Credits always go through, they pay an overdrawn wallet back
+          if (amount < 0 && balanceAfter < 0 && !allowNegative) {
             throw new this.broker.MoleculerClientError("Insufficient funds", 400, "INSUFFICIENT_FUNDS");
           }
 
@@ -536,6 +754,44 @@ module.exports = class WalletService extends Service {
           return transaction;
         },
 
+        /**
+         * Text lines of an account statement
+         */
+        getStatementLines(wallet, { from, to, transactions, openingBalance, closingBalance }) {
+          const row = (date, type, reference, amount, balance) =>
+            `${date.padEnd(18)}${type.padEnd(18)}${reference.padEnd(14)}${amount.padStart(14)}${balance.padStart(14)}`;
+          const total = (items) => formatAmount(items.reduce((acc, t) => acc + t.amount, 0));
+
+          return [
+            "ACCOUNT STATEMENT",
+            "",
+            `Account holder:   ${wallet.userId}`,
+            `Currency:         ${wallet.currency}`,
+            `Period:           ${formatDate(from)} to ${formatDate(to)} UTC`,
+            `Generated:        ${formatDate(new Date())} UTC`,
+            "",
+            `Opening balance:  ${formatAmount(openingBalance)}`,
+            "",
+            row("Date", "Type", "Reference", "Amount", "Balance"),
+            "-".repeat(78),
+            ...transactions.map((t) =>
+              row(
+                formatDate(t.createdAt),
+                t.type,
+                (t.referenceId || "").slice(0, 12),
+                formatAmount(t.amount),
+                formatAmount(t.balanceAfter)
+              )
+            ),
+            ...(transactions.length === 0 ? ["No transactions in this period"] : []),
+            "-".repeat(78),
+            "",
+            `Total credits:    ${total(transactions.filter((t) => t.amount > 0))}`,
+            `Total debits:     ${total(transactions.filter((t) => t.amount < 0))}`,
+            `Closing balance:  ${formatAmount(closingBalance)}`,
+          ];
+        },
+
         // In-memory storage (replace with database in production)
         async getWalletByUserId(userId, currency = "USD") {
           const key = `${userId}:${currency}`;
@@ -555,12 +811,27 @@ module.exports = class WalletService extends Service {
           this.locks.set(lock.id, lock);
         },
 
+        async getLocksByReference(referenceId) {
+          return Array.from(this.locks.values()).filter((l) => l.referenceId === referenceId);
+        },
+
+        async getTransactionsByReference(walletId, referenceId) {
+          const walletTransactions = this.transactions.get(walletId) || [];
+          return walletTransactions.filter((t) => t.referenceId === referenceId);
+        },
+
         async saveTransaction(transaction) {
           const walletTransactions = this.transactions.get(transaction.walletId) || [];
           walletTransactions.unshift(transaction);
           this.transactions.set(transaction.walletId, walletTransactions);
         },
 
+        async getTransactionsInRange(walletId, { from, to, type }) {
+          return (this.transactions.get(walletId) || [])
+            .filter((t) => (!from || t.createdAt >= from) && (!to || t.createdAt <= to) && (!type || t.type === type))
+            .reverse();
+        },
+
         async getTransactions(walletId, { page = 1, limit = 20, type }) {
           let transactions = this.transactions.get(walletId) || [];
 